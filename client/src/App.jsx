@@ -1,30 +1,39 @@
 import React from 'react'
-import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom'
+import { BrowserRouter as Router, Routes, Route, Navigate, useLocation } from 'react-router-dom'
 import { AuthProvider, useAuth } from './contexts/AuthContext'
 import Home from './pages/Home'
 import Signup from './pages/Signup'
 import Landing from './pages/Landing'
+import Canvas from './pages/Canvas'
+import Replay from './pages/Replay'
+import AcceptInvite from './pages/AcceptInvite'
+import ForgotPassword from './pages/ForgotPassword'
+import ResetPassword from './pages/ResetPassword'
+import VerifyEmail from './pages/VerifyEmail'
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth()
+  const location = useLocation()
 
   if (loading) {
     return <div className="loading">Loading...</div>
   }
 
-  return isAuthenticated ? children : <Navigate to="/" />
+  // Remember where the user was headed so login can send them back (e.g. invite links)
+  return isAuthenticated ? children : <Navigate to="/" state={{ from: location }} />
 }
 
 // Public Route Component (redirects to landing if already logged in)
 const PublicRoute = ({ children }) => {
   const { isAuthenticated, loading } = useAuth()
+  const location = useLocation()
 
   if (loading) {
     return <div className="loading">Loading...</div>
   }
 
-  return !isAuthenticated ? children : <Navigate to="/landing" />
+  return !isAuthenticated ? children : <Navigate to={location.state?.from?.pathname || '/landing'} replace />
 }
 
 function App() {
@@ -48,6 +57,22 @@ function App() {
               </PublicRoute>
             }
           />
+          <Route
+            path="/forgot-password"
+            element={
+              <PublicRoute>
+                <ForgotPassword />
+              </PublicRoute>
+            }
+          />
+          <Route
+            path="/reset-password"
+            element={<ResetPassword />}
+          />
+          <Route
+            path="/verify-email"
+            element={<VerifyEmail />}
+          />
           <Route
             path="/landing"
             element={
@@ -56,6 +81,30 @@ function App() {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/canvas/:name"
+            element={
+              <ProtectedRoute>
+                <Canvas />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/canvas/:name/replay"
+            element={
+              <ProtectedRoute>
+                <Replay />
+              </ProtectedRoute>
+            }
+          />
+          <Route
+            path="/invite/:token"
+            element={
+              <ProtectedRoute>
+                <AcceptInvite />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
       </Router>
     </AuthProvider>
@@ -0,0 +1,149 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+
+const EXPIRY_OPTIONS = [
+  { hours: 1, label: '1 hour' },
+  { hours: 24, label: '1 day' },
+  { hours: 72, label: '3 days' },
+  { hours: 168, label: '7 days' }
+]
+
+// Lets canvas owners create, copy and revoke invite links
+const InvitePanel = ({ canvasName }) => {
+  const { token } = useAuth()
+  const [invites, setInvites] = useState([])
+  const [role, setRole] = useState('editor')
+  const [expiresInHours, setExpiresInHours] = useState(72)
+  const [maxUses, setMaxUses] = useState('')
+  const [error, setError] = useState('')
+
+  const invitesUrl = `/api/canvases/${encodeURIComponent(canvasName)}/invites`
+
+  const loadInvites = useCallback(async () => {
+    try {
+      const response = await fetch(invitesUrl, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setInvites(data.invites)
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }, [invitesUrl, token])
+
+  useEffect(() => {
+    loadInvites()
+  }, [loadInvites])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    try {
+      const response = await fetch(invitesUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          role,
+          expiresInHours,
+          maxUses: maxUses ? Number(maxUses) : null
+        })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setInvites(prev => [data.invite, ...prev])
+        setMaxUses('')
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  const handleRevoke = async (inviteId) => {
+    setError('')
+
+    try {
+      const response = await fetch(`${invitesUrl}/${inviteId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+
+      if (response.ok) {
+        setInvites(prev => prev.filter(invite => invite.id !== inviteId))
+      } else {
+        const data = await response.json()
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  return (
+    <section className="invite-panel">
+      <h3>Invite Links</h3>
+
+      <form onSubmit={handleCreate} className="invite-form">
+        <select value={role} onChange={(e) => setRole(e.target.value)} aria-label="Role">
+          <option value="viewer">Viewer</option>
+          <option value="editor">Editor</option>
+          <option value="owner">Owner</option>
+        </select>
+        <select
+          value={expiresInHours}
+          onChange={(e) => setExpiresInHours(Number(e.target.value))}
+          aria-label="Expires in"
+        >
+          {EXPIRY_OPTIONS.map(option => (
+            <option key={option.hours} value={option.hours}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          type="number"
+          min="1"
+          value={maxUses}
+          onChange={(e) => setMaxUses(e.target.value)}
+          placeholder="Max uses"
+        />
+        <button type="submit" className="btn btn-primary btn-small">Create</button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul className="invite-list">
+        {invites.map(invite => (
+          <li key={invite.id}>
+            <span className="invite-meta">
+              {invite.role} · {invite.uses}{invite.maxUses ? `/${invite.maxUses}` : ''} uses ·
+              expires {new Date(invite.expiresAt).toLocaleString()}
+            </span>
+            <div className="invite-actions">
+              <button
+                className="tool-button"
+                onClick={() => navigator.clipboard.writeText(invite.url)}
+              >
+                Copy
+              </button>
+              <button className="tool-button" onClick={() => handleRevoke(invite.id)}>
+                Revoke
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+export default InvitePanel
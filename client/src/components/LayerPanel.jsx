@@ -0,0 +1,67 @@
+import React from 'react'
+
+// The canvas's layers, top first. New shapes go on the active layer; editors can add, rename,
+// hide, lock, reorder and delete layers
+const LayerPanel = ({ layers, activeLayerId, canEdit, onSelect, onCreate, onUpdate, onMove, onDelete }) => {
+  const handleRename = (layer) => {
+    const name = window.prompt('Layer name', layer.name)?.trim()
+    if (name && name !== layer.name) onUpdate(layer, { name })
+  }
+
+  const handleDelete = (layer) => {
+    if (!window.confirm(`Delete "${layer.name}" and everything on it?`)) return
+    onDelete(layer)
+  }
+
+  return (
+    <section className="layer-panel">
+      <h3>Layers ({layers.length})</h3>
+      <ul className="layer-list">
+        {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => (
+          <li key={layer.id} className={layer.id === activeLayerId ? 'active' : ''}>
+            <button
+              className="layer-name"
+              onClick={() => onSelect(layer.id)}
+              onDoubleClick={() => canEdit && handleRename(layer)}
+              disabled={!canEdit}
+              title={canEdit ? 'Click to draw on this layer, double-click to rename' : undefined}
+            >
+              {layer.name}
+            </button>
+            {canEdit && (
+              <div className="layer-actions">
+                <button className="tool-button" onClick={() => onUpdate(layer, { hidden: !layer.hidden })}>
+                  {layer.hidden ? 'Show' : 'Hide'}
+                </button>
+                <button className="tool-button" onClick={() => onUpdate(layer, { locked: !layer.locked })}>
+                  {layer.locked ? 'Unlock' : 'Lock'}
+                </button>
+                <button className="tool-button" onClick={() => onMove(layer, index + 1)} disabled={index === layers.length - 1}>
+                  Up
+                </button>
+                <button className="tool-button" onClick={() => onMove(layer, index - 1)} disabled={index === 0}>
+                  Down
+                </button>
+                <button
+                  className="tool-button"
+                  onClick={() => handleDelete(layer)}
+                  disabled={layer.locked || layers.length === 1}
+                >
+                  Delete
+                </button>
+              </div>
+            )}
+            {!canEdit && layer.hidden && <span className="layer-flag">hidden</span>}
+          </li>
+        ))}
+      </ul>
+      {canEdit && (
+        <button onClick={onCreate} className="btn btn-secondary btn-small">
+          Add layer
+        </button>
+      )}
+    </section>
+  )
+}
+
+export default LayerPanel
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+
+// Lists a canvas's snapshots with a read-only preview; editors save new ones, owners restore and delete
+const SnapshotPanel = ({ canvasName, canEdit, isOwner }) => {
+  const { token } = useAuth()
+  const [snapshots, setSnapshots] = useState([])
+  const [snapshotName, setSnapshotName] = useState('')
+  const [preview, setPreview] = useState(null) // { id, url }
+  const [error, setError] = useState('')
+
+  const snapshotsUrl = `/api/canvases/${encodeURIComponent(canvasName)}/snapshots`
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      const response = await fetch(snapshotsUrl, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setSnapshots(data.snapshots)
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }, [snapshotsUrl, token])
+
+  useEffect(() => {
+    loadSnapshots()
+  }, [loadSnapshots])
+
+  // Release the preview image when it is replaced or the panel goes away
+  useEffect(() => {
+    return () => {
+      if (preview) URL.revokeObjectURL(preview.url)
+    }
+  }, [preview])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+    const name = snapshotName.trim()
+    if (!name) return
+
+    try {
+      const response = await fetch(snapshotsUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ name })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setSnapshots(prev => [data.snapshot, ...prev])
+        setSnapshotName('')
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  const handlePreview = async (snapshotId) => {
+    setError('')
+    if (preview?.id === snapshotId) {
+      setPreview(null)
+      return
+    }
+
+    try {
+      const response = await fetch(`${snapshotsUrl}/${snapshotId}/export.svg?background=%23ffffff`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+
+      if (response.ok) {
+        setPreview({ id: snapshotId, url: URL.createObjectURL(await response.blob()) })
+      } else {
+        const data = await response.json()
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  const handleRestore = async (snapshot) => {
+    if (!window.confirm(`Replace the canvas with "${snapshot.name}" for everyone?`)) return
+    setError('')
+
+    try {
+      const response = await fetch(`${snapshotsUrl}/${snapshot.id}/restore`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        // The server snapshots the current state before restoring
+        loadSnapshots()
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  const handleDelete = async (snapshotId) => {
+    setError('')
+
+    try {
+      const response = await fetch(`${snapshotsUrl}/${snapshotId}`, {
+        method: 'DELETE',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+
+      if (response.ok) {
+        setSnapshots(prev => prev.filter(snapshot => snapshot.id !== snapshotId))
+      } else {
+        const data = await response.json()
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
+  return (
+    <section className="snapshot-panel">
+      <h3>Snapshots</h3>
+
+      {canEdit && (
+        <form onSubmit={handleCreate} className="snapshot-form">
+          <input
+            type="text"
+            value={snapshotName}
+            onChange={(e) => setSnapshotName(e.target.value)}
+            placeholder="Snapshot name"
+          />
+          <button type="submit" className="btn btn-primary btn-small">Save</button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      <ul className="snapshot-list">
+        {snapshots.map(snapshot => (
+          <li key={snapshot.id}>
+            <span className="snapshot-meta">
+              <strong>{snapshot.name}</strong>
+              {snapshot.automatic && ' (auto)'} · {new Date(snapshot.createdAt).toLocaleString()}
+            </span>
+            <div className="snapshot-actions">
+              <button className="tool-button" onClick={() => handlePreview(snapshot.id)}>
+                {preview?.id === snapshot.id ? 'Hide' : 'Preview'}
+              </button>
+              {isOwner && (
+                <>
+                  <button className="tool-button" onClick={() => handleRestore(snapshot)}>
+                    Restore
+                  </button>
+                  <button className="tool-button" onClick={() => handleDelete(snapshot.id)}>
+                    Delete
+                  </button>
+                </>
+              )}
+            </div>
+            {preview?.id === snapshot.id && (
+              <img src={preview.url} alt={`Preview of ${snapshot.name}`} className="snapshot-preview" />
+            )}
+          </li>
+        ))}
+      </ul>
+    </section>
+  )
+}
+
+export default SnapshotPanel
@@ -1,11 +1,85 @@
-import React, { createContext, useContext, useState, useEffect } from 'react'
+import React, { createContext, useContext, useState, useEffect, useRef, useCallback } from 'react'
 
 const AuthContext = createContext(null)
 
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000
+
+// Expiry time (ms) of a JWT, read from its payload
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.exp * 1000
+  } catch (error) {
+    return 0
+  }
+}
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null)
   const [token, setToken] = useState(null)
   const [loading, setLoading] = useState(true)
+  const tokenRef = useRef(null)
+  const refreshingRef = useRef(null)
+
+  const saveSession = useCallback((data) => {
+    tokenRef.current = data.token
+    setToken(data.token)
+    localStorage.setItem('token', data.token)
+    localStorage.setItem('refreshToken', data.refreshToken)
+    if (data.user) {
+      setUser(data.user)
+      localStorage.setItem('user', JSON.stringify(data.user))
+    }
+  }, [])
+
+  const clearSession = useCallback(() => {
+    tokenRef.current = null
+    setToken(null)
+    setUser(null)
+    localStorage.removeItem('token')
+    localStorage.removeItem('refreshToken')
+    localStorage.removeItem('user')
+  }, [])
+
+  // Swap the refresh token for a new token pair. Resolves to false (and signs out) if the
+  // session is no longer valid. Concurrent callers share one request, since refresh tokens are single-use
+  const refreshSession = useCallback(() => {
+    if (!refreshingRef.current) {
+      refreshingRef.current = (async () => {
+        const refreshToken = localStorage.getItem('refreshToken')
+        if (!refreshToken) {
+          clearSession()
+          return false
+        }
+
+        try {
+          const response = await fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+          })
+
+          if (response.ok) {
+            saveSession(await response.json())
+            return true
+          }
+          if (response.status === 401) {
+            clearSession()
+          }
+          return false
+        } catch (error) {
+          return false
+        } finally {
+          refreshingRef.current = null
+        }
+      })()
+    }
+    return refreshingRef.current
+  }, [saveSession, clearSession])
+
+  // Latest access token, for long-lived connections that outlive a render (e.g. socket reconnects)
+  const getToken = useCallback(() => tokenRef.current, [])
 
   useEffect(() => {
     // Check for existing token on mount
@@ -13,12 +87,22 @@ export const AuthProvider = ({ children }) => {
     const savedUser = localStorage.getItem('user')
 
     if (savedToken && savedUser) {
+      tokenRef.current = savedToken
       setToken(savedToken)
       setUser(JSON.parse(savedUser))
     }
     setLoading(false)
   }, [])
 
+  // Keep the access token fresh while signed in
+  useEffect(() => {
+    if (!token) return
+
+    const delay = Math.max(0, tokenExpiry(token) - Date.now() - REFRESH_MARGIN_MS)
+    const timer = setTimeout(refreshSession, delay)
+    return () => clearTimeout(timer)
+  }, [token, refreshSession])
+
   const login = async (email, password) => {
     try {
       const response = await fetch('/api/auth/login', {
@@ -30,10 +114,7 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json()
 
       if (response.ok) {
-        setToken(data.token)
-        setUser(data.user)
-        localStorage.setItem('token', data.token)
-        localStorage.setItem('user', JSON.stringify(data.user))
+        saveSession(data)
         return { success: true }
       } else {
         return { success: false, error: data.error }
@@ -54,10 +135,7 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json()
 
       if (response.ok) {
-        setToken(data.token)
-        setUser(data.user)
-        localStorage.setItem('token', data.token)
-        localStorage.setItem('user', JSON.stringify(data.user))
+        saveSession(data)
         return { success: true }
       } else {
         return { success: false, error: data.error }
@@ -67,11 +145,20 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
-  const logout = () => {
-    setToken(null)
-    setUser(null)
-    localStorage.removeItem('token')
-    localStorage.removeItem('user')
+  // Revoke the session on the server (all sessions with `everywhere`), then forget it locally
+  const logout = async ({ everywhere = false } = {}) => {
+    const currentToken = tokenRef.current
+    clearSession()
+    if (!currentToken) return
+
+    try {
+      await fetch(everywhere ? '/api/auth/logout-all' : '/api/auth/logout', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${currentToken}` }
+      })
+    } catch (error) {
+      // Signed out locally either way
+    }
   }
 
   const value = {
@@ -81,6 +168,8 @@ export const AuthProvider = ({ children }) => {
     login,
     signup,
     logout,
+    getToken,
+    refreshSession,
     isAuthenticated: !!token
   }
 
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+
+const AcceptInvite = () => {
+  const { token: inviteToken } = useParams()
+  const { token } = useAuth()
+  const navigate = useNavigate()
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    let cancelled = false
+
+    const acceptInvite = async () => {
+      try {
+        const response = await fetch(`/api/invites/${encodeURIComponent(inviteToken)}/accept`, {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` }
+        })
+        const data = await response.json()
+        if (cancelled) return
+
+        if (response.ok) {
+          navigate(`/canvas/${encodeURIComponent(data.canvas.name)}`, { replace: true })
+        } else {
+          setError(data.error)
+        }
+      } catch (error) {
+        if (!cancelled) {
+          setError('Connection error: ' + error.message)
+        }
+      }
+    }
+
+    acceptInvite()
+
+    return () => {
+      cancelled = true
+    }
+  }, [inviteToken, token, navigate])
+
+  return (
+    <div className="landing-container">
+      <div className="landing-content">
+        <div className="landing-header">
+          <h1>Canvas Invite</h1>
+        </div>
+
+        {error ? (
+          <>
+            <div className="error-message">{error}</div>
+            <button onClick={() => navigate('/landing')} className="btn btn-secondary">
+              Back to Canvases
+            </button>
+          </>
+        ) : (
+          <p className="welcome-text">Joining canvas...</p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AcceptInvite
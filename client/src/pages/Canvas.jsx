@@ -0,0 +1,948 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { io } from 'socket.io-client'
+import { useAuth } from '../contexts/AuthContext'
+import InvitePanel from '../components/InvitePanel'
+import SnapshotPanel from '../components/SnapshotPanel'
+import LayerPanel from '../components/LayerPanel'
+import {
+  CANVAS_WIDTH,
+  CANVAS_HEIGHT,
+  drawSelection,
+  drawShape,
+  drawStroke,
+  hitTest,
+  isDeletedStroke,
+  strokeFromEvent,
+  strokeFromEvents,
+  visibleShapes
+} from '../utils/drawing'
+
+const TOOLS = [
+  { id: 'select', label: 'Select' },
+  { id: 'pen', label: 'Pen' },
+  { id: 'rectangle', label: 'Rectangle' },
+  { id: 'ellipse', label: 'Ellipse' },
+  { id: 'line', label: 'Line' }
+]
+
+const CURSOR_THROTTLE_MS = 50
+const HEARTBEAT_INTERVAL_MS = 15000
+// Selecting a shape locks it for a while on the server; renew the lock well before it runs out
+const SELECTION_RENEW_INTERVAL_MS = 10000
+const OWN_SELECTION_COLOR = '#0d6efd'
+
+// Handshake errors that a token refresh can fix
+const AUTH_ERRORS = ['Invalid or expired token', 'Token has been revoked']
+
+const createId = (prefix) => `${prefix}-${Date.now()}-${Math.random().toString(36).substring(2, 8)}`
+
+const Canvas = () => {
+  const { name } = useParams()
+  const { user, token, getToken, refreshSession } = useAuth()
+  const navigate = useNavigate()
+  const userId = user?.id
+
+  const [connected, setConnected] = useState(false)
+  const [role, setRole] = useState(null)
+  const [historyStatus, setHistoryStatus] = useState({ canUndo: false, canRedo: false })
+  const [error, setError] = useState('')
+  const [tool, setTool] = useState('pen')
+  const [color, setColor] = useState('#000000')
+  const [strokeWidth, setStrokeWidth] = useState(3)
+  const [users, setUsers] = useState([])
+  const [layers, setLayers] = useState([]) // bottom first
+  const [activeLayerId, setActiveLayerId] = useState(null)
+  const [cursors, setCursors] = useState({})
+  const [messages, setMessages] = useState([])
+  const [messagesCursor, setMessagesCursor] = useState(null)
+  const [chatInput, setChatInput] = useState('')
+
+  const canvasRef = useRef(null)
+  const socketRef = useRef(null)
+  // Scene data lives in refs so socket handlers can mutate it without re-rendering
+  const layersRef = useRef([])
+  const shapesRef = useRef(new Map())
+  const strokesRef = useRef([])
+  const activeStrokesRef = useRef(new Map()) // Map<userId, stroke> for in-progress remote strokes
+  const selectionsRef = useRef(new Map()) // Map<shapeId, selection> of shapes other users have selected
+  const selectedIdRef = useRef(null) // the shape this tab has selected
+  const lastMoveEmitRef = useRef(0)
+  const localActionRef = useRef(null)
+  const lastCursorEmitRef = useRef(0)
+  const activeSinceHeartbeatRef = useRef(false)
+  const frameRef = useRef(null)
+
+  const canEdit = role === 'editor' || role === 'owner'
+  const isOwner = role === 'owner'
+
+  const render = useCallback(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+
+    const shapes = visibleShapes(shapesRef.current.values(), layersRef.current)
+    for (const shape of shapes) {
+      drawShape(ctx, shape)
+    }
+    for (const shape of shapes) {
+      const selection = selectionsRef.current.get(shape.id)
+      if (shape.id === selectedIdRef.current) {
+        drawSelection(ctx, shape, OWN_SELECTION_COLOR)
+      } else if (selection) {
+        drawSelection(ctx, shape, selection.color, selection.username)
+      }
+    }
+    for (const stroke of strokesRef.current) {
+      drawStroke(ctx, stroke)
+    }
+    for (const stroke of activeStrokesRef.current.values()) {
+      drawStroke(ctx, stroke)
+    }
+
+    const action = localActionRef.current
+    if (action?.stroke) {
+      drawStroke(ctx, action.stroke)
+    } else if (action?.shape) {
+      drawShape(ctx, action.shape)
+    }
+  }, [])
+
+  const scheduleRender = useCallback(() => {
+    if (frameRef.current) return
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null
+      render()
+    })
+  }, [render])
+
+  // Replace the layer list (bottom first), keeping the ref used for rendering in step
+  const updateLayers = useCallback((update) => {
+    layersRef.current = update(layersRef.current)
+    setLayers(layersRef.current)
+    scheduleRender()
+  }, [scheduleRender])
+
+  // Keep the active layer pointing at an existing one, defaulting to the top layer
+  useEffect(() => {
+    if (layers.length > 0 && !layers.some(layer => layer.id === activeLayerId)) {
+      setActiveLayerId(layers[layers.length - 1].id)
+    }
+  }, [layers, activeLayerId])
+
+  useEffect(() => {
+    const socket = io({ auth: (cb) => cb({ token: getToken() }) })
+    socketRef.current = socket
+    let closed = false
+    let rateLimited = false
+
+    // Reconnect with a fresh access token; if the session was revoked the refresh fails and signs us out
+    const reconnectWithFreshToken = () => {
+      refreshSession().then(ok => {
+        if (ok && !closed) socket.connect()
+      })
+    }
+
+    socket.on('connect', () => {
+      setConnected(true)
+      setError('')
+      socket.emit('canvas:join', name)
+    })
+
+    socket.on('disconnect', (reason) => {
+      setConnected(false)
+      // Don't reconnect straight away after being disconnected for flooding the server
+      if (reason === 'io server disconnect' && !rateLimited) reconnectWithFreshToken()
+    })
+
+    socket.on('connect_error', (err) => {
+      setError(err.message)
+      if (AUTH_ERRORS.includes(err.message)) reconnectWithFreshToken()
+    })
+
+    socket.on('canvas:error', (data) => {
+      setError(data.message)
+    })
+
+    socket.on('error:validation', (data) => {
+      setError(data.message)
+    })
+
+    socket.on('error:rate-limit', (data) => {
+      if (data.disconnected) {
+        rateLimited = true
+        setError('Disconnected for sending too many events. Reload the page to reconnect.')
+      } else {
+        setError(data.message)
+      }
+    })
+
+    socket.on('canvas:renamed', (data) => {
+      navigate(`/canvas/${encodeURIComponent(data.to)}`, { replace: true })
+    })
+
+    socket.on('canvas:deleted', () => {
+      navigate('/landing')
+    })
+
+    socket.on('canvas:role', (data) => {
+      setRole(data.role)
+    })
+
+    socket.on('canvas:removed', () => {
+      navigate('/landing')
+    })
+
+    socket.on('canvas:state', (state) => {
+      updateLayers(() => state.layers)
+      // Keep our selection only if the server still has it (the state is also resent after a restore).
+      // Other tabs of ours show like other users
+      const selections = state.selections || []
+      const ownSelection = (selection) => selection.shapeId === selectedIdRef.current && selection.userId === userId
+      if (!selections.some(ownSelection)) selectedIdRef.current = null
+      selectionsRef.current = new Map(selections
+        .filter(selection => !ownSelection(selection))
+        .map(selection => [selection.shapeId, selection]))
+      shapesRef.current = new Map(state.shapes.map(shape => [shape.id, shape]))
+      strokesRef.current = state.drawEvents.map(strokeFromEvent)
+      // Strokes other users are drawing right now continue with their next canvas:frame
+      activeStrokesRef.current = new Map(
+        (state.activeStrokes || []).map(stroke => [stroke.userId, strokeFromEvent(stroke)])
+      )
+      setUsers(state.users)
+      setMessages(state.messages || [])
+      setMessagesCursor(state.messagesCursor || null)
+      scheduleRender()
+    })
+
+    // Presence changes arrive as diffs: users whose status or connection count changed, and users who left
+    socket.on('presence:diff', (data) => {
+      setUsers(prev => {
+        const changed = new Map(data.changed.map(u => [u.userId, u]))
+        const next = prev
+          .filter(u => !data.removed.includes(u.userId))
+          .map(u => changed.get(u.userId) || u)
+        const known = new Set(next.map(u => u.userId))
+        return [...next, ...data.changed.filter(u => !known.has(u.userId))]
+      })
+    })
+
+    socket.on('user:left', (data) => {
+      setCursors(prev => {
+        const next = { ...prev }
+        delete next[data.userId]
+        return next
+      })
+    })
+
+    socket.on('draw:start', (data) => {
+      activeStrokesRef.current.set(data.userId, {
+        strokeId: data.strokeId,
+        userId: data.userId,
+        color: data.color,
+        width: data.width,
+        points: [{ x: data.x, y: data.y }]
+      })
+      scheduleRender()
+    })
+
+
+    socket.on('draw:end', (data) => {
+      const stroke = activeStrokesRef.current.get(data.userId)
+      if (!stroke) return
+      activeStrokesRef.current.delete(data.userId)
+      strokesRef.current.push(stroke)
+      scheduleRender()
+    })
+
+    socket.on('stroke:add', (data) => {
+      strokesRef.current.push(strokeFromEvents(data.strokeId, data.drawEvents))
+      scheduleRender()
+    })
+
+    socket.on('stroke:delete', (data) => {
+      strokesRef.current = strokesRef.current.filter(stroke => !isDeletedStroke(stroke, data))
+      scheduleRender()
+    })
+
+    socket.on('history:status', (status) => {
+      setHistoryStatus(status)
+    })
+
+    socket.on('shape:add', (shape) => {
+      shapesRef.current.set(shape.id, shape)
+      scheduleRender()
+    })
+
+    socket.on('shape:update', (data) => {
+      const existing = shapesRef.current.get(data.shapeId)
+      if (!existing) return
+      shapesRef.current.set(data.shapeId, { ...existing, ...data, id: data.shapeId })
+      scheduleRender()
+    })
+
+    socket.on('shape:delete', (data) => {
+      shapesRef.current.delete(data.shapeId)
+      selectionsRef.current.delete(data.shapeId)
+      scheduleRender()
+    })
+
+    socket.on('shape:select', (selection) => {
+      selectionsRef.current.set(selection.shapeId, selection)
+      scheduleRender()
+    })
+
+    // Also sent to us when our own lock timed out
+    socket.on('shape:deselect', (data) => {
+      if (selectionsRef.current.get(data.shapeId)?.userId === data.userId) {
+        selectionsRef.current.delete(data.shapeId)
+      }
+      if (data.userId === userId && data.shapeId === selectedIdRef.current) {
+        selectedIdRef.current = null
+        localActionRef.current = null
+      }
+      scheduleRender()
+    })
+
+    socket.on('shape:placement', (data) => {
+      const existing = shapesRef.current.get(data.shapeId)
+      if (!existing) return
+      shapesRef.current.set(data.shapeId, { ...existing, layerId: data.layerId, zIndex: data.zIndex })
+      scheduleRender()
+    })
+
+    socket.on('layer:create', (data) => {
+      updateLayers(prev => [...prev, data.layer])
+    })
+
+    socket.on('layer:update', (data) => {
+      updateLayers(prev => prev.map(layer => (layer.id === data.layer.id ? data.layer : layer)))
+    })
+
+    socket.on('layer:reorder', (data) => {
+      updateLayers(prev => {
+        const byId = new Map(prev.map(layer => [layer.id, layer]))
+        return data.layerIds.map(layerId => byId.get(layerId)).filter(Boolean)
+      })
+    })
+
+    // Deleting a layer deletes the shapes on it
+    socket.on('layer:delete', (data) => {
+      for (const [shapeId, shape] of shapesRef.current) {
+        if (shape.layerId === data.layerId) shapesRef.current.delete(shapeId)
+      }
+      updateLayers(prev => prev.filter(layer => layer.id !== data.layerId))
+    })
+
+    // A batch is applied in full before re-rendering so peers never see it half done
+    socket.on('canvas:batch', (data) => {
+      for (const { op, ...payload } of data.operations) {
+        if (op === 'add') {
+          shapesRef.current.set(payload.id, payload)
+        } else if (op === 'update') {
+          const existing = shapesRef.current.get(payload.shapeId)
+          if (existing) {
+            shapesRef.current.set(payload.shapeId, { ...existing, ...payload, id: payload.shapeId })
+          }
+        } else if (op === 'delete') {
+          shapesRef.current.delete(payload.shapeId)
+          selectionsRef.current.delete(payload.shapeId)
+        }
+      }
+      scheduleRender()
+    })
+
+    // Clearing releases every selection
+    socket.on('canvas:clear', () => {
+      shapesRef.current = new Map()
+      selectionsRef.current = new Map()
+      selectedIdRef.current = null
+      strokesRef.current = []
+      activeStrokesRef.current = new Map()
+      scheduleRender()
+    })
+
+    // Cursor positions and stroke points, coalesced by the server into one frame per tick.
+    // Frames include our own movements, which are already on screen
+    socket.on('canvas:frame', (frame) => {
+      for (const delta of frame.strokes) {
+        const stroke = activeStrokesRef.current.get(delta.userId)
+        if (stroke?.strokeId === delta.strokeId) stroke.points.push(...delta.points)
+      }
+      if (frame.strokes.length > 0) scheduleRender()
+
+      const cursors = frame.cursors.filter(cursor => cursor.userId !== userId)
+      if (cursors.length > 0) {
+        setCursors(prev => ({ ...prev, ...Object.fromEntries(cursors.map(cursor => [cursor.userId, cursor])) }))
+      }
+    })
+
+    socket.on('chat:message', (message) => {
+      setMessages(prev => [...prev, message])
+    })
+
+    return () => {
+      closed = true
+      socket.disconnect()
+      socketRef.current = null
+      if (frameRef.current) {
+        cancelAnimationFrame(frameRef.current)
+        frameRef.current = null
+      }
+    }
+  }, [name, userId, getToken, refreshSession, navigate, scheduleRender, updateLayers])
+
+  // Presence heartbeats: periodically, flagged active if the user did something since the last one,
+  // and right away when the tab is hidden or shown
+  useEffect(() => {
+    const markActive = () => {
+      activeSinceHeartbeatRef.current = true
+    }
+    // Sent without a target canvas, so it applies to whatever the socket has joined by now
+    const sendHeartbeat = () => {
+      const socket = socketRef.current
+      if (!socket?.connected) return
+      socket.emit('presence:heartbeat', {
+        active: activeSinceHeartbeatRef.current,
+        hidden: document.hidden
+      })
+      activeSinceHeartbeatRef.current = false
+    }
+    const handleVisibilityChange = () => {
+      if (!document.hidden) markActive()
+      sendHeartbeat()
+    }
+
+    const interval = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL_MS)
+    window.addEventListener('mousemove', markActive)
+    window.addEventListener('keydown', markActive)
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      clearInterval(interval)
+      window.removeEventListener('mousemove', markActive)
+      window.removeEventListener('keydown', markActive)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [name])
+
+  // Map a mouse event to logical canvas coordinates
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect()
+    return {
+      x: Math.round((e.clientX - rect.left) * (CANVAS_WIDTH / rect.width)),
+      y: Math.round((e.clientY - rect.top) * (CANVAS_HEIGHT / rect.height))
+    }
+  }
+
+  // Selecting a shape locks it against other users' changes until it is deselected
+  const deselectShape = useCallback(() => {
+    const shapeId = selectedIdRef.current
+    if (!shapeId) return
+
+    selectedIdRef.current = null
+    socketRef.current?.emit('shape:deselect', { canvas: name, shapeId })
+    scheduleRender()
+  }, [name, scheduleRender])
+
+  const deleteSelectedShape = useCallback(() => {
+    const shapeId = selectedIdRef.current
+    if (!shapeId || !socketRef.current) return
+
+    socketRef.current.emit('shape:delete', { canvas: name, shapeId }, (response) => {
+      if (!response.ok) {
+        setError(response.error.message)
+        return
+      }
+      shapesRef.current.delete(shapeId)
+      if (selectedIdRef.current === shapeId) selectedIdRef.current = null
+      scheduleRender()
+    })
+  }, [name, scheduleRender])
+
+  const emitMove = (shapeId, position) => {
+    socketRef.current?.emit('shape:update', { canvas: name, shapeId, ...position }, (response) => {
+      if (!response.ok) setError(response.error.message)
+    })
+  }
+
+  // Select the topmost shape under the pointer (not on a locked layer) and start moving it
+  const handleSelectStart = (point) => {
+    const lockedLayerIds = new Set(layersRef.current.filter(layer => layer.locked).map(layer => layer.id))
+    const shape = visibleShapes(shapesRef.current.values(), layersRef.current)
+      .reverse()
+      .find(candidate => !lockedLayerIds.has(candidate.layerId) && hitTest(candidate, point))
+
+    if (!shape) {
+      deselectShape()
+      return
+    }
+
+    const selection = selectionsRef.current.get(shape.id)
+    if (selection && selection.userId !== userId) {
+      setError(`${selection.username} is editing this shape`)
+      return
+    }
+
+    if (shape.id !== selectedIdRef.current) {
+      deselectShape()
+      selectedIdRef.current = shape.id
+      socketRef.current.emit('shape:select', { canvas: name, shapeId: shape.id }, (response) => {
+        if (response.ok) return
+
+        // Someone else selected it first: put it back where it was
+        if (selectedIdRef.current === shape.id) {
+          selectedIdRef.current = null
+          localActionRef.current = null
+        }
+        if (shapesRef.current.has(shape.id)) shapesRef.current.set(shape.id, shape)
+        setError(response.error.message)
+        scheduleRender()
+      })
+    }
+
+    localActionRef.current = { move: { shapeId: shape.id, origin: point, from: { x: shape.x, y: shape.y } } }
+    scheduleRender()
+  }
+
+  const handleMouseDown = (e) => {
+    const socket = socketRef.current
+    if (!socket || !connected || !canEdit) return
+
+    const point = getPoint(e)
+
+    if (tool === 'select') {
+      handleSelectStart(point)
+      return
+    }
+
+    // Freehand strokes sit above all layers; shapes go on the active one
+    const activeLayer = layers.find(layer => layer.id === activeLayerId)
+    if (tool !== 'pen' && (activeLayer?.locked || activeLayer?.hidden)) {
+      setError(`Layer "${activeLayer.name}" is ${activeLayer.locked ? 'locked' : 'hidden'}`)
+      return
+    }
+
+    if (tool === 'pen') {
+      const strokeId = createId('stroke')
+      localActionRef.current = {
+        stroke: { strokeId, userId: user?.id, color, width: strokeWidth, points: [point] }
+      }
+      socket.emit('draw:start', { canvas: name, ...point, strokeId, color, width: strokeWidth })
+    } else {
+      localActionRef.current = {
+        origin: point,
+        shape: { type: tool, layerId: activeLayerId, x: point.x, y: point.y, width: 0, height: 0, color, strokeWidth }
+      }
+    }
+    scheduleRender()
+  }
+
+  const handleMouseMove = (e) => {
+    const socket = socketRef.current
+    if (!socket) return
+
+    const point = getPoint(e)
+    const now = Date.now()
+    if (now - lastCursorEmitRef.current >= CURSOR_THROTTLE_MS) {
+      lastCursorEmitRef.current = now
+      socket.emit('cursor:move', { canvas: name, ...point })
+    }
+
+    const action = localActionRef.current
+    if (!action) return
+
+    if (action.move) {
+      const { shapeId, origin, from } = action.move
+      const shape = shapesRef.current.get(shapeId)
+      if (!shape) {
+        localActionRef.current = null
+        return
+      }
+
+      const position = { x: from.x + point.x - origin.x, y: from.y + point.y - origin.y }
+      shapesRef.current.set(shapeId, { ...shape, ...position })
+      action.move.moved = true
+      if (now - lastMoveEmitRef.current >= CURSOR_THROTTLE_MS) {
+        lastMoveEmitRef.current = now
+        emitMove(shapeId, position)
+      }
+    } else if (action.stroke) {
+      action.stroke.points.push(point)
+      socket.emit('draw:move', { canvas: name, ...point, strokeId: action.stroke.strokeId })
+    } else if (action.shape) {
+      action.shape.width = point.x - action.origin.x
+      action.shape.height = point.y - action.origin.y
+    }
+    scheduleRender()
+  }
+
+  const handleMouseUp = () => {
+    const socket = socketRef.current
+    const action = localActionRef.current
+    localActionRef.current = null
+    if (!socket || !action) return
+
+    if (action.move) {
+      // Make sure the final position is sent, whatever the throttle dropped
+      const shape = shapesRef.current.get(action.move.shapeId)
+      if (shape && action.move.moved) emitMove(shape.id, { x: shape.x, y: shape.y })
+    } else if (action.stroke) {
+      strokesRef.current.push(action.stroke)
+      socket.emit('draw:end', { canvas: name, strokeId: action.stroke.strokeId })
+    } else if (action.shape && (action.shape.width || action.shape.height)) {
+      // Shown under a temporary id, on top of its layer, until the server acknowledges it with the real one
+      const clientId = createId('tmp')
+      shapesRef.current.set(clientId, { ...action.shape, id: clientId, zIndex: Infinity })
+      socket.emit('shape:add', { canvas: name, ...action.shape, clientId }, (response) => {
+        if (response.ok) {
+          const pending = shapesRef.current.get(clientId)
+          shapesRef.current.delete(clientId)
+          if (pending) {
+            shapesRef.current.set(response.id, { ...pending, id: response.id, layerId: response.layerId, zIndex: response.zIndex })
+          }
+        } else {
+          shapesRef.current.delete(clientId)
+          setError(response.error.message)
+        }
+        scheduleRender()
+      })
+    }
+    scheduleRender()
+  }
+
+  // Drop the selection when switching tools or losing edit rights
+  useEffect(() => {
+    if (tool !== 'select' || !canEdit) deselectShape()
+  }, [tool, canEdit, deselectShape])
+
+  // Keep the selected shape's lock alive
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const shapeId = selectedIdRef.current
+      if (shapeId && socketRef.current?.connected) {
+        socketRef.current.emit('shape:select', { canvas: name, shapeId })
+      }
+    }, SELECTION_RENEW_INTERVAL_MS)
+    return () => clearInterval(interval)
+  }, [name])
+
+  // Escape to deselect, Delete/Backspace to delete the selected shape
+  useEffect(() => {
+    if (!canEdit) return
+
+    const handleKeyDown = (e) => {
+      if (!selectedIdRef.current || e.target.tagName === 'INPUT') return
+
+      if (e.key === 'Escape') {
+        deselectShape()
+      } else if (e.key === 'Delete' || e.key === 'Backspace') {
+        e.preventDefault()
+        deleteSelectedShape()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [canEdit, deselectShape, deleteSelectedShape])
+
+  const handleUndo = useCallback(() => {
+    socketRef.current?.emit('history:undo', { canvas: name })
+  }, [name])
+
+  const handleRedo = useCallback(() => {
+    socketRef.current?.emit('history:redo', { canvas: name })
+  }, [name])
+
+  // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y to redo
+  useEffect(() => {
+    if (!canEdit) return
+
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.tagName === 'INPUT') return
+
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        handleUndo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        handleRedo()
+      }
+    }
+
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [canEdit, handleUndo, handleRedo])
+
+  // The export endpoint needs the auth header, so download it as a blob instead of linking to it
+  const handleExport = async () => {
+    try {
+      const response = await fetch(`/api/canvases/${encodeURIComponent(name)}/export.svg?background=%23ffffff`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+
+      if (!response.ok) {
+        const data = await response.json()
+        setError(data.error)
+        return
+      }
+
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `${name}.svg`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError('Connection error: ' + err.message)
+    }
+  }
+
+  // Layer changes are applied once the server acknowledges them (e.g. a locked layer can't be deleted)
+  const emitLayerEvent = (event, data, onSuccess) => {
+    socketRef.current?.emit(event, { canvas: name, ...data }, (response) => {
+      if (response.ok) {
+        onSuccess(response)
+      } else {
+        setError(response.error.message)
+      }
+    })
+  }
+
+  const handleCreateLayer = () => {
+    emitLayerEvent('layer:create', {}, ({ layer }) => {
+      updateLayers(prev => [...prev, layer])
+      setActiveLayerId(layer.id)
+    })
+  }
+
+  const handleUpdateLayer = (layer, changes) => {
+    emitLayerEvent('layer:update', { layerId: layer.id, ...changes }, ({ layer: updated }) => {
+      updateLayers(prev => prev.map(candidate => (candidate.id === updated.id ? updated : candidate)))
+    })
+  }
+
+  const handleMoveLayer = (layer, index) => {
+    emitLayerEvent('layer:reorder', { layerId: layer.id, index }, ({ layerIds }) => {
+      updateLayers(prev => {
+        const byId = new Map(prev.map(candidate => [candidate.id, candidate]))
+        return layerIds.map(layerId => byId.get(layerId)).filter(Boolean)
+      })
+    })
+  }
+
+  const handleDeleteLayer = (layer) => {
+    emitLayerEvent('layer:delete', { layerId: layer.id }, () => {
+      for (const [shapeId, shape] of shapesRef.current) {
+        if (shape.layerId === layer.id) shapesRef.current.delete(shapeId)
+      }
+      updateLayers(prev => prev.filter(candidate => candidate.id !== layer.id))
+    })
+  }
+
+  const handleClear = () => {
+    if (!socketRef.current) return
+    if (!window.confirm('Clear the canvas for everyone?')) return
+
+    shapesRef.current = new Map()
+    selectionsRef.current = new Map()
+    selectedIdRef.current = null
+    strokesRef.current = []
+    socketRef.current.emit('canvas:clear', { canvas: name })
+    scheduleRender()
+  }
+
+  const loadOlderMessages = async () => {
+    if (!messagesCursor) return
+
+    try {
+      const params = new URLSearchParams({ before: messagesCursor })
+      const response = await fetch(`/api/canvases/${encodeURIComponent(name)}/messages?${params}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setMessages(prev => [...data.messages, ...prev])
+        setMessagesCursor(data.nextCursor)
+      } else {
+        setError(data.error)
+      }
+    } catch (err) {
+      setError('Connection error: ' + err.message)
+    }
+  }
+
+  const handleSendMessage = (e) => {
+    e.preventDefault()
+    const text = chatInput.trim()
+    if (!text || !socketRef.current) return
+
+    socketRef.current.emit('chat:message', { canvas: name, text })
+    setChatInput('')
+  }
+
+  return (
+    <div className="canvas-page">
+      <header className="canvas-toolbar">
+        <button onClick={() => navigate('/landing')} className="btn btn-secondary btn-small">
+          Back
+        </button>
+        <h2 className="canvas-title">{name}</h2>
+        <span className={`connection-status ${connected ? 'online' : 'offline'}`}>
+          {connected ? 'Connected' : 'Offline'}
+        </span>
+
+        {role && <span className="role-badge">{role}</span>}
+
+        {canEdit && (
+          <div className="tool-group">
+            {TOOLS.map(t => (
+              <button
+                key={t.id}
+                className={`tool-button ${tool === t.id ? 'active' : ''}`}
+                onClick={() => setTool(t.id)}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {canEdit && (
+          <div className="tool-group">
+            <input
+              type="color"
+              value={color}
+              onChange={(e) => setColor(e.target.value)}
+              aria-label="Color"
+            />
+            <input
+              type="range"
+              min="1"
+              max="20"
+              value={strokeWidth}
+              onChange={(e) => setStrokeWidth(Number(e.target.value))}
+              aria-label="Stroke width"
+            />
+          </div>
+        )}
+
+        {canEdit && (
+          <div className="tool-group">
+            <button className="tool-button" onClick={handleUndo} disabled={!historyStatus.canUndo}>
+              Undo
+            </button>
+            <button className="tool-button" onClick={handleRedo} disabled={!historyStatus.canRedo}>
+              Redo
+            </button>
+          </div>
+        )}
+
+        <button onClick={handleExport} className="btn btn-secondary btn-small">
+          Export SVG
+        </button>
+
+        <button onClick={() => navigate(`/canvas/${encodeURIComponent(name)}/replay`)} className="btn btn-secondary btn-small">
+          Replay
+        </button>
+
+        {isOwner && (
+          <button onClick={handleClear} className="btn btn-logout btn-small">
+            Clear
+          </button>
+        )}
+      </header>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <div className="canvas-layout">
+        <div className="canvas-surface">
+          <canvas
+            ref={canvasRef}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            onMouseDown={handleMouseDown}
+            onMouseMove={handleMouseMove}
+            onMouseUp={handleMouseUp}
+            onMouseLeave={handleMouseUp}
+          />
+          {Object.values(cursors).map(cursor => (
+            <div
+              key={cursor.userId}
+              className="remote-cursor"
+              style={{
+                left: `${(cursor.x / CANVAS_WIDTH) * 100}%`,
+                top: `${(cursor.y / CANVAS_HEIGHT) * 100}%`,
+                background: cursor.color
+              }}
+            >
+              {cursor.firstName} {cursor.lastName}
+            </div>
+          ))}
+        </div>
+
+        <aside className="canvas-sidebar">
+          <section>
+            <h3>Users ({users.length})</h3>
+            <ul className="user-list">
+              {users.map(u => (
+                <li key={u.userId} className={`user-status-${u.status}`}>
+                  <span className="user-color" style={{ background: u.color }} />
+                  {u.username}
+                  {u.connections > 1 && <span className="user-connections"> ({u.connections} tabs)</span>}
+                  <span className="user-status">{u.status}</span>
+                </li>
+              ))}
+            </ul>
+          </section>
+
+          <LayerPanel
+            layers={layers}
+            activeLayerId={activeLayerId}
+            canEdit={canEdit}
+            onSelect={setActiveLayerId}
+            onCreate={handleCreateLayer}
+            onUpdate={handleUpdateLayer}
+            onMove={handleMoveLayer}
+            onDelete={handleDeleteLayer}
+          />
+
+          {isOwner && <InvitePanel canvasName={name} />}
+
+          <SnapshotPanel canvasName={name} canEdit={canEdit} isOwner={isOwner} />
+
+          <section className="chat-panel">
+            <h3>Chat</h3>
+            <div className="chat-messages">
+              {messagesCursor && (
+                <button onClick={loadOlderMessages} className="btn btn-secondary btn-small">
+                  Load earlier messages
+                </button>
+              )}
+              {messages.map(m => (
+                <div key={m.id} className="chat-message">
+                  <strong>{m.firstName}:</strong> {m.message}
+                </div>
+              ))}
+            </div>
+            <form onSubmit={handleSendMessage} className="chat-form">
+              <input
+                type="text"
+                value={chatInput}
+                onChange={(e) => setChatInput(e.target.value)}
+                placeholder="Say something..."
+              />
+              <button type="submit" className="btn btn-primary btn-small">Send</button>
+            </form>
+          </section>
+        </aside>
+      </div>
+    </div>
+  )
+}
+
+export default Canvas
@@ -0,0 +1,74 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setMessage('')
+    setLoading(true)
+
+    try {
+      const response = await fetch('/api/auth/forgot-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setMessage(data.message)
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+
+    setLoading(false)
+  }
+
+  return (
+    <div className="home-container">
+      <div className="auth-card">
+        <h1>Forgot Password</h1>
+        <p className="subtitle">We'll email you a link to choose a new password</p>
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="email">Email</label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              required
+            />
+          </div>
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+
+        <div className="signup-section">
+          <button onClick={() => navigate('/')} className="btn btn-secondary">
+            Back to Sign In
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ForgotPassword
@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
 const Home = () => {
@@ -11,6 +11,8 @@ const Home = () => {
 
   const { login } = useAuth()
   const navigate = useNavigate()
+  const location = useLocation()
+  const redirectTo = location.state?.from?.pathname || '/landing'
 
   const handleSignIn = async (e) => {
     e.preventDefault()
@@ -20,7 +22,7 @@ const Home = () => {
     const result = await login(email, password)
 
     if (result.success) {
-      navigate('/landing')
+      navigate(redirectTo, { replace: true })
     } else {
       setError(result.error)
     }
@@ -29,7 +31,7 @@ const Home = () => {
   }
 
   const handleSignUpClick = () => {
-    navigate('/signup')
+    navigate('/signup', { state: location.state })
   }
 
   return (
@@ -83,6 +85,10 @@ const Home = () => {
             </div>
           </div>
 
+          <button type="button" onClick={() => navigate('/forgot-password')} className="forgot-password">
+            Forgot password?
+          </button>
+
           {error && <div className="error-message">{error}</div>}
 
           <button type="submit" className="btn btn-primary" disabled={loading}>
@@ -1,16 +1,87 @@
-import React from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
 const Landing = () => {
-  const { user, logout } = useAuth()
+  const { user, token, logout } = useAuth()
   const navigate = useNavigate()
+  const [canvasName, setCanvasName] = useState('')
+  const [canvases, setCanvases] = useState([])
+  const [error, setError] = useState('')
+  const [verificationMessage, setVerificationMessage] = useState('')
 
-  const handleLogout = () => {
-    logout()
+  const loadCanvases = useCallback(async () => {
+    try {
+      const response = await fetch('/api/canvases', {
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setCanvases(data.canvases)
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }, [token])
+
+  useEffect(() => {
+    loadCanvases()
+  }, [loadCanvases])
+
+  const handleResendVerification = async () => {
+    setVerificationMessage('')
+    try {
+      const response = await fetch('/api/auth/resend-verification', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` }
+      })
+      const data = await response.json()
+      setVerificationMessage(response.ok ? data.message : data.error)
+    } catch (error) {
+      setVerificationMessage('Connection error: ' + error.message)
+    }
+  }
+
+  const handleLogout = async (everywhere = false) => {
+    await logout({ everywhere })
     navigate('/')
   }
 
+  const openCanvas = (name) => {
+    navigate(`/canvas/${encodeURIComponent(name)}`)
+  }
+
+  const handleOpenCanvas = async (e) => {
+    e.preventDefault()
+    setError('')
+    const name = canvasName.trim()
+    if (!name) return
+
+    try {
+      const response = await fetch('/api/canvases', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ name })
+      })
+
+      // An existing canvas with this name is simply opened
+      if (response.ok || response.status === 409) {
+        openCanvas(name)
+      } else {
+        const data = await response.json()
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+  }
+
   return (
     <div className="landing-container">
       <div className="landing-content">
@@ -19,9 +90,57 @@ const Landing = () => {
           {user && <p className="welcome-text">Welcome, {user.firstName} {user.lastName}!</p>}
         </div>
 
-        <button onClick={handleLogout} className="btn btn-logout">
+        {user && user.emailVerified === false && (
+          <div className="verification-banner">
+            <p>
+              Please verify your email address using the link we sent to {user.email}.
+              Until then your account is limited.
+            </p>
+            <button onClick={handleResendVerification} className="btn btn-secondary btn-small">
+              Resend verification email
+            </button>
+            {verificationMessage && <p className="verification-status">{verificationMessage}</p>}
+          </div>
+        )}
+
+        <div className="canvas-picker">
+          <form onSubmit={handleOpenCanvas} className="canvas-picker-form">
+            <input
+              type="text"
+              id="canvasName"
+              value={canvasName}
+              onChange={(e) => setCanvasName(e.target.value)}
+              placeholder="Canvas name"
+            />
+            <button type="submit" className="btn btn-primary">
+              Open or Create
+            </button>
+          </form>
+
+          {error && <div className="error-message">{error}</div>}
+
+          {canvases.length > 0 && (
+            <ul className="canvas-list">
+              {canvases.map(canvas => (
+                <li key={canvas.id}>
+                  <button onClick={() => openCanvas(canvas.name)} className="btn btn-secondary">
+                    {canvas.name}
+                    <span className="canvas-meta">
+                      {canvas.role} · {canvas.shapeCount} shapes · {canvas.userCount} online
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <button onClick={() => handleLogout()} className="btn btn-logout">
           Logout
         </button>
+        <button onClick={() => handleLogout(true)} className="btn btn-secondary">
+          Log out all devices
+        </button>
       </div>
     </div>
   )
@@ -0,0 +1,257 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import { io } from 'socket.io-client'
+import { useAuth } from '../contexts/AuthContext'
+import { CANVAS_WIDTH, CANVAS_HEIGHT, drawShape, drawStroke, isDeletedStroke, strokeFromEvent, visibleShapes } from '../utils/drawing'
+
+const SPEEDS = [1, 2, 10]
+
+// Handshake errors that a token refresh can fix
+const AUTH_ERRORS = ['Invalid or expired token', 'Token has been revoked']
+
+const formatTime = (time) => (time ? new Date(time).toLocaleString() : '-')
+
+// Read-only playback of a canvas's event log from the /replay namespace
+const Replay = () => {
+  const { name } = useParams()
+  const { getToken, refreshSession } = useAuth()
+  const navigate = useNavigate()
+  const [status, setStatus] = useState({ playing: false, speed: 1, time: null, startedAt: null, endedAt: null })
+  const [messages, setMessages] = useState([])
+  const [ended, setEnded] = useState(false)
+  const [error, setError] = useState('')
+
+  const canvasRef = useRef(null)
+  const socketRef = useRef(null)
+  const layersRef = useRef([])
+  const shapesRef = useRef(new Map())
+  const strokesRef = useRef([])
+
+  const render = useCallback(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+
+    const ctx = canvas.getContext('2d')
+    ctx.clearRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT)
+
+    for (const shape of visibleShapes(shapesRef.current.values(), layersRef.current)) {
+      drawShape(ctx, shape)
+    }
+    for (const stroke of strokesRef.current) {
+      drawStroke(ctx, stroke)
+    }
+  }, [])
+
+  // Apply one logged event - the same events the live canvas receives
+  const applyEvent = useCallback((event, data) => {
+    switch (event) {
+      case 'shape:add':
+        shapesRef.current.set(data.id, data)
+        break
+      case 'shape:update': {
+        const existing = shapesRef.current.get(data.shapeId)
+        if (existing) shapesRef.current.set(data.shapeId, { ...existing, ...data, id: data.shapeId })
+        break
+      }
+      case 'shape:delete':
+        shapesRef.current.delete(data.shapeId)
+        break
+      case 'shape:placement': {
+        const existing = shapesRef.current.get(data.shapeId)
+        if (existing) shapesRef.current.set(data.shapeId, { ...existing, layerId: data.layerId, zIndex: data.zIndex })
+        break
+      }
+      case 'layer:create':
+        layersRef.current = [...layersRef.current, data.layer]
+        break
+      // A canvas's first layer is created implicitly, so older logs may not have seen it yet
+      case 'layer:update':
+        layersRef.current = layersRef.current.some(layer => layer.id === data.layer.id)
+          ? layersRef.current.map(layer => (layer.id === data.layer.id ? data.layer : layer))
+          : [data.layer, ...layersRef.current]
+        break
+      case 'layer:reorder': {
+        const byId = new Map(layersRef.current.map(layer => [layer.id, layer]))
+        layersRef.current = data.layerIds.map(layerId => byId.get(layerId) || { id: layerId })
+        break
+      }
+      case 'layer:delete':
+        layersRef.current = layersRef.current.filter(layer => layer.id !== data.layerId)
+        for (const [shapeId, shape] of shapesRef.current) {
+          if (shape.layerId === data.layerId) shapesRef.current.delete(shapeId)
+        }
+        break
+      case 'canvas:batch':
+        for (const { op, ...payload } of data.operations) {
+          applyEvent(`shape:${op}`, payload)
+        }
+        break
+      case 'stroke:add':
+        strokesRef.current.push(...data.drawEvents.map(strokeFromEvent))
+        break
+      case 'stroke:delete':
+        strokesRef.current = strokesRef.current.filter(stroke => !isDeletedStroke(stroke, data))
+        break
+      case 'canvas:clear':
+        shapesRef.current = new Map()
+        strokesRef.current = []
+        break
+      case 'canvas:state':
+        layersRef.current = data.layers || []
+        shapesRef.current = new Map(data.shapes.map(shape => [shape.id, shape]))
+        strokesRef.current = data.drawEvents.map(strokeFromEvent)
+        break
+      case 'chat:message':
+        setMessages(prev => [...prev, data])
+        break
+      default:
+        break
+    }
+  }, [])
+
+  useEffect(() => {
+    const socket = io('/replay', { auth: (cb) => cb({ token: getToken() }) })
+    socketRef.current = socket
+    let closed = false
+
+    // Reconnect with a fresh access token; if the session was revoked the refresh fails and signs us out
+    const reconnectWithFreshToken = () => {
+      refreshSession().then(ok => {
+        if (ok && !closed) socket.connect()
+      })
+    }
+
+    socket.on('connect', () => {
+      socket.emit('replay:start', { canvas: name }, (response) => {
+        if (!response.ok) setError(response.error.message)
+      })
+    })
+
+    socket.on('disconnect', (reason) => {
+      if (reason === 'io server disconnect') reconnectWithFreshToken()
+    })
+
+    socket.on('connect_error', (err) => {
+      setError(err.message)
+      if (AUTH_ERRORS.includes(err.message)) reconnectWithFreshToken()
+    })
+
+    socket.on('replay:state', (state) => {
+      layersRef.current = state.layers
+      shapesRef.current = new Map(state.shapes.map(shape => [shape.id, shape]))
+      strokesRef.current = state.drawEvents.map(strokeFromEvent)
+      setMessages(state.messages)
+      setEnded(false)
+      render()
+    })
+
+    socket.on('replay:event', ({ time, event, data }) => {
+      applyEvent(event, data)
+      setStatus(prev => ({ ...prev, time }))
+      render()
+    })
+
+    socket.on('replay:status', (data) => {
+      setStatus(data)
+    })
+
+    socket.on('replay:end', () => {
+      setEnded(true)
+    })
+
+    socket.on('replay:error', (data) => {
+      setError(data.message)
+    })
+
+    return () => {
+      closed = true
+      socket.disconnect()
+      socketRef.current = null
+    }
+  }, [name, getToken, refreshSession, render, applyEvent])
+
+  const handlePlayPause = () => {
+    const socket = socketRef.current
+    if (!socket) return
+
+    if (status.playing) {
+      socket.emit('replay:pause')
+    } else if (ended) {
+      // Start over from the beginning
+      socket.emit('replay:seek', { time: status.startedAt })
+      socket.emit('replay:resume')
+    } else {
+      socket.emit('replay:resume')
+    }
+  }
+
+  const handleSeek = (e) => {
+    socketRef.current?.emit('replay:seek', { time: Number(e.target.value) })
+  }
+
+  const hasHistory = status.startedAt !== null
+
+  return (
+    <div className="canvas-page">
+      <header className="canvas-toolbar">
+        <button onClick={() => navigate(`/canvas/${encodeURIComponent(name)}`)} className="btn btn-secondary btn-small">
+          Back
+        </button>
+        <h2 className="canvas-title">{name} · Replay</h2>
+
+        <div className="tool-group">
+          <button className="tool-button" onClick={handlePlayPause} disabled={!hasHistory}>
+            {status.playing ? 'Pause' : 'Play'}
+          </button>
+          {SPEEDS.map(speed => (
+            <button
+              key={speed}
+              className={`tool-button ${status.speed === speed ? 'active' : ''}`}
+              onClick={() => socketRef.current?.emit('replay:speed', { speed })}
+              disabled={!hasHistory}
+            >
+              {speed}x
+            </button>
+          ))}
+        </div>
+
+        {hasHistory && (
+          <input
+            type="range"
+            className="replay-timeline"
+            min={status.startedAt}
+            max={status.endedAt}
+            value={status.time ?? status.startedAt}
+            onChange={handleSeek}
+            aria-label="Replay position"
+          />
+        )}
+        <span className="replay-time">{formatTime(status.time)}</span>
+      </header>
+
+      {error && <div className="error-message">{error}</div>}
+      {!hasHistory && !error && <div className="replay-empty">Nothing has happened on this canvas yet.</div>}
+
+      <div className="canvas-layout">
+        <div className="canvas-surface">
+          <canvas ref={canvasRef} width={CANVAS_WIDTH} height={CANVAS_HEIGHT} />
+        </div>
+
+        <aside className="canvas-sidebar">
+          <section className="chat-panel">
+            <h3>Chat</h3>
+            <div className="chat-messages">
+              {messages.map(m => (
+                <div key={m.id} className="chat-message">
+                  <strong>{m.firstName}:</strong> {m.message}
+                </div>
+              ))}
+            </div>
+          </section>
+        </aside>
+      </div>
+    </div>
+  )
+}
+
+export default Replay
@@ -0,0 +1,100 @@
+import React, { useState } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+
+// Opened from the link in the password reset email (/reset-password?token=...)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const [password, setPassword] = useState('')
+  const [confirmPassword, setConfirmPassword] = useState('')
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+  const navigate = useNavigate()
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await fetch('/api/auth/reset-password', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, password })
+      })
+      const data = await response.json()
+
+      if (response.ok) {
+        setMessage(data.message)
+      } else {
+        setError(data.error)
+      }
+    } catch (error) {
+      setError('Connection error: ' + error.message)
+    }
+
+    setLoading(false)
+  }
+
+  return (
+    <div className="home-container">
+      <div className="auth-card">
+        <h1>Reset Password</h1>
+        <p className="subtitle">Choose a new password for your account</p>
+
+        {message ? (
+          <div className="success-message">{message}</div>
+        ) : (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="password">New password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="At least 6 characters"
+                minLength={6}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                placeholder="Repeat the new password"
+                required
+              />
+            </div>
+
+            {!token && <div className="error-message">This reset link is incomplete</div>}
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="btn btn-primary" disabled={loading || !token}>
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="signup-section">
+          <button onClick={() => navigate('/')} className="btn btn-secondary">
+            Back to Sign In
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ResetPassword
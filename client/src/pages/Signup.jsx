@@ -1,5 +1,5 @@
 import React, { useState } from 'react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useLocation } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 
 const Signup = () => {
@@ -13,6 +13,8 @@ const Signup = () => {
 
   const { signup } = useAuth()
   const navigate = useNavigate()
+  const location = useLocation()
+  const redirectTo = location.state?.from?.pathname || '/landing'
 
   const handleSubmit = async (e) => {
     e.preventDefault()
@@ -22,7 +24,7 @@ const Signup = () => {
     const result = await signup(firstName, lastName, email, password)
 
     if (result.success) {
-      navigate('/landing')
+      navigate(redirectTo, { replace: true })
     } else {
       setError(result.error)
     }
@@ -31,7 +33,7 @@ const Signup = () => {
   }
 
   const handleBackToLogin = () => {
-    navigate('/')
+    navigate('/', { state: location.state })
   }
 
   return (
@@ -0,0 +1,63 @@
+import React, { useState, useEffect } from 'react'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useAuth } from '../contexts/AuthContext'
+
+// Opened from the link in the verification email (/verify-email?token=...)
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token') || ''
+  const { isAuthenticated, refreshSession } = useAuth()
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete')
+  const navigate = useNavigate()
+
+  useEffect(() => {
+    if (!token) return
+
+    const verify = async () => {
+      try {
+        const response = await fetch('/api/auth/verify-email', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ token })
+        })
+        const data = await response.json()
+
+        if (response.ok) {
+          // Pick up a token that carries the verified status
+          if (isAuthenticated) {
+            await refreshSession()
+          }
+          setMessage(data.message)
+        } else {
+          setError(data.error)
+        }
+      } catch (error) {
+        setError('Connection error: ' + error.message)
+      }
+    }
+
+    verify()
+    // Verify once per link; signing in or out meanwhile doesn't call for another attempt
+  }, [token])
+
+  return (
+    <div className="home-container">
+      <div className="auth-card">
+        <h1>Verify Email</h1>
+
+        {message && <div className="success-message">{message}</div>}
+        {error && <div className="error-message">{error}</div>}
+        {!message && !error && <p className="subtitle">Verifying your email address...</p>}
+
+        <div className="signup-section">
+          <button onClick={() => navigate(isAuthenticated ? '/landing' : '/')} className="btn btn-secondary">
+            {isAuthenticated ? 'Continue' : 'Back to Sign In'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default VerifyEmail
@@ -0,0 +1,120 @@
+// Canvas rendering helpers shared by the live canvas and the session replay
+
+// Logical canvas size - every client draws in the same coordinate space
+export const CANVAS_WIDTH = 1600
+export const CANVAS_HEIGHT = 900
+
+// Draw a single shape onto a 2D context
+export const drawShape = (ctx, shape) => {
+  ctx.strokeStyle = shape.color || '#000000'
+  ctx.lineWidth = shape.strokeWidth || 2
+  ctx.beginPath()
+
+  switch (shape.type) {
+    case 'rectangle':
+      ctx.rect(shape.x, shape.y, shape.width, shape.height)
+      break
+    case 'ellipse':
+      ctx.ellipse(
+        shape.x + shape.width / 2,
+        shape.y + shape.height / 2,
+        Math.abs(shape.width / 2),
+        Math.abs(shape.height / 2),
+        0,
+        0,
+        2 * Math.PI
+      )
+      break
+    case 'line':
+      ctx.moveTo(shape.x, shape.y)
+      ctx.lineTo(shape.x + shape.width, shape.y + shape.height)
+      break
+    default:
+      return
+  }
+
+  ctx.stroke()
+}
+
+// Draw a freehand stroke onto a 2D context
+export const drawStroke = (ctx, stroke) => {
+  if (!stroke.points.length) return
+
+  ctx.strokeStyle = stroke.color || '#000000'
+  ctx.lineWidth = stroke.width || 2
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+  ctx.beginPath()
+  ctx.moveTo(stroke.points[0].x, stroke.points[0].y)
+
+  if (stroke.points.length === 1) {
+    ctx.lineTo(stroke.points[0].x + 0.1, stroke.points[0].y + 0.1)
+  }
+  for (const point of stroke.points.slice(1)) {
+    ctx.lineTo(point.x, point.y)
+  }
+
+  ctx.stroke()
+}
+
+// Convert a persisted draw event into a renderable stroke
+export const strokeFromEvent = (event) => ({
+  strokeId: event.strokeId,
+  userId: event.userId,
+  color: event.color,
+  width: event.width,
+  points: event.points || (typeof event.x === 'number' ? [{ x: event.x, y: event.y }] : [])
+})
+
+// Merge the draw events of one stroke (e.g. restored by redo) into a single renderable stroke
+export const strokeFromEvents = (strokeId, events) => ({
+  ...strokeFromEvent(events[0] || {}),
+  strokeId,
+  points: events.flatMap(event => strokeFromEvent(event).points)
+})
+
+// Whether a stroke is the one a `stroke:delete` event removed (stroke ids are only unique per user)
+export const isDeletedStroke = (stroke, data) => (
+  stroke.strokeId === data.strokeId && (!data.userId || stroke.userId === data.userId)
+)
+
+// Shapes in drawing order - layer by layer (`layers` bottom first), then by position within the layer -
+// leaving out those on hidden layers
+export const visibleShapes = (shapes, layers) => {
+  const rank = new Map(layers.map((layer, index) => [layer.id, index]))
+  const hidden = new Set(layers.filter(layer => layer.hidden).map(layer => layer.id))
+  return [...shapes]
+    .filter(shape => !hidden.has(shape.layerId))
+    .sort((a, b) => ((rank.get(a.layerId) ?? 0) - (rank.get(b.layerId) ?? 0)) || ((a.zIndex ?? 0) - (b.zIndex ?? 0)))
+}
+
+// A shape's bounding box, with a non-negative width and height
+export const shapeBounds = (shape) => ({
+  x: Math.min(shape.x, shape.x + (shape.width || 0)),
+  y: Math.min(shape.y, shape.y + (shape.height || 0)),
+  width: Math.abs(shape.width || 0),
+  height: Math.abs(shape.height || 0)
+})
+
+// Whether a point is on a shape's bounding box, give or take `tolerance`
+export const hitTest = (shape, point, tolerance = 4) => {
+  const bounds = shapeBounds(shape)
+  return point.x >= bounds.x - tolerance && point.x <= bounds.x + bounds.width + tolerance &&
+    point.y >= bounds.y - tolerance && point.y <= bounds.y + bounds.height + tolerance
+}
+
+// Outline a selected shape in the selecting user's color, optionally labelled with their name
+export const drawSelection = (ctx, shape, color, label) => {
+  const bounds = shapeBounds(shape)
+  ctx.save()
+  ctx.strokeStyle = color
+  ctx.lineWidth = 2
+  ctx.setLineDash([6, 4])
+  ctx.strokeRect(bounds.x - 4, bounds.y - 4, bounds.width + 8, bounds.height + 8)
+  if (label) {
+    ctx.fillStyle = color
+    ctx.font = '12px sans-serif'
+    ctx.fillText(label, bounds.x - 4, bounds.y - 10)
+  }
+  ctx.restore()
+}
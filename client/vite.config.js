@@ -1,17 +1,20 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Backend the dev server proxies to (e.g. a second instance when testing multi-instance setups)
+const apiTarget = process.env.API_URL || 'http://localhost:3000'
+
 export default defineConfig({
   plugins: [react()],
   server: {
     port: 8000,
     proxy: {
       '/api': {
-        target: 'http://localhost:3000',
+        target: apiTarget,
         changeOrigin: true,
       },
       '/socket.io': {
-        target: 'http://localhost:3000',
+        target: apiTarget,
         changeOrigin: true,
         ws: true,
       }
@@ -0,0 +1,21 @@
+// Rate limit for the REST API, per client IP
+const rateLimit = require('express-rate-limit');
+
+const API_RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_API_RATE_LIMIT_MAX = 100;
+
+// Requests per IP and window. Raise it where many requests share one address (e.g. the test suite).
+// A value that isn't a positive number falls back to the default rather than disabling the limit
+const configuredMax = Number(process.env.API_RATE_LIMIT_MAX);
+const API_RATE_LIMIT_MAX = Number.isFinite(configuredMax) && configuredMax > 0 ? configuredMax : DEFAULT_API_RATE_LIMIT_MAX;
+
+const createApiRateLimit = ({ max = API_RATE_LIMIT_MAX } = {}) => rateLimit({
+  windowMs: API_RATE_LIMIT_WINDOW_MS,
+  max
+});
+
+module.exports = {
+  API_RATE_LIMIT_MAX,
+  DEFAULT_API_RATE_LIMIT_MAX,
+  createApiRateLimit
+};
@@ -1,4 +1,35 @@
-const jwt = require('jsonwebtoken');
+const canvasManager = require('../services/canvasManager');
+const canvasMemberStore = require('../services/canvasMemberStore');
+const { hasRole } = canvasMemberStore;
+const tokenStore = require('../services/tokenStore');
+const userStore = require('../services/userStore');
+const { verifyAccessToken } = tokenStore;
+
+// What users who haven't verified their email address may do:
+//   allow     - everything a verified user can
+//   read-only - view canvases they are a member of, but not create or edit any (default)
+//   block     - nothing beyond their own account (verifying, logging out)
+const UNVERIFIED_USER_POLICIES = ['allow', 'read-only', 'block'];
+const UNVERIFIED_USER_POLICY = UNVERIFIED_USER_POLICIES.includes(process.env.UNVERIFIED_USER_POLICY)
+  ? process.env.UNVERIFIED_USER_POLICY
+  : 'read-only';
+
+const EMAIL_NOT_VERIFIED = 'EMAIL_NOT_VERIFIED';
+
+// Whether the unverified-user policy limits this user (a token payload or socket.user)
+const isRestricted = (user) => !user.emailVerified && UNVERIFIED_USER_POLICY !== 'allow';
+
+// The canvas role a user may actually exercise: read-only caps it at viewer, block removes it
+const effectiveCanvasRole = (role, user) => {
+  if (!role || !isRestricted(user)) return role;
+  return UNVERIFIED_USER_POLICY === 'read-only' ? 'viewer' : null;
+};
+
+// Socket.IO namespaces whose connections are authenticated with authenticateSocket
+const AUTHENTICATED_NAMESPACES = ['/', '/replay'];
+
+// Every socket joins a room named after its access token, so revoking the token can reach it on any instance
+const tokenRoom = (tokenId) => `token:${tokenId}`;
 
 // Middleware for HTTP routes
 const authenticateToken = (req, res, next) => {
@@ -9,13 +40,85 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: 'Invalid or expired token' });
+  const user = verifyAccessToken(token);
+  if (!user) {
+    return res.status(403).json({ error: 'Invalid or expired token' });
+  }
+
+  tokenStore.isRevoked(user.jti)
+    .then((revoked) => {
+      if (revoked) {
+        return res.status(401).json({ error: 'Token has been revoked' });
+      }
+      req.user = user;
+      next();
+    })
+    .catch((error) => {
+      console.error('Token revocation check error:', error);
+      res.status(500).json({ error: 'Internal server error while checking token' });
+    });
+};
+
+// Middleware for HTTP routes restricted to users with the given account role (e.g. 'admin');
+// run after authenticateToken. The role is read from the database, so demotions apply at once
+const requireRole = (role) => async (req, res, next) => {
+  try {
+    const user = await userStore.getUserById(req.user.userId);
+    if (!user || user.disabled || user.role !== role) {
+      return res.status(403).json({ error: `This action requires the ${role} role` });
+    }
+    next();
+  } catch (error) {
+    console.error('Role check error:', error);
+    res.status(500).json({ error: 'Internal server error while checking permissions' });
+  }
+};
+
+// Middleware for HTTP routes that unverified users may only use if the policy allows the given
+// kind of access ('read' or 'write'); run after authenticateToken
+const requireVerifiedEmail = (access) => (req, res, next) => {
+  const allowed = !isRestricted(req.user) || (access === 'read' && UNVERIFIED_USER_POLICY === 'read-only');
+  if (!allowed) {
+    return res.status(403).json({
+      error: 'Please verify your email address first',
+      code: EMAIL_NOT_VERIFIED
+    });
+  }
+  next();
+};
+
+// Middleware for HTTP routes on a canvas (req.params.name); run after authenticateToken
+const requireCanvasRole = (minimumRole) => async (req, res, next) => {
+  try {
+    const canvas = await canvasManager.getCanvas(req.params.name);
+    if (!canvas) {
+      return res.status(404).json({ error: 'Canvas not found' });
     }
-    req.user = user;
+
+    const role = await canvasMemberStore.getRole(req.params.name, req.user.userId);
+    if (!role) {
+      return res.status(403).json({ error: 'You are not a member of this canvas' });
+    }
+
+    // Unverified users may hold a role they can't use yet
+    const effectiveRole = effectiveCanvasRole(role, req.user);
+    if (!hasRole(effectiveRole, minimumRole)) {
+      if (hasRole(role, minimumRole)) {
+        return res.status(403).json({
+          error: 'Please verify your email address first',
+          code: EMAIL_NOT_VERIFIED
+        });
+      }
+      return res.status(403).json({ error: `This action requires the ${minimumRole} role` });
+    }
+
+    req.canvas = canvas;
+    req.canvasRole = effectiveRole;
     next();
-  });
+  } catch (error) {
+    console.error('Canvas role check error:', error);
+    res.status(500).json({ error: 'Internal server error while checking permissions' });
+  }
 };
 
 // Middleware for Socket.IO connections
@@ -26,23 +129,56 @@ const authenticateSocket = (socket, next) => {
     return next(new Error('Authentication token required'));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, decoded) => {
-    if (err) {
-      return next(new Error('Invalid or expired token'));
-    }
+  const decoded = verifyAccessToken(token);
+  if (!decoded) {
+    return next(new Error('Invalid or expired token'));
+  }
 
-    socket.user = {
-      userId: decoded.userId,
-      firstName: decoded.firstName,
-      lastName: decoded.lastName,
-      email: decoded.email
-    };
+  tokenStore.isRevoked(decoded.jti)
+    .then((revoked) => {
+      if (revoked) {
+        return next(new Error('Token has been revoked'));
+      }
 
-    next();
-  });
+      if (isRestricted(decoded) && UNVERIFIED_USER_POLICY === 'block') {
+        return next(new Error('Email address not verified'));
+      }
+
+      socket.user = {
+        userId: decoded.userId,
+        firstName: decoded.firstName,
+        lastName: decoded.lastName,
+        email: decoded.email,
+        emailVerified: decoded.emailVerified
+      };
+      socket.join(tokenRoom(decoded.jti));
+
+      next();
+    })
+    .catch((error) => {
+      console.error('Token revocation check error:', error);
+      next(new Error('Failed to check token'));
+    });
+};
+
+// Disconnect every socket authenticated with one of the given access tokens, on any instance
+const disconnectTokenSockets = (io, tokenIds) => {
+  if (tokenIds.length === 0) return;
+
+  const rooms = tokenIds.map(tokenRoom);
+  for (const namespace of AUTHENTICATED_NAMESPACES) {
+    io.of(namespace).in(rooms).disconnectSockets(true);
+  }
 };
 
 module.exports = {
   authenticateToken,
-  authenticateSocket
+  requireRole,
+  requireVerifiedEmail,
+  requireCanvasRole,
+  authenticateSocket,
+  disconnectTokenSockets,
+  isRestricted,
+  effectiveCanvasRole,
+  UNVERIFIED_USER_POLICY
 };
@@ -0,0 +1,189 @@
+// Rate limits and payload caps for inbound Socket.IO events
+// Each user has a token bucket per event type, shared by all their sockets on this instance.
+// Rejected events are dropped with a warning; a socket that keeps going is disconnected.
+
+// Defaults per event: `rate` tokens refilled per second, up to `burst`
+const DEFAULT_RATE_LIMITS = {
+  '*': { rate: 20, burst: 40 },
+  'canvas:join': { rate: 2, burst: 10 },
+  'canvas:leave': { rate: 2, burst: 10 },
+  'draw:start': { rate: 10, burst: 30 },
+  'draw:move': { rate: 120, burst: 240 },
+  'draw:end': { rate: 10, burst: 30 },
+  'cursor:move': { rate: 30, burst: 60 },
+  'shape:add': { rate: 10, burst: 30 },
+  'shape:update': { rate: 30, burst: 60 },
+  'shape:delete': { rate: 10, burst: 30 },
+  'shape:select': { rate: 10, burst: 30 },
+  'shape:deselect': { rate: 10, burst: 30 },
+  'canvas:batch': { rate: 2, burst: 5 },
+  'layer:create': { rate: 1, burst: 5 },
+  'layer:delete': { rate: 1, burst: 5 },
+  'canvas:clear': { rate: 0.1, burst: 2 },
+  'chat:message': { rate: 1, burst: 5 },
+  'presence:heartbeat': { rate: 1, burst: 5 }
+};
+
+// Defaults per event: the largest accepted payload in bytes (as JSON)
+const DEFAULT_PAYLOAD_LIMITS = {
+  '*': 2 * 1024,
+  'shape:add': 8 * 1024,
+  'shape:update': 8 * 1024,
+  'chat:message': 8 * 1024,
+  'canvas:batch': 256 * 1024
+};
+
+// Rejected events allowed per socket within a minute before it is disconnected (0 = never disconnect).
+// A value that isn't a number falls back to the default
+const DEFAULT_MAX_VIOLATIONS = 20;
+const configuredMaxViolations = Number(process.env.SOCKET_MAX_VIOLATIONS ?? DEFAULT_MAX_VIOLATIONS);
+const MAX_VIOLATIONS = Number.isFinite(configuredMaxViolations) && configuredMaxViolations >= 0
+  ? configuredMaxViolations
+  : DEFAULT_MAX_VIOLATIONS;
+const VIOLATION_WINDOW_MS = 60 * 1000;
+
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+// Parse overrides from the environment, e.g. "chat:message=2/10,canvas:clear=0.5/1"
+// for rate limits (rate/burst) and "canvas:batch=524288" for payload limits
+const parseOverrides = (name, value, parseLimit) => {
+  const overrides = {};
+  for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.lastIndexOf('=');
+    const limit = separator > 0 ? parseLimit(entry.slice(separator + 1)) : null;
+    if (!limit) {
+      throw new Error(`Invalid ${name} entry: ${entry}`);
+    }
+    overrides[entry.slice(0, separator).trim()] = limit;
+  }
+  return overrides;
+};
+
+const parseRateLimit = (value) => {
+  const [rate, burst] = value.split('/').map(Number);
+  return rate > 0 && burst >= 1 ? { rate, burst } : null;
+};
+
+const parsePayloadLimit = (value) => {
+  const bytes = Number(value);
+  return bytes > 0 ? bytes : null;
+};
+
+const RATE_LIMITS = {
+  ...DEFAULT_RATE_LIMITS,
+  ...parseOverrides('SOCKET_RATE_LIMITS', process.env.SOCKET_RATE_LIMITS, parseRateLimit)
+};
+const PAYLOAD_LIMITS = {
+  ...DEFAULT_PAYLOAD_LIMITS,
+  ...parseOverrides('SOCKET_PAYLOAD_LIMITS', process.env.SOCKET_PAYLOAD_LIMITS, parsePayloadLimit)
+};
+
+const rateLimitFor = (event) => RATE_LIMITS[event] || RATE_LIMITS['*'];
+const payloadLimitFor = (event) => PAYLOAD_LIMITS[event] || PAYLOAD_LIMITS['*'];
+
+const buckets = new Map(); // Map<`${userId} ${event}`, { tokens, updatedAt }>
+
+// Take a token from the user's bucket for an event. Returns 0 if one was available,
+// otherwise the milliseconds until the next one is
+const takeToken = (userId, event) => {
+  const { rate, burst } = rateLimitFor(event);
+  const key = `${userId} ${event}`;
+  const now = Date.now();
+  const bucket = buckets.get(key) || { tokens: burst, updatedAt: now };
+
+  bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  if (bucket.tokens < 1) {
+    return Math.ceil(((1 - bucket.tokens) / rate) * 1000);
+  }
+  bucket.tokens -= 1;
+  return 0;
+};
+
+// Size of an event's arguments as JSON, without the acknowledgement callback
+const payloadSize = (args) => {
+  const payload = args.filter(arg => typeof arg !== 'function');
+  return payload.length === 0 ? 0 : Buffer.byteLength(JSON.stringify(payload));
+};
+
+// Socket.IO per-socket middleware: `socket.use(rateLimitSocketEvent(socket))`, before validation.
+// The sender of a rejected event gets a structured error through the event's acknowledgement
+// callback if it passed one, otherwise as `error:rate-limit`.
+const rateLimitSocketEvent = (socket) => {
+  const violations = []; // timestamps of this socket's rejected events within the window
+
+  const reject = (event, ack, error) => {
+    const now = Date.now();
+    while (violations.length > 0 && violations[0] <= now - VIOLATION_WINDOW_MS) {
+      violations.shift();
+    }
+    violations.push(now);
+
+    const remaining = MAX_VIOLATIONS > 0 ? MAX_VIOLATIONS - violations.length : null;
+    const disconnecting = remaining !== null && remaining < 0;
+
+    if (violations.length === 1) {
+      console.log(`Socket ${socket.id} of user ${socket.user.userId} exceeded limits on ${event}: ${error.message}`);
+    }
+
+    const warning = { event, ...error, remainingWarnings: disconnecting ? 0 : remaining, disconnected: disconnecting };
+    if (ack) {
+      ack({ ok: false, error: warning });
+    } else {
+      socket.emit('error:rate-limit', warning);
+    }
+
+    if (disconnecting) {
+      console.log(`Disconnecting socket ${socket.id} of user ${socket.user.userId}: ${violations.length} rejected events within a minute`);
+      // Make sure the client hears why, even if it only looks at acknowledgements for this event
+      if (ack) socket.emit('error:rate-limit', warning);
+      socket.disconnect(true);
+    }
+  };
+
+  return (packet, next) => {
+    const [event, ...args] = packet;
+    const ack = typeof args[args.length - 1] === 'function' ? args[args.length - 1] : null;
+
+    const size = payloadSize(args);
+    const maxSize = payloadLimitFor(event);
+    if (size > maxSize) {
+      return reject(event, ack, {
+        code: 'PAYLOAD_TOO_LARGE',
+        message: `Payload for ${event} is ${size} bytes, more than the ${maxSize} allowed`
+      });
+    }
+
+    const retryAfter = takeToken(socket.user.userId, event);
+    if (retryAfter > 0) {
+      return reject(event, ack, {
+        code: 'RATE_LIMITED',
+        message: `Too many ${event} events, slow down`,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+};
+
+// Forget buckets that have refilled completely; they are recreated full when next used.
+// The timer doesn't keep the process alive on its own
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, bucket] of buckets) {
+    const { rate, burst } = rateLimitFor(key.slice(key.indexOf(' ') + 1));
+    if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * rate >= burst) {
+      buckets.delete(key);
+    }
+  }
+}, PRUNE_INTERVAL_MS).unref();
+
+module.exports = {
+  RATE_LIMITS,
+  PAYLOAD_LIMITS,
+  MAX_VIOLATIONS,
+  rateLimitSocketEvent
+};
@@ -0,0 +1,356 @@
+// Schema validation for inbound Socket.IO events
+// Each event payload is checked against a schema and reduced to the fields the schema knows about,
+// so clients can't smuggle extra fields (userId, timestamp, ...) into broadcasts or the database.
+
+const MAX_COORDINATE = 100000;
+const MAX_CANVAS_NAME_LENGTH = 100;
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+const MAX_SHAPE_TEXT_LENGTH = 1000;
+const MAX_BATCH_OPERATIONS = 200;
+const MAX_LAYER_NAME_LENGTH = 100;
+
+const SHAPE_TYPES = ['rectangle', 'ellipse', 'line', 'arrow', 'text'];
+const REPLAY_SPEEDS = [1, 2, 10];
+const SHAPE_POSITIONS = ['front', 'back'];
+
+// Field builders
+const string = (options = {}) => ({ type: 'string', ...options });
+const number = (options = {}) => ({ type: 'number', ...options });
+const boolean = (options = {}) => ({ type: 'boolean', ...options });
+const object = (properties, options = {}) => ({ type: 'object', properties, ...options });
+const array = (items, options = {}) => ({ type: 'array', items, ...options });
+// An object whose schema is picked by the value of one of its fields
+const union = (discriminator, variants, options = {}) => ({ type: 'union', discriminator, variants, ...options });
+
+const id = (options = {}) => string({ minLength: 1, maxLength: 64, pattern: /^[\w-]+$/, ...options });
+const coordinate = (options = {}) => number({ min: -MAX_COORDINATE, max: MAX_COORDINATE, ...options });
+const color = (options = {}) => string({
+  maxLength: 32,
+  pattern: /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i,
+  ...options
+});
+
+const canvasName = (options = {}) => string({ minLength: 1, maxLength: MAX_CANVAS_NAME_LENGTH, trim: true, ...options });
+
+// Target canvas of a canvas-scoped event. Optional while the socket has joined a single canvas
+const target = { canvas: canvasName() };
+
+const shapeFields = {
+  type: string({ enum: SHAPE_TYPES }),
+  x: coordinate(),
+  y: coordinate(),
+  width: coordinate(),
+  height: coordinate(),
+  rotation: number({ min: -360, max: 360 }),
+  color: color(),
+  fill: color(),
+  strokeWidth: number({ min: 0, max: 100 }),
+  text: string({ maxLength: MAX_SHAPE_TEXT_LENGTH })
+};
+
+const layerName = (options = {}) => string({ minLength: 1, maxLength: MAX_LAYER_NAME_LENGTH, trim: true, ...options });
+
+// Schemas per event. `null` means the event carries no payload.
+const EVENT_SCHEMAS = {
+  'canvas:join': canvasName({ required: true }),
+  'canvas:leave': canvasName({ required: true }),
+  'draw:start': object({
+    ...target,
+    strokeId: id(),
+    x: coordinate({ required: true }),
+    y: coordinate({ required: true }),
+    color: color(),
+    width: number({ min: 0.1, max: 100 })
+  }, { required: true }),
+  'draw:move': object({
+    ...target,
+    strokeId: id(),
+    x: coordinate({ required: true }),
+    y: coordinate({ required: true })
+  }, { required: true }),
+  'draw:end': object({
+    ...target,
+    strokeId: id()
+  }),
+  'shape:add': object({
+    ...target,
+    clientId: id(),
+    layerId: id(),
+    ...shapeFields,
+    type: string({ required: true, enum: SHAPE_TYPES }),
+    x: coordinate({ required: true }),
+    y: coordinate({ required: true })
+  }, { required: true }),
+  'shape:update': object({
+    ...target,
+    shapeId: id({ required: true }),
+    ...shapeFields
+  }, { required: true }),
+  'shape:delete': object({
+    ...target,
+    shapeId: id({ required: true })
+  }, { required: true }),
+  'shape:select': object({
+    ...target,
+    shapeId: id({ required: true })
+  }, { required: true }),
+  'shape:deselect': object({
+    ...target,
+    shapeId: id({ required: true })
+  }, { required: true }),
+  'shape:layer': object({
+    ...target,
+    shapeId: id({ required: true }),
+    layerId: id({ required: true })
+  }, { required: true }),
+  'shape:order': object({
+    ...target,
+    shapeId: id({ required: true }),
+    position: string({ required: true, enum: SHAPE_POSITIONS })
+  }, { required: true }),
+  'layer:create': object({
+    ...target,
+    name: layerName()
+  }),
+  'layer:update': object({
+    ...target,
+    layerId: id({ required: true }),
+    name: layerName(),
+    hidden: boolean(),
+    locked: boolean()
+  }, { required: true }),
+  // index is the layer's new position in the stack, 0 = bottom
+  'layer:reorder': object({
+    ...target,
+    layerId: id({ required: true }),
+    index: number({ required: true, min: 0, max: 1000 })
+  }, { required: true }),
+  'layer:delete': object({
+    ...target,
+    layerId: id({ required: true })
+  }, { required: true }),
+  'canvas:batch': object({
+    ...target,
+    operations: array(union('op', {
+      add: object({
+        clientId: id(),
+        layerId: id(),
+        ...shapeFields,
+        type: string({ required: true, enum: SHAPE_TYPES }),
+        x: coordinate({ required: true }),
+        y: coordinate({ required: true })
+      }),
+      update: object({
+        shapeId: id({ required: true }),
+        ...shapeFields
+      }),
+      delete: object({
+        shapeId: id({ required: true })
+      })
+    }), { required: true, minItems: 1, maxItems: MAX_BATCH_OPERATIONS })
+  }, { required: true }),
+  'canvas:clear': object(target),
+  'history:undo': object(target),
+  'history:redo': object(target),
+  'cursor:move': object({
+    ...target,
+    x: coordinate({ required: true }),
+    y: coordinate({ required: true })
+  }, { required: true }),
+  'chat:message': object({
+    ...target,
+    text: string({ required: true, minLength: 1, maxLength: MAX_CHAT_MESSAGE_LENGTH, trim: true })
+  }, { required: true }),
+  // Without a canvas, the heartbeat applies to every canvas the socket has joined
+  'presence:heartbeat': object({
+    ...target,
+    active: boolean(),
+    hidden: boolean()
+  }),
+
+  // Session replay (/replay namespace). Times are epoch milliseconds
+  'replay:start': object({
+    canvas: canvasName({ required: true }),
+    from: number({ min: 0 }),
+    speed: number({ enum: REPLAY_SPEEDS })
+  }, { required: true }),
+  'replay:pause': null,
+  'replay:resume': null,
+  'replay:speed': object({
+    speed: number({ required: true, enum: REPLAY_SPEEDS })
+  }, { required: true }),
+  'replay:seek': object({
+    time: number({ required: true, min: 0 })
+  }, { required: true }),
+  'replay:stop': null
+};
+
+// Validate a value against a schema. Returns { value, errors } where value is the sanitized copy
+const validate = (schema, input, path) => {
+  if (input === undefined || input === null) {
+    if (schema.required) {
+      return { errors: [{ path, message: `${path} is required` }] };
+    }
+    return { value: schema.type === 'object' ? {} : undefined, errors: [] };
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      if (typeof input !== 'string') {
+        return { errors: [{ path, message: `${path} must be a string` }] };
+      }
+
+      const value = schema.trim ? input.trim() : input;
+      if (schema.minLength !== undefined && value.length < schema.minLength) {
+        return { errors: [{ path, message: `${path} must be at least ${schema.minLength} characters long` }] };
+      }
+      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return { errors: [{ path, message: `${path} must be at most ${schema.maxLength} characters long` }] };
+      }
+      if (schema.enum && !schema.enum.includes(value)) {
+        return { errors: [{ path, message: `${path} must be one of: ${schema.enum.join(', ')}` }] };
+      }
+      if (schema.pattern && !schema.pattern.test(value)) {
+        return { errors: [{ path, message: `${path} has an invalid format` }] };
+      }
+      return { value, errors: [] };
+    }
+
+    case 'number': {
+      if (typeof input !== 'number' || !Number.isFinite(input)) {
+        return { errors: [{ path, message: `${path} must be a finite number` }] };
+      }
+      if (schema.min !== undefined && input < schema.min) {
+        return { errors: [{ path, message: `${path} must be at least ${schema.min}` }] };
+      }
+      if (schema.max !== undefined && input > schema.max) {
+        return { errors: [{ path, message: `${path} must be at most ${schema.max}` }] };
+      }
+      if (schema.enum && !schema.enum.includes(input)) {
+        return { errors: [{ path, message: `${path} must be one of: ${schema.enum.join(', ')}` }] };
+      }
+      return { value: input, errors: [] };
+    }
+
+    case 'boolean': {
+      if (typeof input !== 'boolean') {
+        return { errors: [{ path, message: `${path} must be a boolean` }] };
+      }
+      return { value: input, errors: [] };
+    }
+
+    case 'object': {
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: [{ path, message: `${path} must be an object` }] };
+      }
+
+      const value = {};
+      const errors = [];
+      for (const [key, fieldSchema] of Object.entries(schema.properties)) {
+        const result = validate(fieldSchema, input[key], `${path}.${key}`);
+        errors.push(...result.errors);
+        if (result.value !== undefined) {
+          value[key] = result.value;
+        }
+      }
+      return { value, errors };
+    }
+
+    case 'array': {
+      if (!Array.isArray(input)) {
+        return { errors: [{ path, message: `${path} must be an array` }] };
+      }
+      if (schema.minItems !== undefined && input.length < schema.minItems) {
+        return { errors: [{ path, message: `${path} must contain at least ${schema.minItems} items` }] };
+      }
+      if (schema.maxItems !== undefined && input.length > schema.maxItems) {
+        return { errors: [{ path, message: `${path} must contain at most ${schema.maxItems} items` }] };
+      }
+
+      const value = [];
+      const errors = [];
+      input.forEach((item, index) => {
+        const result = validate({ ...schema.items, required: true }, item, `${path}[${index}]`);
+        errors.push(...result.errors);
+        value.push(result.value);
+      });
+      return { value, errors };
+    }
+
+    case 'union': {
+      if (typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: [{ path, message: `${path} must be an object` }] };
+      }
+
+      const variants = Object.keys(schema.variants);
+      const variant = input[schema.discriminator];
+      if (!variants.includes(variant)) {
+        const discriminatorPath = `${path}.${schema.discriminator}`;
+        return { errors: [{ path: discriminatorPath, message: `${discriminatorPath} must be one of: ${variants.join(', ')}` }] };
+      }
+
+      const { value, errors } = validate(schema.variants[variant], input, path);
+      return { value: { [schema.discriminator]: variant, ...value }, errors };
+    }
+
+    default:
+      throw new Error(`Unknown schema type: ${schema.type}`);
+  }
+};
+
+// Validate an event payload. Returns { value, errors } (errors is empty when valid)
+const validateEvent = (event, payload) => {
+  const schema = EVENT_SCHEMAS[event];
+  if (schema === null) {
+    return { value: undefined, errors: [] };
+  }
+  return validate(schema, payload, 'data');
+};
+
+// Socket.IO per-socket middleware: `socket.use(validateSocketEvent(socket))`
+// Invalid events are dropped before any handler runs. The sender gets a structured error
+// through the event's acknowledgement callback if it passed one, otherwise as `error:validation`.
+const validateSocketEvent = (socket) => (packet, next) => {
+  const [event, ...args] = packet;
+
+  // Events without a schema have no handler, so there is nothing to validate
+  if (!(event in EVENT_SCHEMAS)) {
+    return next();
+  }
+
+  const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+  const { value, errors } = validateEvent(event, args[0]);
+
+  if (errors.length > 0) {
+    const error = {
+      event,
+      code: 'VALIDATION_ERROR',
+      message: `Invalid payload for ${event}`,
+      errors
+    };
+
+    if (ack) {
+      ack({ ok: false, error });
+    } else {
+      socket.emit('error:validation', error);
+    }
+    return;
+  }
+
+  // Hand the sanitized payload (and the ack, if any) on to the event handler
+  packet.length = 1;
+  if (value !== undefined) packet.push(value);
+  if (ack) packet.push(ack);
+  next();
+};
+
+module.exports = {
+  SHAPE_TYPES,
+  EVENT_SCHEMAS,
+  // Schema builders and the shape fields, for other payloads that contain shapes (e.g. canvas documents)
+  schema: { string, number, boolean, object, array, union, id, coordinate, color, layerName },
+  shapeFields,
+  validate,
+  validateEvent,
+  validateSocketEvent
+};
@@ -16,5 +16,12 @@ module.exports = defineConfig({
     url: 'http://localhost:3000/health',
     reuseExistingServer: !process.env.CI,
     timeout: 120 * 1000,
+    // Emails are written to files so tests can follow the links in them
+    env: {
+      MAIL_TRANSPORT: 'file',
+      MAIL_DIR: 'tmp/test-mail',
+      // Every test registers users from the same address; tests/rate-limit.spec.js covers the real limit
+      API_RATE_LIMIT_MAX: '10000',
+    },
   },
 });
@@ -15,7 +15,16 @@ async function main() {
     where: { email: 'admin@test.com' },
   });
   if (existingAdmin) {
-    console.log('⏭️  Admin user already exists, skipping');
+    // Databases seeded before the admin role existed get it granted here
+    if (existingAdmin.role !== 'admin') {
+      await prisma.user.update({
+        where: { id: existingAdmin.id },
+        data: { role: 'admin' },
+      });
+      console.log('✅ Granted admin role to existing admin user');
+    } else {
+      console.log('⏭️  Admin user already exists, skipping');
+    }
   } else {
     await prisma.user.create({
       data: {
@@ -23,6 +32,7 @@ async function main() {
         lastName: 'User',
         email: 'admin@test.com',
         password: defaultPassword,
+        role: 'admin',
       },
     });
     console.log('✅ Created admin user');
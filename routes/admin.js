@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireRole, disconnectTokenSockets } = require('../middleware/auth');
+const userStore = require('../services/userStore');
+const tokenStore = require('../services/tokenStore');
+const canvasManager = require('../services/canvasManager');
+const historyManager = require('../services/historyManager');
+const canvasMemberStore = require('../services/canvasMemberStore');
+const { syncCanvasSockets } = require('./canvases');
+
+router.use(authenticateToken, requireRole('admin'));
+
+// Refuse (409) to disable or delete the only owner of a canvas, which would leave nobody able to manage it.
+// Returns true if the response was sent
+const refuseSoleOwner = async (res, userId) => {
+  const canvases = await canvasMemberStore.getSolelyOwnedCanvases(userId);
+  if (canvases.length === 0) {
+    return false;
+  }
+
+  res.status(409).json({
+    error: 'This user is the only owner of some canvases. Add another owner or delete them first',
+    canvases
+  });
+  return true;
+};
+
+// List users, optionally filtered by name or email (?search=)
+router.get('/users', async (req, res) => {
+  try {
+    const search = typeof req.query.search === 'string' ? req.query.search.trim() : '';
+    const users = await userStore.getAllUsers({ search: search || undefined });
+    res.json({ users });
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing users'
+    });
+  }
+});
+
+// Disable or re-enable a user. Disabling signs them out everywhere
+router.patch('/users/:userId', async (req, res) => {
+  try {
+    const { disabled } = req.body;
+
+    if (typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: 'disabled must be a boolean' });
+    }
+
+    if (req.params.userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot disable your own account' });
+    }
+
+    if (disabled && await refuseSoleOwner(res, req.params.userId)) return;
+
+    const updated = await userStore.setDisabled(req.params.userId, disabled);
+    if (!updated) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (disabled) {
+      const revokedTokenIds = await tokenStore.revokeAllSessions(req.params.userId);
+      disconnectTokenSockets(req.app.get('io'), revokedTokenIds);
+    }
+
+    console.log(`Admin ${req.user.email} ${disabled ? 'disabled' : 'enabled'} user ${req.params.userId}`);
+
+    const { password, ...user } = await userStore.getUserById(req.params.userId);
+    res.json({
+      message: disabled ? 'User disabled successfully' : 'User enabled successfully',
+      user
+    });
+  } catch (error) {
+    console.error('Admin update user error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating user'
+    });
+  }
+});
+
+// Delete a user and everything they own (memberships, shapes, messages, sessions)
+router.delete('/users/:userId', async (req, res) => {
+  try {
+    if (req.params.userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+
+    const user = await userStore.getUserById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (await refuseSoleOwner(res, user.id)) return;
+
+    // Drop their live connections before the sessions disappear with the user
+    const revokedTokenIds = await tokenStore.revokeAllSessions(user.id);
+    disconnectTokenSockets(req.app.get('io'), revokedTokenIds);
+
+    const deleted = await userStore.deleteUser(user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`Admin ${req.user.email} deleted user ${user.email}`);
+
+    res.json({ message: 'User deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete user error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting user'
+    });
+  }
+});
+
+// List every canvas
+router.get('/canvases', async (req, res) => {
+  try {
+    const canvases = await canvasManager.getAllCanvases();
+    res.json({ canvases });
+  } catch (error) {
+    console.error('Admin list canvases error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing canvases'
+    });
+  }
+});
+
+// Delete any canvas, regardless of membership
+router.delete('/canvases/:name', async (req, res) => {
+  try {
+    const canvas = await canvasManager.getCanvas(req.params.name);
+    if (!canvas) {
+      return res.status(404).json({ error: 'Canvas not found' });
+    }
+
+    await canvasManager.deleteCanvas(req.params.name);
+    historyManager.clearCanvas(req.params.name);
+
+    const io = req.app.get('io');
+    io.to(req.params.name).emit('canvas:deleted', {
+      name: req.params.name
+    });
+    syncCanvasSockets(io, 'canvas:deleted', { name: req.params.name });
+
+    console.log(`Admin ${req.user.email} deleted canvas ${req.params.name}`);
+
+    res.json({ message: 'Canvas deleted successfully' });
+  } catch (error) {
+    console.error('Admin delete canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting canvas'
+    });
+  }
+});
+
+// Who is connected to each canvas room right now (across all instances)
+router.get('/connections', async (req, res) => {
+  try {
+    const rooms = [];
+    for (const name of await canvasManager.getActiveCanvases()) {
+      const users = await canvasManager.getCanvasUsers(name);
+      if (users.length > 0) {
+        rooms.push({ name, userCount: users.length, users });
+      }
+    }
+
+    res.json({ rooms });
+  } catch (error) {
+    console.error('Admin list connections error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing connections'
+    });
+  }
+});
+
+module.exports = router;
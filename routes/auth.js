@@ -1,9 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, disconnectTokenSockets } = require('../middleware/auth');
 const userStore = require('../services/userStore');
+const tokenStore = require('../services/tokenStore');
+const passwordResetStore = require('../services/passwordResetStore');
+const { RESET_TOKEN_TTL_MINUTES } = passwordResetStore;
+const mailer = require('../services/mailer');
+const emailVerification = require('../services/emailVerification');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// Base URL of the client, for links sent by email
+const clientUrl = (req) => process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
 
 // Register new user
 router.post('/register', async (req, res) => {
@@ -37,9 +46,9 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    if (password.length < 6) {
+    if (password.length < MIN_PASSWORD_LENGTH) {
       return res.status(400).json({
-        error: 'Password must be at least 6 characters long'
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
       });
     }
 
@@ -62,26 +71,26 @@ router.post('/register', async (req, res) => {
       password: hashedPassword
     });
 
-    // Generate token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // The account stays unverified until the emailed link is followed. A delivery failure
+    // doesn't undo the registration: the user can ask for the link again
+    await emailVerification.sendVerificationEmail(user, clientUrl(req)).catch(error => {
+      console.error(`Failed to send verification email to ${user.email}:`, error);
+    });
+
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await tokenStore.createSession(user);
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user.id,
         firstName: user.firstName,
         lastName: user.lastName,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role
       }
     });
   } catch (error) {
@@ -123,29 +132,29 @@ router.post('/login', async (req, res) => {
       });
     }
 
+    if (user.disabled) {
+      return res.status(403).json({
+        error: 'This account has been disabled'
+      });
+    }
+
     // Update last login
     await userStore.updateLastLogin(user.id);
 
-    // Generate token
-    const token = jwt.sign(
-      {
-        userId: user.id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Start a session (short-lived access token + refresh token)
+    const { token, refreshToken } = await tokenStore.createSession(user);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user.id,
         firstName: user.firstName,
         lastName: user.lastName,
-        email: user.email
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role
       }
     });
   } catch (error) {
@@ -164,7 +173,8 @@ router.get('/verify', authenticateToken, (req, res) => {
       id: req.user.userId,
       firstName: req.user.firstName,
       lastName: req.user.lastName,
-      email: req.user.email
+      email: req.user.email,
+      emailVerified: Boolean(req.user.emailVerified)
     }
   });
 });
@@ -182,15 +192,203 @@ router.get('/me', authenticateToken, async (req, res) => {
     firstName: user.firstName,
     lastName: user.lastName,
     email: user.email,
+    emailVerified: user.emailVerified,
+    role: user.role,
     createdAt: user.createdAt,
     lastLogin: user.lastLogin
   });
 });
 
-// Logout (client-side token removal, but we can track it)
-router.post('/logout', authenticateToken, (req, res) => {
-  // In a production app with Redis, you'd blacklist the token here
-  res.json({ message: 'Logout successful' });
+// Exchange a refresh token for a new token pair (the refresh token is rotated).
+// Also returns the user, so clients pick up changes such as a verified email
+router.post('/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (typeof refreshToken !== 'string' || !refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  try {
+    const { user, tokens } = await tokenStore.refreshSession(refreshToken);
+    res.json({
+      ...tokens,
+      user: {
+        id: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      // The session is compromised: drop its live connections too
+      disconnectTokenSockets(req.app.get('io'), error.revokedTokenIds);
+      return res.status(401).json({ error: error.message });
+    }
+    if (error.code === 'INVALID_REFRESH_TOKEN' || error.code === 'ACCOUNT_DISABLED') {
+      return res.status(401).json({ error: error.message });
+    }
+
+    console.error('Token refresh error:', error);
+    res.status(500).json({ error: 'Internal server error during token refresh' });
+  }
+});
+
+// Logout: revoke this session's tokens and disconnect its sockets
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const revokedTokenIds = await tokenStore.revokeSession(req.user.sid);
+    disconnectTokenSockets(req.app.get('io'), revokedTokenIds);
+
+    res.json({ message: 'Logout successful' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+// Log out all devices: revoke every session of the user
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revokedTokenIds = await tokenStore.revokeAllSessions(req.user.userId);
+    disconnectTokenSockets(req.app.get('io'), revokedTokenIds);
+
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: 'Internal server error during logout' });
+  }
+});
+
+// Verify an email address with the token from a verification link
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body;
+
+  if (typeof token !== 'string' || !token) {
+    return res.status(400).json({ error: 'Verification token is required' });
+  }
+
+  try {
+    const claims = emailVerification.verifyToken(token);
+    const user = claims && await userStore.getUserById(claims.userId);
+
+    // A link sent to an address the account no longer uses proves nothing
+    if (!user || user.email !== claims.email) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    await userStore.markEmailVerified(user.id);
+
+    res.json({ message: 'Email address verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Internal server error while verifying email' });
+  }
+});
+
+// Send the verification link again
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await userStore.getUserById(req.user.userId);
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Email address is already verified' });
+    }
+
+    if (!await emailVerification.claimResend(user.id)) {
+      return res.status(429).json({ error: 'A verification email was sent recently, please wait a minute' });
+    }
+
+    await emailVerification.sendVerificationEmail(user, clientUrl(req));
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Internal server error while sending verification email' });
+  }
+});
+
+// Email a reset link if an account exists for the address
+const sendResetLink = async (email, baseUrl) => {
+  const user = await userStore.getUserByEmail(email);
+  if (!user) return;
+
+  const token = await passwordResetStore.createResetToken(user.id);
+  const resetUrl = `${baseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: 'Reset your Realtime Canvas password',
+    text: `Hi ${user.firstName},\n\n`
+      + `Someone asked to reset the password for your account. To choose a new password, open this link:\n\n`
+      + `${resetUrl}\n\n`
+      + `The link works once and expires in ${RESET_TOKEN_TTL_MINUTES} minutes. `
+      + `If you didn't ask for this, you can ignore this email.\n`
+  });
+};
+
+// Request a password reset link. Always answers the same way, so it can't be used to probe for accounts
+router.post('/forgot-password', async (req, res) => {
+  const { email } = req.body;
+
+  if (typeof email !== 'string' || !email) {
+    return res.status(400).json({ error: 'Email is required' });
+  }
+
+  try {
+    // The cooldown applies to every address, registered or not
+    if (!await passwordResetStore.claimRequest(email)) {
+      return res.status(429).json({ error: 'A reset link was requested recently, please wait a minute' });
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    return res.status(500).json({ error: 'Internal server error while requesting password reset' });
+  }
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent' });
+
+  // Only after replying, so the response time doesn't reveal whether the account exists
+  sendResetLink(email, clientUrl(req)).catch(error => {
+    console.error(`Failed to send password reset email to ${email}:`, error);
+  });
+});
+
+// Set a new password with a reset token. Every existing session of the user is revoked
+router.post('/reset-password', async (req, res) => {
+  const { token, password } = req.body;
+
+  if (typeof token !== 'string' || !token || typeof password !== 'string') {
+    return res.status(400).json({ error: 'Token and password are required' });
+  }
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({
+      error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+    });
+  }
+
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const userId = await passwordResetStore.resetPassword(token, hashedPassword);
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Invalid or expired reset token' });
+    }
+
+    const revokedTokenIds = await tokenStore.revokeAllSessions(userId);
+    disconnectTokenSockets(req.app.get('io'), revokedTokenIds);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Internal server error while resetting password' });
+  }
 });
 
 module.exports = router;
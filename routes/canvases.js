@@ -0,0 +1,773 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireVerifiedEmail, requireCanvasRole, effectiveCanvasRole } = require('../middleware/auth');
+const canvasManager = require('../services/canvasManager');
+const sharedStore = require('../services/sharedStore');
+const canvasMemberStore = require('../services/canvasMemberStore');
+const { ROLES, isValidRole } = canvasMemberStore;
+const userStore = require('../services/userStore');
+const inviteStore = require('../services/inviteStore');
+const historyManager = require('../services/historyManager');
+const chatStore = require('../services/chatStore');
+const { renderCanvasSvg } = require('../services/svgExporter');
+const canvasDocuments = require('../services/canvasDocuments');
+const { parseDocument } = canvasDocuments;
+const snapshotStore = require('../services/snapshotStore');
+const eventLog = require('../services/eventLog');
+const { MAX_SNAPSHOT_NAME_LENGTH } = snapshotStore;
+
+const MAX_CANVAS_NAME_LENGTH = 100;
+const DEFAULT_INVITE_EXPIRY_HOURS = 72;
+const MAX_INVITE_EXPIRY_HOURS = 30 * 24;
+
+// Returns an error message if the canvas name is unusable, otherwise null
+const validateCanvasName = (name) => {
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return 'Canvas name is required';
+  }
+
+  if (name.trim().length > MAX_CANVAS_NAME_LENGTH) {
+    return `Canvas name must be at most ${MAX_CANVAS_NAME_LENGTH} characters long`;
+  }
+
+  return null;
+};
+
+// Live sockets on this instance that have joined a canvas
+const canvasSockets = (io, canvasName) => {
+  return Array.from(io.sockets.sockets.values()).filter(socket => socket.canvases?.has(canvasName));
+};
+
+// Send a presence change (from canvasManager's connection methods) to everyone in the canvas room
+const broadcastPresence = (io, canvasName, presence) => {
+  if (!presence) return;
+
+  io.to(canvasName).emit('presence:diff', {
+    canvas: canvasName,
+    changed: presence.changed,
+    removed: presence.removed
+  });
+};
+
+// Tell a canvas's room about selections released without a shape:deselect from their holder
+// (`reason` is 'timeout', 'left' or 'access')
+const broadcastReleasedSelections = (io, canvasName, selections, reason) => {
+  for (const selection of selections) {
+    io.to(canvasName).emit('shape:deselect', {
+      canvas: canvasName,
+      shapeId: selection.shapeId,
+      userId: selection.userId,
+      reason
+    });
+  }
+};
+
+// Apply a membership change to the user's live sockets on this instance (role null = removed)
+const applyMemberChange = async (io, canvasName, userId, role) => {
+  for (const socket of canvasSockets(io, canvasName)) {
+    if (socket.user.userId !== userId) continue;
+
+    if (role) {
+      const effectiveRole = effectiveCanvasRole(role, socket.user);
+      socket.canvases.set(canvasName, effectiveRole);
+      socket.emit('canvas:role', { name: canvasName, role: effectiveRole });
+
+      // Viewers can't hold locks on shapes
+      if (effectiveRole === 'viewer') {
+        try {
+          const released = await canvasManager.releaseSelections(canvasName, socket.id);
+          broadcastReleasedSelections(io, canvasName, released, 'access');
+        } catch (error) {
+          console.error(`Failed to release selections on canvas ${canvasName}:`, error);
+        }
+      }
+    } else {
+      socket.leave(canvasName);
+      socket.canvases.delete(canvasName);
+      socket.emit('canvas:removed', { name: canvasName });
+
+      try {
+        const released = await canvasManager.releaseSelections(canvasName, socket.id);
+        broadcastReleasedSelections(io, canvasName, released, 'access');
+
+        const presence = await canvasManager.removeConnection(canvasName, socket.id);
+        if (presence?.removed.includes(userId)) {
+          io.to(canvasName).emit('user:left', {
+            canvas: canvasName,
+            userId,
+            firstName: socket.user.firstName,
+            lastName: socket.user.lastName
+          });
+        }
+        broadcastPresence(io, canvasName, presence);
+      } catch (error) {
+        console.error(`Failed to update users of canvas ${canvasName}:`, error);
+      }
+    }
+  }
+};
+
+// Move this instance's sockets on a renamed canvas over to its new room
+const applyCanvasRename = (io, from, to) => {
+  if (from === to) return;
+
+  for (const socket of canvasSockets(io, from)) {
+    socket.canvases.set(to, socket.canvases.get(from));
+    socket.canvases.delete(from);
+    socket.join(to);
+    socket.leave(from);
+  }
+};
+
+// Detach this instance's sockets from a deleted canvas
+const applyCanvasDelete = (io, name) => {
+  for (const socket of canvasSockets(io, name)) {
+    socket.canvases.delete(name);
+    socket.leave(name);
+  }
+};
+
+// Push a canvas rename or delete to the sockets on it, wherever they are connected
+const syncCanvasSockets = (io, event, data) => {
+  if (event === 'canvas:renamed') {
+    applyCanvasRename(io, data.from, data.to);
+  } else {
+    applyCanvasDelete(io, data.name);
+  }
+
+  if (sharedStore.distributed) {
+    io.serverSideEmit(event, data);
+  }
+};
+
+// Push a membership change to the user's live sockets, wherever they are connected
+const syncMemberSockets = (io, canvasName, userId, role) => {
+  applyMemberChange(io, canvasName, userId, role);
+
+  if (sharedStore.distributed) {
+    io.serverSideEmit('canvas:member', { canvasName, userId, role });
+  }
+};
+
+// Attach a shareable link to an invite, pointing at the client's /invite route
+const withInviteUrl = (req, invite) => {
+  const baseUrl = process.env.CLIENT_URL || `${req.protocol}://${req.get('host')}`;
+  return { ...invite, url: `${baseUrl}/invite/${invite.token}` };
+};
+
+// Send a freshly loaded canvas state to everyone in the room (after its content was replaced)
+// (and record the replaced content in the event log, for session replay)
+const broadcastCanvasState = async (io, canvasName, userId) => {
+  const canvasState = await canvasManager.getCanvasState(canvasName);
+  const chat = await chatStore.getMessages(canvasName);
+  io.to(canvasName).emit('canvas:state', {
+    canvas: canvasName,
+    ...canvasState,
+    messages: chat.messages,
+    messagesCursor: chat.nextCursor
+  });
+  io.to(canvasName).emit('history:status', { canvas: canvasName, canUndo: false, canRedo: false });
+  eventLog.record(canvasName, 'canvas:state', { layers: canvasState.layers, shapes: canvasState.shapes, drawEvents: canvasState.drawEvents }, userId);
+};
+
+router.use(authenticateToken);
+
+// List canvases the current user is a member of
+router.get('/', requireVerifiedEmail('read'), async (req, res) => {
+  try {
+    const canvases = await canvasManager.getUserCanvases(req.user.userId);
+    res.json({ canvases });
+  } catch (error) {
+    console.error('List canvases error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing canvases'
+    });
+  }
+});
+
+// Create canvas
+router.post('/', requireVerifiedEmail('write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const validationError = validateCanvasName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const canvasName = name.trim();
+
+    const existingCanvas = await canvasManager.getCanvas(canvasName);
+    if (existingCanvas) {
+      return res.status(409).json({
+        error: 'Canvas already exists'
+      });
+    }
+
+    const canvas = await canvasManager.createCanvas(canvasName, req.user.userId);
+
+    res.status(201).json({
+      message: 'Canvas created successfully',
+      canvas
+    });
+  } catch (error) {
+    console.error('Create canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating canvas'
+    });
+  }
+});
+
+// Import a canvas document as a new canvas owned by the current user
+router.post('/import', requireVerifiedEmail('write'), async (req, res) => {
+  try {
+    const { document } = req.body;
+    const name = req.body.name ?? document?.canvas?.name;
+
+    const validationError = validateCanvasName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { document: parsed, error, errors } = parseDocument(document);
+    if (error) {
+      return res.status(400).json({ error, ...(errors && { errors }) });
+    }
+
+    const canvasName = name.trim();
+
+    const existingCanvas = await canvasManager.getCanvas(canvasName);
+    if (existingCanvas) {
+      return res.status(409).json({
+        error: 'Canvas already exists'
+      });
+    }
+
+    const canvas = await canvasDocuments.importCanvas(parsed, {
+      name: canvasName,
+      ownerId: req.user.userId
+    });
+
+    // Replays of an imported canvas start from its imported content
+    const canvasState = await canvasManager.getCanvasState(canvasName);
+    eventLog.record(canvasName, 'canvas:state', { layers: canvasState.layers, shapes: canvasState.shapes, drawEvents: canvasState.drawEvents }, req.user.userId);
+
+    res.status(201).json({
+      message: 'Canvas imported successfully',
+      canvas
+    });
+  } catch (error) {
+    // Someone created a canvas with the same name while the import was running
+    if (error.code === 'P2002') {
+      return res.status(409).json({
+        error: 'Canvas already exists'
+      });
+    }
+
+    console.error('Import canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while importing canvas'
+    });
+  }
+});
+
+// Get canvas state
+router.get('/:name', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const canvasState = await canvasManager.getCanvasState(req.params.name);
+    res.json(canvasState);
+  } catch (error) {
+    console.error('Get canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading canvas'
+    });
+  }
+});
+
+// Get chat messages, newest page first. Pass `before` (the previous response's nextCursor) for older pages
+router.get('/:name/messages', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const { before } = req.query;
+    const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > chatStore.MAX_PAGE_SIZE)) {
+      return res.status(400).json({
+        error: `limit must be an integer between 1 and ${chatStore.MAX_PAGE_SIZE}`
+      });
+    }
+
+    if (before !== undefined && (typeof before !== 'string' || !(await chatStore.hasMessage(req.params.name, before)))) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const page = await chatStore.getMessages(req.params.name, { before, limit });
+    res.json(page);
+  } catch (error) {
+    console.error('Get messages error:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading messages'
+    });
+  }
+});
+
+// Export canvas as a versioned JSON document
+router.get('/:name/export.json', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const document = await canvasDocuments.exportCanvas(req.params.name);
+
+    res.set('Content-Disposition', `attachment; filename="${encodeURIComponent(req.params.name)}.json"`);
+    res.json(document);
+  } catch (error) {
+    console.error('Export canvas document error:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting canvas'
+    });
+  }
+});
+
+// Same color formats the socket events accept
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\))$/i;
+const MAX_EXPORT_COORDINATE = 100000;
+
+// Parse `bbox=x,y,width,height`. Returns the box, or null if it is malformed
+const parseBoundingBox = (value) => {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (parts.length !== 4 || parts.some(part => part === '')) return null;
+
+  const [x, y, width, height] = parts.map(Number);
+  const valid = [x, y, width, height].every(n => Number.isFinite(n) && Math.abs(n) <= MAX_EXPORT_COORDINATE);
+  if (!valid || width <= 0 || height <= 0) return null;
+
+  return { x, y, width, height };
+};
+
+// Parse the `bbox` and `background` query parameters of SVG exports. Returns { options } or { error }
+const parseSvgOptions = ({ bbox, background }) => {
+  const boundingBox = bbox === undefined ? undefined : parseBoundingBox(bbox);
+  if (boundingBox === null) {
+    return { error: 'bbox must be "x,y,width,height" with a positive width and height' };
+  }
+
+  if (background !== undefined && (typeof background !== 'string' || !COLOR_PATTERN.test(background))) {
+    return { error: 'background must be a color' };
+  }
+
+  return { options: { bbox: boundingBox, background } };
+};
+
+const sendSvg = (res, filename, svg) => {
+  res.type('image/svg+xml');
+  res.set('Content-Disposition', `inline; filename="${encodeURIComponent(filename)}.svg"`);
+  res.send(svg);
+};
+
+// Export canvas as SVG
+router.get('/:name/export.svg', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const { options, error } = parseSvgOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const canvasState = await canvasManager.getCanvasState(req.params.name);
+    const svg = renderCanvasSvg({ layers: canvasState.layers, shapes: canvasState.shapes, strokes: canvasState.drawEvents }, options);
+
+    sendSvg(res, req.params.name, svg);
+  } catch (error) {
+    console.error('Export canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting canvas'
+    });
+  }
+});
+
+// Snapshots
+router.get('/:name/snapshots', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const snapshots = await snapshotStore.getSnapshots(req.params.name);
+    res.json({ snapshots });
+  } catch (error) {
+    console.error('List snapshots error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing snapshots'
+    });
+  }
+});
+
+router.post('/:name/snapshots', requireCanvasRole('editor'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return res.status(400).json({ error: 'Snapshot name is required' });
+    }
+
+    if (name.trim().length > MAX_SNAPSHOT_NAME_LENGTH) {
+      return res.status(400).json({
+        error: `Snapshot name must be at most ${MAX_SNAPSHOT_NAME_LENGTH} characters long`
+      });
+    }
+
+    const snapshot = await snapshotStore.createSnapshot(req.params.name, {
+      name: name.trim(),
+      createdById: req.user.userId
+    });
+
+    res.status(201).json({
+      message: 'Snapshot created successfully',
+      snapshot
+    });
+  } catch (error) {
+    console.error('Create snapshot error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating snapshot'
+    });
+  }
+});
+
+// Preview a snapshot (read-only): its metadata and canvas document
+router.get('/:name/snapshots/:snapshotId', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const found = await snapshotStore.getSnapshot(req.params.name, req.params.snapshotId);
+
+    if (!found) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json(found);
+  } catch (error) {
+    console.error('Get snapshot error:', error);
+    res.status(500).json({
+      error: 'Internal server error while loading snapshot'
+    });
+  }
+});
+
+router.get('/:name/snapshots/:snapshotId/export.svg', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const { options, error } = parseSvgOptions(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const found = await snapshotStore.getSnapshot(req.params.name, req.params.snapshotId);
+    if (!found) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const svg = renderCanvasSvg({ layers: found.document.layers, shapes: found.document.shapes, strokes: found.document.strokes }, options);
+    sendSvg(res, `${req.params.name}-${found.snapshot.name}`, svg);
+  } catch (error) {
+    console.error('Export snapshot error:', error);
+    res.status(500).json({
+      error: 'Internal server error while exporting snapshot'
+    });
+  }
+});
+
+// Replace the live canvas with a snapshot and push the new state to everyone in the room
+router.post('/:name/snapshots/:snapshotId/restore', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const snapshot = await snapshotStore.restoreSnapshot(req.params.name, req.params.snapshotId, {
+      restoredById: req.user.userId
+    });
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    const io = req.app.get('io');
+    historyManager.clearCanvas(req.params.name);
+    await broadcastCanvasState(io, req.params.name, req.user.userId);
+    io.to(req.params.name).emit('canvas:restored', {
+      canvas: req.params.name,
+      snapshot,
+      userId: req.user.userId
+    });
+
+    res.json({
+      message: 'Snapshot restored successfully',
+      snapshot
+    });
+  } catch (error) {
+    console.error('Restore snapshot error:', error);
+    res.status(500).json({
+      error: 'Internal server error while restoring snapshot'
+    });
+  }
+});
+
+router.delete('/:name/snapshots/:snapshotId', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const deleted = await snapshotStore.deleteSnapshot(req.params.name, req.params.snapshotId);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Snapshot not found' });
+    }
+
+    res.json({ message: 'Snapshot deleted successfully' });
+  } catch (error) {
+    console.error('Delete snapshot error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting snapshot'
+    });
+  }
+});
+
+// Rename canvas
+router.patch('/:name', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    const validationError = validateCanvasName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const newName = name.trim();
+
+    if (newName !== req.params.name && await canvasManager.getCanvas(newName)) {
+      return res.status(409).json({
+        error: 'Canvas already exists'
+      });
+    }
+
+    const canvas = await canvasManager.renameCanvas(req.params.name, newName);
+    historyManager.renameCanvas(req.params.name, newName);
+
+    // Let connected clients follow the canvas to its new name
+    const io = req.app.get('io');
+    io.to(req.params.name).emit('canvas:renamed', {
+      from: req.params.name,
+      to: newName
+    });
+    syncCanvasSockets(io, 'canvas:renamed', { from: req.params.name, to: newName });
+
+    res.json({
+      message: 'Canvas renamed successfully',
+      canvas
+    });
+  } catch (error) {
+    console.error('Rename canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while renaming canvas'
+    });
+  }
+});
+
+// Delete canvas
+router.delete('/:name', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    await canvasManager.deleteCanvas(req.params.name);
+    historyManager.clearCanvas(req.params.name);
+
+    const io = req.app.get('io');
+    io.to(req.params.name).emit('canvas:deleted', {
+      name: req.params.name
+    });
+    syncCanvasSockets(io, 'canvas:deleted', { name: req.params.name });
+
+    res.json({ message: 'Canvas deleted successfully' });
+  } catch (error) {
+    console.error('Delete canvas error:', error);
+    res.status(500).json({
+      error: 'Internal server error while deleting canvas'
+    });
+  }
+});
+
+// List canvas members
+router.get('/:name/members', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const members = await canvasMemberStore.getMembers(req.params.name);
+    res.json({ members });
+  } catch (error) {
+    console.error('List members error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing members'
+    });
+  }
+});
+
+// Add a member by email
+router.post('/:name/members', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const user = await userStore.getUserByEmail(email);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const existingRole = await canvasMemberStore.getRole(req.params.name, user.id);
+    if (existingRole) {
+      return res.status(409).json({ error: 'User is already a member of this canvas' });
+    }
+
+    await canvasMemberStore.addMember(req.params.name, user.id, role);
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member: {
+        userId: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role
+      }
+    });
+  } catch (error) {
+    console.error('Add member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while adding member'
+    });
+  }
+});
+
+// Change a member's role
+router.patch('/:name/members/:userId', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const currentRole = await canvasMemberStore.getRole(req.params.name, req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (currentRole === 'owner' && role !== 'owner' &&
+        await canvasMemberStore.countOwners(req.params.name) <= 1) {
+      return res.status(400).json({ error: 'A canvas must have at least one owner' });
+    }
+
+    await canvasMemberStore.updateRole(req.params.name, req.params.userId, role);
+    syncMemberSockets(req.app.get('io'), req.params.name, req.params.userId, role);
+
+    res.json({ message: 'Member role updated successfully', role });
+  } catch (error) {
+    console.error('Update member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while updating member'
+    });
+  }
+});
+
+// Remove a member (owners can remove anyone, members can remove themselves)
+router.delete('/:name/members/:userId', requireCanvasRole('viewer'), async (req, res) => {
+  try {
+    const isSelf = req.params.userId === req.user.userId;
+    if (!isSelf && req.canvasRole !== 'owner') {
+      return res.status(403).json({ error: 'This action requires the owner role' });
+    }
+
+    const currentRole = await canvasMemberStore.getRole(req.params.name, req.params.userId);
+    if (!currentRole) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (currentRole === 'owner' && await canvasMemberStore.countOwners(req.params.name) <= 1) {
+      return res.status(400).json({ error: 'A canvas must have at least one owner' });
+    }
+
+    await canvasMemberStore.removeMember(req.params.name, req.params.userId);
+    syncMemberSockets(req.app.get('io'), req.params.name, req.params.userId, null);
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      error: 'Internal server error while removing member'
+    });
+  }
+});
+
+// List outstanding invites
+router.get('/:name/invites', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const invites = await inviteStore.getActiveInvites(req.params.name);
+    res.json({ invites: invites.map(invite => withInviteUrl(req, invite)) });
+  } catch (error) {
+    console.error('List invites error:', error);
+    res.status(500).json({
+      error: 'Internal server error while listing invites'
+    });
+  }
+});
+
+// Create an invite link
+router.post('/:name/invites', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const {
+      role = 'editor',
+      expiresInHours = DEFAULT_INVITE_EXPIRY_HOURS,
+      maxUses = null
+    } = req.body;
+
+    if (!isValidRole(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (typeof expiresInHours !== 'number' || expiresInHours <= 0 || expiresInHours > MAX_INVITE_EXPIRY_HOURS) {
+      return res.status(400).json({
+        error: `Expiry must be between 0 and ${MAX_INVITE_EXPIRY_HOURS} hours`
+      });
+    }
+
+    if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+      return res.status(400).json({ error: 'Max uses must be a positive integer' });
+    }
+
+    const invite = await inviteStore.createInvite(req.params.name, {
+      createdById: req.user.userId,
+      role,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      maxUses
+    });
+
+    res.status(201).json({
+      message: 'Invite created successfully',
+      invite: withInviteUrl(req, invite)
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error while creating invite'
+    });
+  }
+});
+
+// Revoke an invite
+router.delete('/:name/invites/:inviteId', requireCanvasRole('owner'), async (req, res) => {
+  try {
+    const revoked = await inviteStore.revokeInvite(req.params.name, req.params.inviteId);
+    if (!revoked) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error while revoking invite'
+    });
+  }
+});
+
+module.exports = router;
+module.exports.applyMemberChange = applyMemberChange;
+module.exports.applyCanvasRename = applyCanvasRename;
+module.exports.applyCanvasDelete = applyCanvasDelete;
+module.exports.syncCanvasSockets = syncCanvasSockets;
+module.exports.broadcastPresence = broadcastPresence;
+module.exports.broadcastReleasedSelections = broadcastReleasedSelections;
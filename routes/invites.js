@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const inviteStore = require('../services/inviteStore');
+
+// Accept an invite link
+router.post('/:token/accept', authenticateToken, requireVerifiedEmail('read'), async (req, res) => {
+  try {
+    const result = await inviteStore.acceptInvite(req.params.token, req.user.userId);
+
+    if (result.error) {
+      return res.status(410).json({ error: result.error });
+    }
+
+    res.json({
+      message: 'Invite accepted successfully',
+      canvas: { name: result.canvasName },
+      role: result.role
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error while accepting invite'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,13 +2,31 @@ require('dotenv').config();
 const express = require('express');
 const http = require('http');
 const path = require('path');
+const crypto = require('crypto');
 const { Server } = require('socket.io');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const authRoutes = require('./routes/auth');
-const { authenticateSocket } = require('./middleware/auth');
+const canvasRoutes = require('./routes/canvases');
+const inviteRoutes = require('./routes/invites');
+const adminRoutes = require('./routes/admin');
+const { authenticateSocket, isRestricted, effectiveCanvasRole } = require('./middleware/auth');
+const { createApiRateLimit } = require('./middleware/apiRateLimit');
+const { validateSocketEvent } = require('./middleware/socketValidation');
+const { rateLimitSocketEvent } = require('./middleware/socketRateLimit');
 const canvasManager = require('./services/canvasManager');
+const canvasMemberStore = require('./services/canvasMemberStore');
+const { hasRole } = canvasMemberStore;
+const historyManager = require('./services/historyManager');
+const chatStore = require('./services/chatStore');
+const snapshotStore = require('./services/snapshotStore');
+const eventLog = require('./services/eventLog');
+const ReplaySession = require('./services/replaySession');
+const FrameBroadcaster = require('./services/frameBroadcaster');
+const sharedStore = require('./services/sharedStore');
+const { toBatchEvent } = historyManager;
+const { userColor } = canvasManager;
+const { broadcastPresence, broadcastReleasedSelections } = canvasRoutes;
 
 const app = express();
 const server = http.createServer(app);
@@ -24,6 +42,12 @@ const io = new Server(server, {
   pingInterval: 25000
 });
 
+// Expose the Socket.IO server to routes that need to notify connected clients
+app.set('io', io);
+
+// Cursor and stroke movements go out to each room as one `canvas:frame` per tick
+const frames = new FrameBroadcaster(io);
+
 // Middleware - Configure Helmet security headers
 app.use(helmet({
   originAgentCluster: false,  // Disable to avoid conflicts with reverse proxies
@@ -45,14 +69,12 @@ app.use(cors({
   origin: process.env.CLIENT_URL || '*',
   credentials: true
 }));
+// Canvas documents can be much larger than regular API requests
+app.use('/api/canvases/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100 // limit each IP to 100 requests per windowMs
-});
-app.use('/api/', limiter);
+// Rate limiting (API_RATE_LIMIT_MAX requests per IP and 15 minutes)
+app.use('/api/', createApiRateLimit());
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -65,6 +87,9 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/canvases', canvasRoutes);
+app.use('/api/invites', inviteRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Serve static files from the client build folder in production
 if (process.env.NODE_ENV === 'production') {
@@ -81,6 +106,32 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Presence statuses change with time passing (active -> idle -> away), so they are re-evaluated
+// periodically on one instance and the changes broadcast to every instance's sockets
+const PRESENCE_SWEEP_INTERVAL_MS = 10 * 1000;
+// Activity seen in canvas events refreshes a connection's presence at most this often
+const PRESENCE_ACTIVITY_THROTTLE_MS = 5 * 1000;
+
+setInterval(() => {
+  sharedStore.runExclusive('presence-sweep', PRESENCE_SWEEP_INTERVAL_MS, async () => {
+    for (const canvasId of await canvasManager.getActiveCanvases()) {
+      broadcastPresence(io, canvasId, await canvasManager.sweepPresence(canvasId));
+      broadcastReleasedSelections(io, canvasId, await canvasManager.sweepSelections(canvasId), 'timeout');
+    }
+  }).catch(error => console.error('Presence sweep failed:', error));
+}, PRESENCE_SWEEP_INTERVAL_MS);
+
+// Membership and canvas changes made through the REST API on another instance
+io.on('canvas:member', ({ canvasName, userId, role }) => {
+  canvasRoutes.applyMemberChange(io, canvasName, userId, role);
+});
+io.on('canvas:renamed', ({ from, to }) => {
+  canvasRoutes.applyCanvasRename(io, from, to);
+});
+io.on('canvas:deleted', ({ name }) => {
+  canvasRoutes.applyCanvasDelete(io, name);
+});
+
 // Socket.IO authentication middleware
 io.use(authenticateSocket);
 
@@ -89,139 +140,903 @@ io.on('connection', (socket) => {
   const userFullName = `${socket.user.firstName} ${socket.user.lastName}`;
   console.log(`User connected: ${userFullName} (${socket.id})`);
 
+  // Rate-limit and validate every inbound event against its schema before any handler sees it
+  socket.use(rateLimitSocketEvent(socket));
+  socket.use(validateSocketEvent(socket));
+
   // Send user info
   socket.emit('user:connected', {
     userId: socket.user.userId,
     firstName: socket.user.firstName,
     lastName: socket.user.lastName,
-    email: socket.user.email
+    email: socket.user.email,
+    color: userColor(socket.user.userId)
   });
 
-  // Join a canvas room
-  socket.on('canvas:join', (canvasId) => {
+  // Canvases this socket has joined, with the user's role on each. A socket can watch several
+  // canvases at once; canvas-scoped events name their target in `canvas`, which may be left out
+  // while the socket has joined exactly one canvas.
+  socket.canvases = new Map(); // Map<canvasId, role>
+
+  // Send an event failure to the client, via its acknowledgement callback if it passed one
+  const reportError = (ack, error) => {
+    if (typeof ack === 'function') {
+      ack({ ok: false, error });
+    } else {
+      socket.emit('canvas:error', error);
+    }
+  };
+
+  // Resolve an event's target canvas and check the user holds at least the given role on it.
+  // Returns the canvas id, or null after reporting the error
+  // (through the event's acknowledgement callback when the client passed one)
+  const requireRole = (minimumRole, event, data, ack) => {
+    const canvasId = data?.canvas ?? (socket.canvases.size === 1 ? socket.canvases.keys().next().value : null);
+
+    if (!canvasId || !socket.canvases.has(canvasId)) {
+      reportError(ack, {
+        event,
+        canvas: canvasId,
+        code: 'NOT_JOINED',
+        message: canvasId ? 'Join the canvas before sending events to it' : 'Specify the target canvas'
+      });
+      return null;
+    }
+
+    if (!hasRole(socket.canvases.get(canvasId), minimumRole)) {
+      reportError(ack, {
+        event,
+        canvas: canvasId,
+        code: 'FORBIDDEN',
+        message: `This action requires the ${minimumRole} role`
+      });
+      return null;
+    }
+
+    markActive(canvasId);
+    return canvasId;
+  };
+
+  // Refresh this connection's presence on a canvas, broadcasting any status change
+  const touchPresence = async (canvasId, activity) => {
+    try {
+      broadcastPresence(io, canvasId, await canvasManager.touchConnection(canvasId, socket.id, activity));
+    } catch (error) {
+      console.error(`Failed to update presence on canvas ${canvasId}:`, error);
+    }
+  };
+
+  // Count an accepted canvas event as user activity (throttled)
+  const lastActivity = new Map(); // Map<canvasId, timestamp>
+  const markActive = (canvasId) => {
+    const now = Date.now();
+    if (now - (lastActivity.get(canvasId) ?? 0) < PRESENCE_ACTIVITY_THROTTLE_MS) return;
+
+    lastActivity.set(canvasId, now);
+    touchPresence(canvasId, { active: true });
+  };
+
+  // Record an operation in this user's undo history for a canvas
+  const recordHistory = (canvasId, operation) => {
+    historyManager.record(canvasId, socket.user.userId, operation);
+    socket.emit('history:status', { canvas: canvasId, ...historyManager.getStatus(canvasId, socket.user.userId) });
+  };
+
+  // Append what the room was sent to the canvas's event log (for session replay)
+  const logEvent = (canvasId, event, data) => {
+    eventLog.record(canvasId, event, data, socket.user.userId);
+  };
+
+  // Join a canvas room (joining one the socket is already in just sends its state again)
+  socket.on('canvas:join', async (canvasId) => {
+    let role;
+    try {
+      // Unverified users can't create (and so claim) canvases by joining them
+      role = isRestricted(socket.user)
+        ? await canvasMemberStore.getRole(canvasId, socket.user.userId)
+        : await canvasMemberStore.getOrClaimRole(canvasId, socket.user.userId);
+      role = effectiveCanvasRole(role, socket.user);
+    } catch (error) {
+      console.error(`Failed to check membership for canvas ${canvasId}:`, error);
+      socket.emit('canvas:error', { event: 'canvas:join', canvas: canvasId, message: 'Failed to load canvas' });
+      return;
+    }
+
+    if (!role) {
+      socket.emit('canvas:error', {
+        event: 'canvas:join',
+        canvas: canvasId,
+        message: 'You are not a member of this canvas'
+      });
+      return;
+    }
+
+    const rejoining = socket.canvases.has(canvasId);
     socket.join(canvasId);
-    socket.currentCanvas = canvasId;
+    socket.canvases.set(canvasId, role);
+    socket.emit('canvas:role', { name: canvasId, role });
+    socket.emit('history:status', { canvas: canvasId, ...historyManager.getStatus(canvasId, socket.user.userId) });
 
     const userFullName = `${socket.user.firstName} ${socket.user.lastName}`;
 
-    // Add user to canvas
-    canvasManager.addUser(canvasId, socket.user.userId, userFullName);
+    // Add the connection to the canvas's presence and send the current canvas state to the newly joined user
+    let presence = null;
+    try {
+      presence = await canvasManager.addConnection(canvasId, socket.id, {
+        userId: socket.user.userId,
+        username: userFullName
+      });
+      lastActivity.set(canvasId, Date.now());
+      const canvasState = await canvasManager.getCanvasState(canvasId);
+      const chat = await chatStore.getMessages(canvasId);
+      socket.emit('canvas:state', {
+        canvas: canvasId,
+        ...canvasState,
+        messages: chat.messages,
+        messagesCursor: chat.nextCursor
+      });
+    } catch (error) {
+      console.error(`Failed to load canvas ${canvasId}:`, error);
+      socket.emit('canvas:error', { event: 'canvas:join', canvas: canvasId, message: 'Failed to load canvas' });
+    }
 
-    // Send current canvas state to the newly joined user
-    const canvasState = canvasManager.getCanvasState(canvasId);
-    socket.emit('canvas:state', canvasState);
+    if (rejoining) {
+      broadcastPresence(io, canvasId, presence);
+      return;
+    }
 
-    // Notify others in the room
-    socket.to(canvasId).emit('user:joined', {
-      userId: socket.user.userId,
-      firstName: socket.user.firstName,
-      lastName: socket.user.lastName,
-      email: socket.user.email
-    });
+    // Notify others in the room, unless the user was already there in another tab
+    if (presence?.added.includes(socket.user.userId)) {
+      socket.to(canvasId).emit('user:joined', {
+        canvas: canvasId,
+        userId: socket.user.userId,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName,
+        email: socket.user.email,
+        color: userColor(socket.user.userId)
+      });
+    }
 
-    // Send updated list of active users to everyone in the room
-    const users = canvasManager.getCanvasUsers(canvasId);
-    io.to(canvasId).emit('canvas:users', users);
+    // Send the presence change to everyone in the room
+    broadcastPresence(io, canvasId, presence);
 
     console.log(`${userFullName} joined canvas: ${canvasId}`);
   });
 
-  // Drawing events
+  // Drawing events - points are collected server-side and the stroke is persisted on draw:end
+  socket.activeStrokes = new Map(); // Map<strokeId, canvasId> of strokes still being drawn
+  const lastStrokeIds = new Map(); // Map<canvasId, strokeId>, for draw events that leave out the stroke id
+
+  // Persist a finished stroke and tell the room it's done
+  const finishStroke = async (canvasId, strokeId) => {
+    socket.activeStrokes.delete(strokeId);
+
+    const stroke = await canvasManager.endStroke(canvasId, socket.user.userId, strokeId);
+    if (stroke) {
+      logEvent(canvasId, 'stroke:add', { strokeId, drawEvents: [stroke] });
+      recordHistory(canvasId, { type: 'stroke:add', strokeId, events: [] });
+    }
+    return stroke;
+  };
+
+  // Leave a canvas room: close out unfinished strokes and update presence
+  const leaveCanvas = async (canvasId) => {
+    socket.canvases.delete(canvasId);
+    lastStrokeIds.delete(canvasId);
+    lastActivity.delete(canvasId);
+    socket.leave(canvasId);
+
+    // Close out strokes that were still being drawn when the user left
+    for (const [strokeId, strokeCanvasId] of [...socket.activeStrokes]) {
+      if (strokeCanvasId !== canvasId) continue;
+
+      frames.flush(canvasId);
+      socket.to(canvasId).emit('draw:end', {
+        canvas: canvasId,
+        strokeId,
+        userId: socket.user.userId,
+        timestamp: Date.now()
+      });
+      finishStroke(canvasId, strokeId).catch(error => {
+        console.error('Failed to save stroke on leave:', error);
+      });
+    }
+
+    // Locks taken through this connection go with it
+    broadcastReleasedSelections(io, canvasId, await canvasManager.releaseSelections(canvasId, socket.id), 'left');
+
+    // The user only leaves once their last connection to the canvas is gone
+    const presence = await canvasManager.removeConnection(canvasId, socket.id);
+    if (presence?.removed.includes(socket.user.userId)) {
+      socket.to(canvasId).emit('user:left', {
+        canvas: canvasId,
+        userId: socket.user.userId,
+        firstName: socket.user.firstName,
+        lastName: socket.user.lastName
+      });
+    }
+    broadcastPresence(io, canvasId, presence);
+
+    // Scheduled snapshots only cover canvases users are on, so the last one out takes one
+    if (!(await canvasManager.isActive(canvasId))) {
+      snapshotStore.takeAutomaticSnapshot(canvasId).catch(error => {
+        console.error(`Failed to snapshot canvas ${canvasId}:`, error);
+      });
+    }
+  };
+
+  socket.on('canvas:leave', async (canvasId, ack) => {
+    if (!socket.canvases.has(canvasId)) {
+      return reportError(ack, {
+        event: 'canvas:leave',
+        canvas: canvasId,
+        code: 'NOT_JOINED',
+        message: 'You have not joined this canvas'
+      });
+    }
+
+    try {
+      await leaveCanvas(canvasId);
+    } catch (error) {
+      console.error(`Failed to remove user from canvas ${canvasId}:`, error);
+    }
+
+    if (typeof ack === 'function') {
+      ack({ ok: true, canvas: canvasId });
+    }
+  });
+
   socket.on('draw:start', (data) => {
+    const canvasId = requireRole('editor', 'draw:start', data);
+    if (!canvasId) return;
+
     const drawData = {
       ...data,
+      canvas: canvasId,
+      strokeId: typeof data.strokeId === 'string' ? data.strokeId : crypto.randomUUID(),
       userId: socket.user.userId,
       firstName: socket.user.firstName,
       lastName: socket.user.lastName,
+      userColor: userColor(socket.user.userId),
       timestamp: Date.now()
     };
 
-    socket.to(socket.currentCanvas).emit('draw:start', drawData);
-    canvasManager.addDrawEvent(socket.currentCanvas, drawData);
+    socket.activeStrokes.set(drawData.strokeId, canvasId);
+    lastStrokeIds.set(canvasId, drawData.strokeId);
+
+    socket.to(canvasId).emit('draw:start', drawData);
+    canvasManager.startStroke(canvasId, drawData);
   });
 
   socket.on('draw:move', (data) => {
-    const drawData = {
-      ...data,
-      userId: socket.user.userId,
-      timestamp: Date.now()
-    };
-    
-    socket.to(socket.currentCanvas).emit('draw:move', drawData);
+    const canvasId = requireRole('editor', 'draw:move', data);
+    if (!canvasId) return;
+
+    // Points reach the room batched into the next canvas:frame
+    const strokeId = data.strokeId || lastStrokeIds.get(canvasId);
+    const point = { x: data.x, y: data.y };
+    frames.queueStrokePoint(canvasId, strokeId, socket.user.userId, point, socket.id);
+    canvasManager.addStrokePoint(canvasId, socket.user.userId, strokeId, point);
   });
 
-  socket.on('draw:end', (data) => {
+  socket.on('draw:end', async (data) => {
+    const canvasId = requireRole('editor', 'draw:end', data);
+    if (!canvasId) return;
+
     const drawData = {
       ...data,
+      canvas: canvasId,
+      strokeId: data.strokeId || lastStrokeIds.get(canvasId),
       userId: socket.user.userId,
       timestamp: Date.now()
     };
-    
-    socket.to(socket.currentCanvas).emit('draw:end', drawData);
+
+    // Send the stroke's last points before it is ended
+    frames.flush(canvasId);
+    socket.to(canvasId).emit('draw:end', drawData);
+
+    try {
+      await finishStroke(canvasId, drawData.strokeId);
+    } catch (error) {
+      console.error('Failed to save stroke:', error);
+    }
   });
 
   // Shape events
-  socket.on('shape:add', (data) => {
+  // Shapes get their canonical id from the database. Clients may tag a new shape with a temporary
+  // `clientId`; this maps it to the real id so updates sent before the ack arrives still land.
+  const MAX_PENDING_SHAPE_IDS = 1000;
+  const pendingShapeIds = new Map(); // Map<clientId, Promise<shapeId>>
+
+  const resolveShapeId = (shapeId) => {
+    return pendingShapeIds.has(shapeId) ? pendingShapeIds.get(shapeId) : shapeId;
+  };
+
+  socket.on('shape:add', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:add', data, ack);
+    if (!canvasId) return;
+
+    const { clientId, canvas, ...fields } = data;
     const shapeData = {
-      ...data,
+      ...fields,
       userId: socket.user.userId,
       firstName: socket.user.firstName,
       lastName: socket.user.lastName,
       timestamp: Date.now()
     };
 
-    socket.to(socket.currentCanvas).emit('shape:add', shapeData);
-    canvasManager.addShape(socket.currentCanvas, shapeData);
+    const persisted = canvasManager.addShape(canvasId, shapeData);
+    if (clientId) {
+      pendingShapeIds.set(clientId, persisted.then(shape => shape.id, () => clientId));
+      if (pendingShapeIds.size > MAX_PENDING_SHAPE_IDS) {
+        pendingShapeIds.delete(pendingShapeIds.keys().next().value);
+      }
+    }
+
+    let shape;
+    try {
+      shape = await persisted;
+    } catch (error) {
+      if (!error.code) {
+        console.error('Failed to add shape:', error);
+      }
+      reportError(ack, {
+        event: 'shape:add',
+        canvas: canvasId,
+        code: error.code || 'PERSIST_FAILED',
+        message: error.code ? error.message : 'Failed to save shape',
+        clientId
+      });
+      return;
+    }
+
+    if (typeof ack === 'function') {
+      ack({ ok: true, id: shape.id, clientId, layerId: shape.layerId, zIndex: shape.zIndex });
+    }
+    socket.to(canvasId).emit('shape:add', { ...shape, canvas: canvasId, clientId });
+    logEvent(canvasId, 'shape:add', shape);
+    recordHistory(canvasId, { type: 'shape:add', shape });
   });
 
-  socket.on('shape:update', (data) => {
+  // Report a failed shape or layer operation. Errors with a code (locked layer, missing shape, ...)
+  // are the client's to fix; anything else is logged
+  const reportFailure = (ack, event, canvasId, error, message) => {
+    if (!error.code) {
+      console.error(`Failed to handle ${event}:`, error);
+    }
+    reportError(ack, {
+      event,
+      canvas: canvasId,
+      code: error.code || 'PERSIST_FAILED',
+      message: error.code ? error.message : message
+    });
+  };
+
+  // Refuse changes to shapes another user has selected (see shape:select). Returns false after
+  // reporting the first locked shape, or a failure to read the locks; `index` is its position
+  // in `shapeIds`, reported for batches
+  const checkShapeLocks = async (ack, event, canvasId, shapeIds) => {
+    for (const [index, shapeId] of shapeIds.entries()) {
+      if (!shapeId) continue;
+
+      let lock;
+      try {
+        lock = await canvasManager.getShapeLock(canvasId, shapeId);
+      } catch (error) {
+        reportFailure(ack, event, canvasId, error, 'Failed to check shape locks');
+        return false;
+      }
+      if (lock && lock.userId !== socket.user.userId) {
+        reportError(ack, {
+          event,
+          canvas: canvasId,
+          code: 'SHAPE_LOCKED',
+          message: `${lock.username} is editing this shape`,
+          shapeId,
+          lockedBy: { userId: lock.userId, username: lock.username },
+          ...(event === 'canvas:batch' && { index })
+        });
+        return false;
+      }
+    }
+    return true;
+  };
+
+  // Release the user's lock on a shape they deleted. Peers drop the selection along with the shape
+  const releaseDeletedShape = (canvasId, shapeId) => {
+    canvasManager.deselectShape(canvasId, shapeId, socket.user.userId).catch(error => {
+      console.error('Failed to release deleted shape:', error);
+    });
+  };
+
+  // Updates and deletes are saved before they are broadcast, so refused ones (e.g. on a locked layer)
+  // never reach the room
+  socket.on('shape:update', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:update', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+    if (!(await checkShapeLocks(ack, 'shape:update', canvasId, [shapeId]))) return;
+    const { canvas, ...fields } = data;
     const shapeData = {
-      ...data,
+      ...fields,
+      shapeId,
       userId: socket.user.userId,
       timestamp: Date.now()
     };
-    
-    socket.to(socket.currentCanvas).emit('shape:update', shapeData);
-    canvasManager.updateShape(socket.currentCanvas, data.shapeId, shapeData);
+
+    let result;
+    try {
+      result = await canvasManager.updateShape(canvasId, shapeId, shapeData);
+    } catch (error) {
+      reportFailure(ack, 'shape:update', canvasId, error, 'Failed to update shape');
+      return;
+    }
+    if (!result) return;
+
+    if (typeof ack === 'function') {
+      ack({ ok: true });
+    }
+    socket.to(canvasId).emit('shape:update', { ...shapeData, canvas: canvasId });
+    logEvent(canvasId, 'shape:update', shapeData);
+    recordHistory(canvasId, { type: 'shape:update', shapeId, ...result });
   });
 
-  socket.on('shape:delete', (data) => {
-    socket.to(socket.currentCanvas).emit('shape:delete', data);
-    canvasManager.deleteShape(socket.currentCanvas, data.shapeId);
+  socket.on('shape:delete', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:delete', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+    if (!(await checkShapeLocks(ack, 'shape:delete', canvasId, [shapeId]))) return;
+
+    let shape;
+    try {
+      shape = await canvasManager.deleteShape(canvasId, shapeId);
+    } catch (error) {
+      reportFailure(ack, 'shape:delete', canvasId, error, 'Failed to delete shape');
+      return;
+    }
+    if (!shape) return;
+
+    if (typeof ack === 'function') {
+      ack({ ok: true });
+    }
+    socket.to(canvasId).emit('shape:delete', { canvas: canvasId, shapeId });
+    logEvent(canvasId, 'shape:delete', { shapeId });
+    recordHistory(canvasId, { type: 'shape:delete', shape });
+    releaseDeletedShape(canvasId, shapeId);
+  });
+
+  // Selections: show who is editing which shape, and lock it against other users' changes
+  // until it is deselected, the lock times out or the connection leaves. Selecting again renews the lock
+  socket.on('shape:select', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:select', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+
+    try {
+      // Only shapes that exist can be locked
+      if (!(await canvasManager.getShape(canvasId, shapeId))) {
+        return reportError(ack, {
+          event: 'shape:select',
+          canvas: canvasId,
+          code: 'SHAPE_NOT_FOUND',
+          message: `Shape ${shapeId} not found`,
+          shapeId
+        });
+      }
+
+      const { selection, lockedBy } = await canvasManager.selectShape(canvasId, shapeId, socket.id, {
+        userId: socket.user.userId,
+        username: userFullName
+      });
+      if (lockedBy) {
+        return reportError(ack, {
+          event: 'shape:select',
+          canvas: canvasId,
+          code: 'SHAPE_LOCKED',
+          message: `${lockedBy.username} is editing this shape`,
+          shapeId,
+          lockedBy: { userId: lockedBy.userId, username: lockedBy.username }
+        });
+      }
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, ...selection });
+      }
+      socket.to(canvasId).emit('shape:select', { canvas: canvasId, ...selection });
+    } catch (error) {
+      reportFailure(ack, 'shape:select', canvasId, error, 'Failed to select shape');
+    }
+  });
+
+  socket.on('shape:deselect', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:deselect', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+
+    try {
+      const released = await canvasManager.deselectShape(canvasId, shapeId, socket.user.userId);
+      if (typeof ack === 'function') {
+        ack({ ok: true, released: Boolean(released) });
+      }
+      if (released) {
+        socket.to(canvasId).emit('shape:deselect', {
+          canvas: canvasId,
+          shapeId,
+          userId: socket.user.userId,
+          reason: 'deselect'
+        });
+      }
+    } catch (error) {
+      reportFailure(ack, 'shape:deselect', canvasId, error, 'Failed to deselect shape');
+    }
+  });
+
+  // Move a shape to another layer, or to the front or back of its own. Not part of undo history
+  socket.on('shape:layer', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:layer', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+    if (!(await checkShapeLocks(ack, 'shape:layer', canvasId, [shapeId]))) return;
+
+    try {
+      const placement = await canvasManager.moveShapeToLayer(canvasId, shapeId, data.layerId);
+      broadcastPlacement(canvasId, placement, ack);
+    } catch (error) {
+      reportFailure(ack, 'shape:layer', canvasId, error, 'Failed to move shape');
+    }
+  });
+
+  socket.on('shape:order', async (data, ack) => {
+    const canvasId = requireRole('editor', 'shape:order', data, ack);
+    if (!canvasId) return;
+
+    const shapeId = await resolveShapeId(data.shapeId);
+    if (!(await checkShapeLocks(ack, 'shape:order', canvasId, [shapeId]))) return;
+
+    try {
+      const placement = await canvasManager.reorderShape(canvasId, shapeId, data.position);
+      broadcastPlacement(canvasId, placement, ack);
+    } catch (error) {
+      reportFailure(ack, 'shape:order', canvasId, error, 'Failed to reorder shape');
+    }
+  });
+
+  // Tell the room (and the sender, through its ack) where a shape now sits: { shapeId, layerId, zIndex }
+  const broadcastPlacement = (canvasId, placement, ack) => {
+    if (typeof ack === 'function') {
+      ack({ ok: true, ...placement });
+    }
+    socket.to(canvasId).emit('shape:placement', { canvas: canvasId, ...placement });
+    logEvent(canvasId, 'shape:placement', placement);
+  };
+
+  // Layers
+  socket.on('layer:create', async (data, ack) => {
+    const canvasId = requireRole('editor', 'layer:create', data, ack);
+    if (!canvasId) return;
+
+    try {
+      const layer = await canvasManager.createLayer(canvasId, { name: data.name });
+      if (typeof ack === 'function') {
+        ack({ ok: true, layer });
+      }
+      socket.to(canvasId).emit('layer:create', { canvas: canvasId, layer });
+      logEvent(canvasId, 'layer:create', { layer });
+    } catch (error) {
+      reportFailure(ack, 'layer:create', canvasId, error, 'Failed to create layer');
+    }
+  });
+
+  // Rename, hide/show or lock/unlock a layer
+  socket.on('layer:update', async (data, ack) => {
+    const canvasId = requireRole('editor', 'layer:update', data, ack);
+    if (!canvasId) return;
+
+    try {
+      const { canvas, layerId, ...changes } = data;
+      const layer = await canvasManager.updateLayer(canvasId, layerId, changes);
+      if (!layer) {
+        return reportError(ack, { event: 'layer:update', canvas: canvasId, code: 'LAYER_NOT_FOUND', message: `Layer ${layerId} not found` });
+      }
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, layer });
+      }
+      socket.to(canvasId).emit('layer:update', { canvas: canvasId, layer });
+      logEvent(canvasId, 'layer:update', { layer });
+    } catch (error) {
+      reportFailure(ack, 'layer:update', canvasId, error, 'Failed to update layer');
+    }
+  });
+
+  socket.on('layer:reorder', async (data, ack) => {
+    const canvasId = requireRole('editor', 'layer:reorder', data, ack);
+    if (!canvasId) return;
+
+    try {
+      const layerIds = await canvasManager.reorderLayer(canvasId, data.layerId, data.index);
+      if (!layerIds) {
+        return reportError(ack, { event: 'layer:reorder', canvas: canvasId, code: 'LAYER_NOT_FOUND', message: `Layer ${data.layerId} not found` });
+      }
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, layerIds });
+      }
+      socket.to(canvasId).emit('layer:reorder', { canvas: canvasId, layerIds });
+      logEvent(canvasId, 'layer:reorder', { layerIds });
+    } catch (error) {
+      reportFailure(ack, 'layer:reorder', canvasId, error, 'Failed to reorder layers');
+    }
+  });
+
+  // Deleting a layer deletes its shapes. Not part of undo history; undoing the deletion of a shape
+  // that was on it later puts the shape on the top layer
+  socket.on('layer:delete', async (data, ack) => {
+    const canvasId = requireRole('editor', 'layer:delete', data, ack);
+    if (!canvasId) return;
+
+    try {
+      const layer = await canvasManager.deleteLayer(canvasId, data.layerId);
+      if (!layer) {
+        return reportError(ack, { event: 'layer:delete', canvas: canvasId, code: 'LAYER_NOT_FOUND', message: `Layer ${data.layerId} not found` });
+      }
+
+      if (typeof ack === 'function') {
+        ack({ ok: true, layerId: layer.id });
+      }
+      socket.to(canvasId).emit('layer:delete', { canvas: canvasId, layerId: layer.id });
+      logEvent(canvasId, 'layer:delete', { layerId: layer.id });
+    } catch (error) {
+      reportFailure(ack, 'layer:delete', canvasId, error, 'Failed to delete layer');
+    }
+  });
+
+  // Batch shape operations: applied in one transaction and broadcast as one unit, or rejected as a whole
+  socket.on('canvas:batch', async (data, ack) => {
+    const canvasId = requireRole('editor', 'canvas:batch', data, ack);
+    if (!canvasId) return;
+
+    const timestamp = Date.now();
+    let operations;
+    try {
+      operations = await Promise.all(data.operations.map(async ({ op, clientId, shapeId, ...fields }) => {
+        switch (op) {
+          case 'add':
+            return {
+              type: 'add',
+              clientId,
+              shape: {
+                ...fields,
+                userId: socket.user.userId,
+                firstName: socket.user.firstName,
+                lastName: socket.user.lastName,
+                timestamp
+              }
+            };
+          case 'update':
+            return {
+              type: 'update',
+              shapeId: await resolveShapeId(shapeId),
+              updates: { ...fields, userId: socket.user.userId, timestamp }
+            };
+          default:
+            return { type: 'delete', shapeId: await resolveShapeId(shapeId) };
+        }
+      }));
+    } catch (error) {
+      reportFailure(ack, 'canvas:batch', canvasId, error, 'Failed to apply batch');
+      return;
+    }
+
+    const changedShapeIds = operations.map(operation => (operation.type === 'add' ? null : operation.shapeId));
+    if (!(await checkShapeLocks(ack, 'canvas:batch', canvasId, changedShapeIds))) return;
+
+    let results;
+    try {
+      results = await canvasManager.applyBatch(canvasId, operations);
+    } catch (error) {
+      if (error.code !== 'SHAPE_NOT_FOUND') {
+        console.error('Failed to apply batch:', error);
+      }
+      reportError(ack, {
+        event: 'canvas:batch',
+        canvas: canvasId,
+        code: error.code || 'PERSIST_FAILED',
+        message: error.code ? error.message : 'Failed to apply batch',
+        index: error.index
+      });
+      return;
+    }
+
+    if (typeof ack === 'function') {
+      ack({
+        ok: true,
+        operations: results.map(result => result.type === 'add'
+          ? { op: 'add', id: result.shape.id, clientId: result.clientId }
+          : { op: result.type, shapeId: result.shapeId || result.shape.id })
+      });
+    }
+
+    const batch = {
+      userId: socket.user.userId,
+      operations: results.map(toBatchEvent)
+    };
+    socket.to(canvasId).emit('canvas:batch', { canvas: canvasId, ...batch });
+    logEvent(canvasId, 'canvas:batch', batch);
+
+    recordHistory(canvasId, {
+      type: 'batch',
+      operations: results.map(result => {
+        switch (result.type) {
+          case 'add':
+            return { type: 'shape:add', shape: result.shape };
+          case 'update':
+            return { type: 'shape:update', shapeId: result.shapeId, before: result.before, after: result.after };
+          default:
+            return { type: 'shape:delete', shape: result.shape };
+        }
+      })
+    });
+
+    for (const result of results) {
+      if (result.type === 'delete') releaseDeletedShape(canvasId, result.shape.id);
+    }
+  });
+
+  // Undo/redo - only ever reverses this user's own operations
+  const applyHistory = async (canvasId, direction) => {
+    try {
+      const events = direction === 'undo'
+        ? await historyManager.undo(canvasId, socket.user.userId)
+        : await historyManager.redo(canvasId, socket.user.userId);
+
+      for (const { event, data } of events) {
+        io.to(canvasId).emit(event, { canvas: canvasId, ...data });
+        logEvent(canvasId, event, data);
+      }
+    } catch (error) {
+      if (!error.code) {
+        console.error(`Failed to ${direction} on canvas ${canvasId}:`, error);
+      }
+      socket.emit('canvas:error', {
+        event: `history:${direction}`,
+        canvas: canvasId,
+        code: error.code,
+        message: error.code ? `Can't ${direction}: ${error.message}` : `Failed to ${direction}`
+      });
+    }
+
+    socket.emit('history:status', { canvas: canvasId, ...historyManager.getStatus(canvasId, socket.user.userId) });
+  };
+
+  socket.on('history:undo', (data) => {
+    const canvasId = requireRole('editor', 'history:undo', data);
+    if (!canvasId) return;
+    applyHistory(canvasId, 'undo');
+  });
+
+  socket.on('history:redo', (data) => {
+    const canvasId = requireRole('editor', 'history:redo', data);
+    if (!canvasId) return;
+    applyHistory(canvasId, 'redo');
   });
 
   // Clear canvas
-  socket.on('canvas:clear', () => {
-    socket.to(socket.currentCanvas).emit('canvas:clear', {
+  // The canvas is snapshotted first, so a clear can be undone by restoring that snapshot
+  socket.on('canvas:clear', async (data) => {
+    const canvasId = requireRole('owner', 'canvas:clear', data);
+    if (!canvasId) return;
+
+    try {
+      await snapshotStore.createSnapshot(canvasId, {
+        name: 'Before clear',
+        createdById: socket.user.userId,
+        automatic: true,
+        skipUnchanged: true
+      });
+    } catch (error) {
+      console.error(`Failed to snapshot canvas ${canvasId} before clearing:`, error);
+      socket.emit('canvas:error', {
+        event: 'canvas:clear',
+        canvas: canvasId,
+        message: 'Failed to snapshot the canvas, so it was not cleared'
+      });
+      return;
+    }
+
+    // Cleared before it is broadcast, so a failed clear never reaches the room
+    try {
+      await canvasManager.clearCanvas(canvasId);
+    } catch (error) {
+      console.error(`Failed to clear canvas ${canvasId}:`, error);
+      socket.emit('canvas:error', {
+        event: 'canvas:clear',
+        canvas: canvasId,
+        message: 'Failed to clear the canvas'
+      });
+      return;
+    }
+
+    const clearData = {
       userId: socket.user.userId,
       firstName: socket.user.firstName,
       lastName: socket.user.lastName
-    });
-    canvasManager.clearCanvas(socket.currentCanvas);
+    };
+    socket.to(canvasId).emit('canvas:clear', { canvas: canvasId, ...clearData });
+    logEvent(canvasId, 'canvas:clear', clearData);
+    historyManager.clearCanvas(canvasId);
+    io.to(canvasId).emit('history:status', { canvas: canvasId, canUndo: false, canRedo: false });
   });
 
   // Cursor position
   socket.on('cursor:move', (data) => {
-    socket.to(socket.currentCanvas).emit('cursor:move', {
+    const canvasId = requireRole('viewer', 'cursor:move', data);
+    if (!canvasId) return;
+
+    // Only the latest position per user and tick reaches the room, in a canvas:frame
+    frames.queueCursor(canvasId, {
       userId: socket.user.userId,
       firstName: socket.user.firstName,
       lastName: socket.user.lastName,
+      color: userColor(socket.user.userId),
       x: data.x,
       y: data.y
-    });
+    }, socket.id);
+  });
+
+  // Presence heartbeat: clients send one periodically, with `active` if the user did something
+  // since the last one and `hidden` when the tab goes to the background or comes back
+  socket.on('presence:heartbeat', async (data, ack) => {
+    if (data.canvas !== undefined && !socket.canvases.has(data.canvas)) {
+      return reportError(ack, {
+        event: 'presence:heartbeat',
+        canvas: data.canvas,
+        code: 'NOT_JOINED',
+        message: 'Join the canvas before sending events to it'
+      });
+    }
+
+    const canvasIds = data.canvas !== undefined ? [data.canvas] : [...socket.canvases.keys()];
+    for (const canvasId of canvasIds) {
+      if (data.active) lastActivity.set(canvasId, Date.now());
+      await touchPresence(canvasId, { active: data.active, hidden: data.hidden });
+    }
+
+    if (typeof ack === 'function') {
+      ack({ ok: true });
+    }
   });
 
   // Chat messages
-  socket.on('chat:message', (message) => {
-    const chatMessage = {
-      userId: socket.user.userId,
-      firstName: socket.user.firstName,
-      lastName: socket.user.lastName,
-      message: message,
-      timestamp: Date.now()
-    };
+  // Messages are stored before they are broadcast, so late joiners get them with the canvas state
+  socket.on('chat:message', async (data, ack) => {
+    const canvasId = requireRole('viewer', 'chat:message', data, ack);
+    if (!canvasId) return;
+
+    let chatMessage;
+    try {
+      chatMessage = await chatStore.addMessage(canvasId, socket.user.userId, data.text);
+    } catch (error) {
+      console.error('Failed to save chat message:', error);
+      reportError(ack, { event: 'chat:message', canvas: canvasId, code: 'PERSIST_FAILED', message: 'Failed to send message' });
+      return;
+    }
+
+    if (!chatMessage) {
+      reportError(ack, { event: 'chat:message', canvas: canvasId, code: 'VALIDATION_ERROR', message: 'Message is empty' });
+      return;
+    }
 
-    io.to(socket.currentCanvas).emit('chat:message', chatMessage);
+    if (typeof ack === 'function') {
+      ack({ ok: true, id: chatMessage.id });
+    }
+    io.to(canvasId).emit('chat:message', { canvas: canvasId, ...chatMessage });
+    logEvent(canvasId, 'chat:message', chatMessage);
   });
 
   // Disconnection
@@ -229,18 +1044,10 @@ io.on('connection', (socket) => {
     const userFullName = `${socket.user.firstName} ${socket.user.lastName}`;
     console.log(`User disconnected: ${userFullName} (${socket.id})`);
 
-    if (socket.currentCanvas) {
-      socket.to(socket.currentCanvas).emit('user:left', {
-        userId: socket.user.userId,
-        firstName: socket.user.firstName,
-        lastName: socket.user.lastName
+    for (const canvasId of [...socket.canvases.keys()]) {
+      leaveCanvas(canvasId).catch(error => {
+        console.error(`Failed to remove user from canvas ${canvasId}:`, error);
       });
-
-      canvasManager.removeUser(socket.currentCanvas, socket.user.userId);
-
-      // Send updated users list to everyone remaining in the room
-      const users = canvasManager.getCanvasUsers(socket.currentCanvas);
-      io.to(socket.currentCanvas).emit('canvas:users', users);
     }
   });
 
@@ -251,13 +1058,95 @@ io.on('connection', (socket) => {
   });
 });
 
-const PORT = process.env.PORT || 3000;
+// Session replay - streams a canvas's event log to members, separately from the live canvas
+const replayNamespace = io.of('/replay');
+replayNamespace.use(authenticateSocket);
+
+replayNamespace.on('connection', (socket) => {
+  socket.use(rateLimitSocketEvent(socket));
+  socket.use(validateSocketEvent(socket));
+  let session = null;
+
+  const reportError = (ack, error) => {
+    if (typeof ack === 'function') {
+      ack({ ok: false, error });
+    } else {
+      socket.emit('replay:error', error);
+    }
+  };
+
+  // Run a playback control, or report that no replay is running
+  const control = (event, handler) => {
+    socket.on(event, async (data, ack) => {
+      if (typeof data === 'function') [data, ack] = [undefined, data];
+
+      if (!session || !session.range) {
+        return reportError(ack, { event, message: 'No replay is running' });
+      }
+
+      try {
+        await handler(data);
+        if (typeof ack === 'function') ack({ ok: true, ...session?.getStatus() });
+      } catch (error) {
+        console.error(`Replay ${event} failed:`, error);
+        reportError(ack, { event, message: 'Replay failed' });
+      }
+    });
+  };
+
+  socket.on('replay:start', async (data, ack) => {
+    try {
+      const role = await canvasMemberStore.getRole(data.canvas, socket.user.userId);
+      if (!hasRole(role, 'viewer')) {
+        return reportError(ack, { event: 'replay:start', code: 'FORBIDDEN', message: 'You are not a member of this canvas' });
+      }
 
-server.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+      session?.stop();
+      session = new ReplaySession(socket, data.canvas);
+      const range = await session.start({ from: data.from, speed: data.speed });
+
+      if (typeof ack === 'function') ack({ ok: true, canvas: data.canvas, ...range });
+    } catch (error) {
+      console.error(`Failed to start replay of canvas ${data.canvas}:`, error);
+      reportError(ack, { event: 'replay:start', message: 'Failed to start replay' });
+    }
+  });
+
+  control('replay:pause', () => session.pause());
+  control('replay:resume', () => session.resume());
+  control('replay:speed', (data) => session.setSpeed(data.speed));
+  control('replay:seek', (data) => session.seek(data.time));
+  control('replay:stop', () => {
+    session.stop();
+    session = null;
+  });
+
+  socket.on('disconnect', () => {
+    session?.stop();
+  });
 });
 
+const PORT = process.env.PORT || 3000;
+
+// With a shared store, relay broadcasts through it so rooms span every instance
+sharedStore.connect()
+  .then(() => sharedStore.createAdapter())
+  .then((adapter) => {
+    if (adapter) {
+      io.adapter(adapter);
+      console.log(`Sharing state with other instances as ${sharedStore.instanceId}`);
+    }
+
+    server.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    });
+  })
+  .catch((error) => {
+    console.error('Failed to connect to the shared store:', error);
+    process.exit(1);
+  });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM signal received: closing HTTP server');
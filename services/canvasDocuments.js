@@ -0,0 +1,360 @@
+// Canvas documents - a versioned JSON format for exporting and importing whole canvases
+// (backups, moving a canvas between environments). See "Canvas Documents" in the README.
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const canvasManager = require('./canvasManager');
+const { SHAPE_TYPES, schema, shapeFields, validate } = require('../middleware/socketValidation');
+const { MAX_LAYERS } = canvasManager;
+
+const FORMAT = 'canvas-document';
+const CURRENT_VERSION = 3;
+
+const MAX_DOCUMENT_SHAPES = 10000;
+// The canvas only keeps its latest 1000 strokes (see CanvasManager._flushDrawEvents)
+const MAX_DOCUMENT_STROKES = 1000;
+const MAX_STROKE_POINTS = 10000;
+const MAX_REPORTED_ERRORS = 20;
+
+const { string, number, boolean, object, array, id, coordinate, color, layerName } = schema;
+
+const timestamp = (options = {}) => number({ min: 0, ...options });
+
+const DOCUMENT_SCHEMA = object({
+  format: string({ required: true, enum: [FORMAT] }),
+  version: number({ required: true, min: CURRENT_VERSION, max: CURRENT_VERSION }),
+  exportedAt: string({ maxLength: 64 }),
+  canvas: object({
+    name: string({ minLength: 1, maxLength: 100 }),
+    createdAt: string({ maxLength: 64 }),
+    lastModified: string({ maxLength: 64 })
+  }),
+  users: array(object({
+    id: id({ required: true }),
+    firstName: string({ maxLength: 100 }),
+    lastName: string({ maxLength: 100 })
+  }), { maxItems: MAX_DOCUMENT_SHAPES + MAX_DOCUMENT_STROKES }),
+  layers: array(object({
+    id: id(),
+    name: layerName({ required: true }),
+    hidden: boolean(),
+    locked: boolean()
+  }), { required: true, minItems: 1, maxItems: MAX_LAYERS }),
+  shapes: array(object({
+    id: id(),
+    layerId: id(),
+    userId: id(),
+    timestamp: timestamp(),
+    ...shapeFields,
+    type: string({ required: true, enum: SHAPE_TYPES }),
+    x: coordinate({ required: true }),
+    y: coordinate({ required: true })
+  }), { required: true, maxItems: MAX_DOCUMENT_SHAPES }),
+  strokes: array(object({
+    id: id(),
+    userId: id(),
+    color: color(),
+    width: number({ min: 0.1, max: 100 }),
+    timestamp: timestamp(),
+    endedAt: timestamp(),
+    points: array(object({
+      x: coordinate({ required: true }),
+      y: coordinate({ required: true })
+    }), { required: true, minItems: 1, maxItems: MAX_STROKE_POINTS })
+  }), { required: true, maxItems: MAX_DOCUMENT_STROKES })
+}, { required: true });
+
+// Upgrades from each older version to the next one
+const UPGRADES = {
+  // Version 1 is the raw canvas state payload (`GET /api/canvases/:name`), which was used for
+  // backups before this format existed. Strokes saved before whole-stroke persistence are single
+  // `draw:start` events with an x/y instead of a list of points.
+  1: (document) => ({
+    format: FORMAT,
+    version: 2,
+    canvas: {},
+    users: [],
+    shapes: (document.shapes || []).map(({ id: shapeId, userId, timestamp: createdAt, ...fields }) => ({
+      id: shapeId,
+      userId,
+      timestamp: createdAt,
+      ...fields
+    })),
+    strokes: (document.drawEvents || []).map(event => ({
+      id: event.strokeId,
+      userId: event.userId,
+      color: event.color,
+      width: event.width,
+      timestamp: event.timestamp,
+      endedAt: event.endedAt,
+      points: event.points || (typeof event.x === 'number' ? [{ x: event.x, y: event.y }] : [])
+    }))
+  }),
+  // Version 3 adds layers. Everything in an older document goes on a single layer
+  2: (document) => ({
+    ...document,
+    version: 3,
+    layers: [{ name: 'Layer 1' }],
+    shapes: Array.isArray(document.shapes)
+      ? document.shapes.map(({ layerId, ...shape }) => shape)
+      : document.shapes
+  })
+};
+
+// Work out which version a document is. Documents without `format` are version 1 state payloads
+const detectVersion = (document) => {
+  if (document.format === FORMAT) return document.version;
+  if (document.format === undefined && Array.isArray(document.shapes)) return 1;
+  return null;
+};
+
+// Bring a document up to the current version. Returns { document } or { error }
+const upgradeDocument = (document) => {
+  if (typeof document !== 'object' || document === null || Array.isArray(document)) {
+    return { error: 'Canvas document must be a JSON object' };
+  }
+
+  let version = detectVersion(document);
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: `Not a ${FORMAT} document` };
+  }
+  if (version > CURRENT_VERSION) {
+    return { error: `Unsupported document version ${version} (newest supported is ${CURRENT_VERSION})` };
+  }
+
+  let upgraded = document;
+  while (version < CURRENT_VERSION) {
+    upgraded = UPGRADES[version](upgraded);
+    version = upgraded.version;
+  }
+
+  return { document: upgraded };
+};
+
+// Upgrade and validate a document. Returns { document } or { error, errors? }
+const parseDocument = (input) => {
+  const { document, error } = upgradeDocument(input);
+  if (error) {
+    return { error };
+  }
+
+  const { value, errors } = validate(DOCUMENT_SCHEMA, document, 'document');
+  if (errors.length > 0) {
+    return { error: 'Invalid canvas document', errors: errors.slice(0, MAX_REPORTED_ERRORS) };
+  }
+
+  return { document: value };
+};
+
+const SHAPE_FIELD_NAMES = Object.keys(shapeFields);
+
+const pick = (source, keys) => {
+  const result = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) result[key] = source[key];
+  }
+  return result;
+};
+
+class CanvasDocuments {
+  // Build the current-version document for a canvas
+  async exportCanvas(canvasName) {
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasName },
+    });
+    const state = await canvasManager.getCanvasState(canvasName);
+
+    const layers = state.layers.map(({ id: layerId, name, hidden, locked }) => ({ id: layerId, name, hidden, locked }));
+
+    // In drawing order, so each layer's shapes are listed bottom first
+    const shapes = state.shapes.map(shape => ({
+      id: shape.id,
+      layerId: shape.layerId,
+      userId: shape.userId,
+      timestamp: shape.timestamp,
+      ...pick(shape, SHAPE_FIELD_NAMES),
+    }));
+
+    const strokes = state.drawEvents
+      .filter(stroke => stroke.points?.length)
+      .map(stroke => ({
+        id: stroke.strokeId,
+        userId: stroke.userId,
+        color: stroke.color,
+        width: stroke.width,
+        timestamp: stroke.timestamp,
+        endedAt: stroke.endedAt,
+        points: stroke.points.map(({ x, y }) => ({ x, y })),
+      }));
+
+    // Only names are exported for the people referenced - no emails
+    const userIds = [...new Set([...shapes, ...strokes].map(item => item.userId).filter(Boolean))];
+    const users = await prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, firstName: true, lastName: true },
+    });
+
+    return {
+      format: FORMAT,
+      version: CURRENT_VERSION,
+      exportedAt: new Date().toISOString(),
+      canvas: {
+        name: canvas.name,
+        createdAt: canvas.createdAt.toISOString(),
+        lastModified: canvas.lastModified.toISOString(),
+      },
+      users,
+      layers,
+      shapes,
+      strokes,
+    };
+  }
+
+  // Create a new canvas from a parsed document, owned by the importing user.
+  // Shapes and strokes get new ids; authors that don't exist in this environment become the importer.
+  // Everything happens in one transaction, so a failed import leaves nothing behind.
+  async importCanvas(document, { name, ownerId }) {
+    const author = await this._resolveAuthors(document, ownerId);
+
+    await prisma.$transaction(async (tx) => {
+      const canvas = await tx.canvas.create({
+        data: {
+          name,
+          canvasUsers: {
+            create: { userId: ownerId, role: 'owner' },
+          },
+        },
+      });
+
+      await this._createContent(tx, canvas.id, document, author, { keepIds: false });
+    });
+
+    return canvasManager.getCanvas(name);
+  }
+
+  // Replace the content of an existing canvas with a document (e.g. a snapshot), keeping its ids.
+  // Authors that no longer exist become the restoring user. Runs in one transaction.
+  async restoreCanvas(canvasName, document, { restoredById }) {
+    const author = await this._resolveAuthors(document, restoredById);
+
+    // Strokes still waiting to be flushed and selected shapes belong to the content being replaced
+    await canvasManager.resetLiveState(canvasName);
+
+    await prisma.$transaction(async (tx) => {
+      const canvas = await tx.canvas.findUnique({
+        where: { name: canvasName },
+      });
+
+      await tx.shape.deleteMany({ where: { canvasId: canvas.id } });
+      await tx.layer.deleteMany({ where: { canvasId: canvas.id } });
+      await tx.drawEvent.deleteMany({ where: { canvasId: canvas.id } });
+      await this._createContent(tx, canvas.id, document, author, { keepIds: true });
+    });
+  }
+
+  // Returns a function mapping a document userId to { userId, firstName, lastName } in this environment.
+  // Existing users keep their own names; the document's names are only kept for authors who become
+  // the fallback user, so a document can't change the name shown on an existing user's shapes
+  async _resolveAuthors(document, fallbackUserId) {
+    const documentUsers = new Map((document.users || []).map(user => [user.id, user]));
+    const referencedIds = [...new Set([...document.shapes, ...document.strokes].map(item => item.userId).filter(Boolean))];
+    const [fallbackUser, existingUsers] = await Promise.all([
+      prisma.user.findUnique({ where: { id: fallbackUserId } }),
+      prisma.user.findMany({
+        where: { id: { in: referencedIds } },
+        select: { id: true, firstName: true, lastName: true },
+      }),
+    ]);
+    const usersById = new Map(existingUsers.map(user => [user.id, user]));
+
+    return (userId) => {
+      const existing = usersById.get(userId);
+      if (existing) {
+        return { userId, firstName: existing.firstName, lastName: existing.lastName };
+      }
+      const named = documentUsers.get(userId) || fallbackUser;
+      return { userId: fallbackUserId, firstName: named.firstName, lastName: named.lastName };
+    };
+  }
+
+  async _createContent(tx, canvasId, document, author, { keepIds }) {
+    const now = Date.now();
+
+    // Layers are listed bottom first. Shapes on a layer the document doesn't list go on the bottom one
+    const layerIds = new Map(); // Map<document layer id, created layer id>
+    let bottomLayerId;
+    for (const [order, layer] of document.layers.entries()) {
+      const created = await tx.layer.create({
+        data: {
+          ...(keepIds && layer.id && { id: layer.id }),
+          canvasId,
+          name: layer.name,
+          order,
+          hidden: layer.hidden || false,
+          locked: layer.locked || false,
+        },
+      });
+      if (layer.id) layerIds.set(layer.id, created.id);
+      bottomLayerId ??= created.id;
+    }
+
+    // Shapes are listed in drawing order: their position within their layer becomes the zIndex,
+    // and createdAt is spread the same way for shapes that end up on the same layer and zIndex
+    const layerSizes = new Map();
+    await tx.shape.createMany({
+      data: document.shapes.map((shape, index) => {
+        const { userId, firstName, lastName } = author(shape.userId);
+        const layerId = layerIds.get(shape.layerId) ?? bottomLayerId;
+        const zIndex = layerSizes.get(layerId) ?? 0;
+        layerSizes.set(layerId, zIndex + 1);
+        return {
+          ...(keepIds && shape.id && { id: shape.id }),
+          canvasId,
+          userId,
+          layerId,
+          zIndex,
+          type: shape.type,
+          data: JSON.stringify({
+            ...pick(shape, SHAPE_FIELD_NAMES),
+            userId,
+            firstName,
+            lastName,
+            timestamp: shape.timestamp || now,
+          }),
+          createdAt: new Date(now - document.shapes.length + index),
+        };
+      }),
+    });
+
+    await tx.drawEvent.createMany({
+      data: document.strokes.map((stroke, index) => {
+        const { userId } = author(stroke.userId);
+        const strokeTimestamp = stroke.timestamp || now - document.strokes.length + index;
+        const strokeId = (keepIds && stroke.id) || crypto.randomUUID();
+        return {
+          canvasId,
+          userId,
+          strokeId,
+          data: JSON.stringify({
+            strokeId,
+            userId,
+            color: stroke.color,
+            width: stroke.width,
+            points: stroke.points,
+            timestamp: strokeTimestamp,
+            endedAt: stroke.endedAt || strokeTimestamp,
+          }),
+          timestamp: new Date(strokeTimestamp),
+        };
+      }),
+    });
+  }
+}
+
+// Singleton instance
+const canvasDocuments = new CanvasDocuments();
+
+module.exports = canvasDocuments;
+module.exports.FORMAT = FORMAT;
+module.exports.CURRENT_VERSION = CURRENT_VERSION;
+module.exports.parseDocument = parseDocument;
+module.exports.upgradeDocument = upgradeDocument;
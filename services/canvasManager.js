@@ -1,93 +1,204 @@
 // Canvas Manager - Database-backed with Prisma
-// Hybrid approach: Active users in-memory, persistent data in database
+// Hybrid approach: persistent data in the database; active users and strokes awaiting a flush
+// in the shared store, so every server instance sees them
+const crypto = require('crypto');
 const prisma = require('./prisma');
+const sharedStore = require('./sharedStore');
+
+// Upper bound on points collected for a single stroke
+const MAX_STROKE_POINTS = 10000;
+
+const MAX_LAYERS = 100;
+const DEFAULT_LAYER_NAME = 'Layer 1';
+
+// Shared store keys
+const presenceKey = (canvasId) => `presence:${canvasId}`; // hash: connectionId -> connection
+const publishedPresenceKey = (canvasId) => `presence-published:${canvasId}`; // hash: userId -> { status, connections } last broadcast
+const bufferKey = (canvasId) => `strokes:${canvasId}`; // list of completed strokes awaiting a flush
+const selectionsKey = (canvasId) => `selections:${canvasId}`; // hash: shapeId -> selection
+const shapeLockKey = (canvasId, shapeId) => `shape-lock:${canvasId}:${shapeId}`; // selection holding the lock, expires with it
+const ACTIVE_CANVASES_KEY = 'canvases:active'; // canvases users are on
+const BUFFERED_CANVASES_KEY = 'canvases:buffered'; // canvases that may have buffered strokes
+
+// A full batch runs hundreds of statements in one transaction, more than Prisma's default 5s allows for
+const BATCH_TRANSACTION_TIMEOUT_MS = 30 * 1000;
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+const FLUSH_INTERVAL_MS = 10 * 1000;
+
+// A connection is active until it has seen no activity for PRESENCE_IDLE_SECONDS,
+// then idle until PRESENCE_AWAY_SECONDS, then away. Hidden tabs count as away straight away
+const PRESENCE_IDLE_MS = Number(process.env.PRESENCE_IDLE_SECONDS ?? 60) * 1000;
+const PRESENCE_AWAY_MS = Number(process.env.PRESENCE_AWAY_SECONDS ?? 300) * 1000;
+const PRESENCE_STATUSES = ['away', 'idle', 'active']; // least to most present
+
+// A selected shape stays locked for SHAPE_LOCK_SECONDS unless the selection is renewed
+const SHAPE_LOCK_MS = Number(process.env.SHAPE_LOCK_SECONDS ?? 30) * 1000;
+
+// Palette for user colors: distinct on a white canvas and readable behind white text
+const USER_COLORS = [
+  '#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#008080',
+  '#f032e6', '#9a6324', '#800000', '#808000', '#000075', '#46a0a0'
+];
+
+// A user's color, derived from their id so it is the same for every collaborator and session
+const userColor = (userId) => {
+  const hash = crypto.createHash('sha1').update(String(userId)).digest();
+  return USER_COLORS[hash.readUInt32BE(0) % USER_COLORS.length];
+};
+
+const canvasError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Shape rows as clients see them. The layer and stacking position come from their own columns
+const toShape = (row) => ({ ...JSON.parse(row.data), id: row.id, layerId: row.layerId, zIndex: row.zIndex });
+
+const toLayer = (row) => ({ id: row.id, name: row.name, order: row.order, hidden: row.hidden, locked: row.locked });
+
+// What is kept in a shape's data column (everything but the fields with columns of their own)
+const serializeShape = ({ id, layerId, zIndex, ...data }) => JSON.stringify(data);
+
+// Order shapes for drawing: by layer, bottom to top. Shapes must already be in zIndex order
+const sortShapes = (shapes, layers) => {
+  const rank = new Map(layers.map((layer, index) => [layer.id, index]));
+  return [...shapes].sort((a, b) => (rank.get(a.layerId) ?? 0) - (rank.get(b.layerId) ?? 0));
+};
+
+// Selections as clients see them: without the connection and instance holding them
+const toSelection = ({ connectionId, instanceId, ...selection }) => selection;
+
+const connectionStatus = (connection, now) => {
+  const inactiveFor = now - connection.lastActiveAt;
+  if (connection.hidden || inactiveFor >= PRESENCE_AWAY_MS) return 'away';
+  return inactiveFor >= PRESENCE_IDLE_MS ? 'idle' : 'active';
+};
 
 class CanvasManager {
   constructor() {
-    // In-memory cache for active users (ephemeral)
-    this.activeUsers = new Map(); // Map<canvasId, Map<userId, userInfo>>
-    // In-memory buffer for draw events (for performance)
-    this.drawEventBuffers = new Map(); // Map<canvasId, Array<drawEvent>>
+    // Strokes still being drawn, collected point by point until draw:end. These stay on the
+    // instance serving the drawing socket; other instances see them through the draw:* broadcasts
+    this.activeStrokes = new Map(); // Map<canvasId, Map<"userId:strokeId", stroke>>
   }
 
   // Get or create canvas state
   async getCanvasState(canvasId) {
     // Ensure canvas exists in database
-    let canvas = await prisma.canvas.findUnique({
-      where: { name: canvasId },
-      include: {
-        shapes: {
-          orderBy: { createdAt: 'asc' },
-        },
-        drawEvents: {
-          orderBy: { timestamp: 'desc' },
-          take: 100, // Last 100 draw events
-        },
-      },
-    });
+    const canvas = await this._ensureCanvas(canvasId);
+    const layers = (await this._getLayers(canvas.id)).map(toLayer);
 
-    if (!canvas) {
-      canvas = await prisma.canvas.create({
-        data: { name: canvasId },
-        include: {
-          shapes: true,
-          drawEvents: true,
-        },
-      });
-    }
+    // Shapes from before layers existed join the bottom layer
+    await prisma.shape.updateMany({
+      where: { canvasId: canvas.id, layerId: null },
+      data: { layerId: layers[0].id },
+    });
 
-    // Initialize active users cache if needed
-    if (!this.activeUsers.has(canvasId)) {
-      this.activeUsers.set(canvasId, new Map());
-    }
+    const [shapes, drawEvents] = await Promise.all([
+      prisma.shape.findMany({
+        where: { canvasId: canvas.id },
+        orderBy: [{ zIndex: 'asc' }, { createdAt: 'asc' }],
+      }),
+      prisma.drawEvent.findMany({
+        where: { canvasId: canvas.id },
+        orderBy: { timestamp: 'asc' },
+      }),
+    ]);
 
-    // Get buffered draw events
-    const bufferedEvents = this.drawEventBuffers.get(canvasId) || [];
+    // Get completed strokes that haven't been flushed yet
+    const bufferedEvents = await sharedStore.lrange(bufferKey(canvasId));
+    const activeStrokes = this.activeStrokes.get(canvasId) || new Map();
 
     return {
       id: canvas.id,
-      shapes: canvas.shapes.map(s => ({
-        ...JSON.parse(s.data),
-        id: s.id,
-      })),
-      drawEvents: [...canvas.drawEvents.map(e => JSON.parse(e.data)), ...bufferedEvents].slice(-100),
-      users: Array.from(this.activeUsers.get(canvasId).values()),
+      layers,
+      // In drawing order: by layer, then by position within the layer
+      shapes: sortShapes(shapes.map(toShape), layers),
+      drawEvents: [...drawEvents.map(e => JSON.parse(e.data)), ...bufferedEvents],
+      activeStrokes: Array.from(activeStrokes.values()),
+      users: await this.getCanvasUsers(canvasId),
+      selections: await this.getSelections(canvasId),
       lastModified: canvas.lastModified.toISOString(),
     };
   }
 
-  // Add a draw event (buffered for performance)
-  async addDrawEvent(canvasId, drawData) {
-    const canvas = await this._ensureCanvas(canvasId);
+  // Begin collecting a freehand stroke
+  startStroke(canvasId, strokeData) {
+    if (!this.activeStrokes.has(canvasId)) {
+      this.activeStrokes.set(canvasId, new Map());
+    }
 
-    // Add to buffer
-    if (!this.drawEventBuffers.has(canvasId)) {
-      this.drawEventBuffers.set(canvasId, []);
+    const { x, y, ...stroke } = strokeData;
+    this.activeStrokes.get(canvasId).set(`${strokeData.userId}:${strokeData.strokeId}`, {
+      ...stroke,
+      points: [{ x, y }],
+    });
+  }
+
+  // Append a point to a stroke that is being drawn
+  addStrokePoint(canvasId, userId, strokeId, point) {
+    const stroke = this.activeStrokes.get(canvasId)?.get(`${userId}:${strokeId}`);
+    if (stroke && stroke.points.length < MAX_STROKE_POINTS) {
+      stroke.points.push(point);
     }
+  }
 
-    const buffer = this.drawEventBuffers.get(canvasId);
-    buffer.push(drawData);
+  // Finish a stroke and persist it as one record. Returns the stroke (null if it wasn't being drawn)
+  async endStroke(canvasId, userId, strokeId) {
+    const strokes = this.activeStrokes.get(canvasId);
+    const key = `${userId}:${strokeId}`;
+    const stroke = strokes?.get(key);
+    if (!stroke) {
+      return null;
+    }
 
-    // Periodically flush buffer to database (every 50 events or 10 seconds)
-    if (buffer.length >= 50) {
-      await this._flushDrawEvents(canvasId, canvas.id);
+    strokes.delete(key);
+    if (strokes.size === 0) {
+      this.activeStrokes.delete(canvasId);
     }
+
+    const completedStroke = { ...stroke, endedAt: Date.now() };
+    await this.addDrawEvent(canvasId, completedStroke);
+    return completedStroke;
   }
 
-  async _flushDrawEvents(canvasId, dbCanvasId) {
-    const buffer = this.drawEventBuffers.get(canvasId);
-    if (!buffer || buffer.length === 0) return;
+  // Add a completed stroke (buffered for performance)
+  async addDrawEvent(canvasId, drawData) {
+    await this._ensureCanvas(canvasId);
 
-    await prisma.drawEvent.createMany({
-      data: buffer.map(event => ({
-        canvasId: dbCanvasId,
-        userId: event.userId,
-        data: JSON.stringify(event),
-      })),
-    });
+    // Add to buffer
+    await sharedStore.sadd(BUFFERED_CANVASES_KEY, canvasId);
+    const bufferLength = await sharedStore.rpush(bufferKey(canvasId), drawData);
+
+    // Periodically flush buffer to database (every 50 events or 10 seconds)
+    if (bufferLength >= 50) {
+      await this._flushDrawEvents(canvasId);
+    }
+  }
 
-    // Clear buffer and keep only last 100
-    this.drawEventBuffers.set(canvasId, []);
+  async _flushDrawEvents(canvasId) {
+    // Take the buffer in one step, so concurrent flushes (from any instance) never write a stroke twice
+    const buffer = await sharedStore.ltake(bufferKey(canvasId));
+    if (buffer.length === 0) return;
+
+    let dbCanvasId;
+    try {
+      dbCanvasId = (await this._ensureCanvas(canvasId)).id;
+      await prisma.drawEvent.createMany({
+        data: buffer.map(event => ({
+          canvasId: dbCanvasId,
+          userId: event.userId,
+          strokeId: event.strokeId || null,
+          data: JSON.stringify(event),
+          ...(event.timestamp && { timestamp: new Date(event.timestamp) }),
+        })),
+      });
+    } catch (error) {
+      // Put the strokes back for the next flush
+      await sharedStore.rpush(bufferKey(canvasId), ...buffer);
+      throw error;
+    }
 
     // Clean up old draw events (keep only last 1000)
     const oldEvents = await prisma.drawEvent.findMany({
@@ -106,45 +217,374 @@ class CanvasManager {
     }
   }
 
-  // Add a shape
+  // Remove a user's stroke (buffered or persisted), returning its records so it can be restored.
+  // Stroke ids are chosen by clients, so only the user's own stroke with that id is removed
+  async removeStroke(canvasId, userId, strokeId) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    const buffer = await sharedStore.lrange(bufferKey(canvasId));
+    const bufferedEvents = buffer.filter(event => event.strokeId === strokeId && event.userId === userId);
+    for (const event of bufferedEvents) {
+      await sharedStore.lrem(bufferKey(canvasId), event);
+    }
+
+    const persistedEvents = await prisma.drawEvent.findMany({
+      where: { canvasId: canvas.id, userId, strokeId },
+      orderBy: { timestamp: 'asc' },
+    });
+
+    if (persistedEvents.length > 0) {
+      await prisma.drawEvent.deleteMany({
+        where: { canvasId: canvas.id, userId, strokeId },
+      });
+    }
+
+    return [...persistedEvents.map(e => JSON.parse(e.data)), ...bufferedEvents];
+  }
+
+  // Put a previously removed stroke back (it is flushed with the buffer)
+  async restoreStroke(canvasId, events) {
+    for (const event of events) {
+      await this.addDrawEvent(canvasId, event);
+    }
+  }
+
+  // Add a shape on the given layer (the top layer if none is given), above the shapes already there.
+  // Returns it with its database-assigned id, layer and position
   async addShape(canvasId, shapeData) {
     const canvas = await this._ensureCanvas(canvasId);
 
-    await prisma.shape.create({
+    return prisma.$transaction(async (tx) => {
+      const layer = await this._targetLayer(tx, canvas.id, shapeData.layerId);
+      const shape = await tx.shape.create({
+        data: {
+          canvasId: canvas.id,
+          userId: shapeData.userId,
+          layerId: layer.id,
+          zIndex: await this._nextZIndex(tx, layer.id),
+          type: shapeData.type || 'unknown',
+          data: serializeShape(shapeData),
+        },
+      });
+
+      return toShape(shape);
+    });
+  }
+
+  // Get a single shape on a canvas (null if it doesn't exist)
+  async getShape(canvasId, shapeId) {
+    const shape = await prisma.shape.findFirst({
+      where: { id: shapeId, canvas: { name: canvasId } },
+    });
+
+    return shape ? toShape(shape) : null;
+  }
+
+  // Update a shape, returning the previous values of the changed fields and the applied updates.
+  // Throws LAYER_LOCKED if the shape's layer is locked
+  async updateShape(canvasId, shapeId, updates) {
+    const existingShape = await prisma.shape.findFirst({
+      where: { id: shapeId, canvas: { name: canvasId } },
+      include: { layer: true },
+    });
+
+    if (!existingShape) {
+      return null;
+    }
+    this._assertUnlocked(existingShape);
+
+    const currentData = JSON.parse(existingShape.data);
+    const updatedData = { ...currentData, ...updates, id: shapeId };
+
+    await prisma.shape.update({
+      where: { id: shapeId },
       data: {
-        canvasId: canvas.id,
-        userId: shapeData.userId,
-        type: shapeData.type || 'unknown',
-        data: JSON.stringify(shapeData),
+        data: JSON.stringify(updatedData),
       },
     });
+
+    const before = {};
+    for (const key of Object.keys(updates)) {
+      before[key] = currentData[key];
+    }
+
+    return { before, after: updates };
   }
 
-  // Update a shape
-  async updateShape(canvasId, shapeId, updates) {
-    const existingShape = await prisma.shape.findUnique({
+  // Delete a shape, returning what was deleted (null if it didn't exist).
+  // Throws LAYER_LOCKED if the shape's layer is locked
+  async deleteShape(canvasId, shapeId) {
+    const existingShape = await prisma.shape.findFirst({
+      where: { id: shapeId, canvas: { name: canvasId } },
+      include: { layer: true },
+    });
+
+    if (!existingShape) {
+      return null;
+    }
+    this._assertUnlocked(existingShape);
+
+    await prisma.shape.delete({
       where: { id: shapeId },
+    }).catch(() => {
+      // Shape might have been deleted concurrently, ignore error
     });
 
-    if (existingShape) {
-      const currentData = JSON.parse(existingShape.data);
-      const updatedData = { ...currentData, ...updates, id: shapeId };
+    return toShape(existingShape);
+  }
+
+  // Re-create a shape exactly as it was (used by undo/redo). If its layer has been deleted
+  // since, it goes on the top layer
+  async restoreShape(canvasId, shape) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(tx => this._restoreShape(tx, canvas.id, shape));
+  }
+
+  // Apply a list of shape operations in a single transaction: either all of them happen or none.
+  // Operations: { type: 'add', shape, clientId? }, { type: 'update', shapeId, updates },
+  // { type: 'delete', shapeId } and { type: 'restore', shape } (re-create with its old id, for undo/redo).
+  // Later operations may refer to a shape added earlier in the batch by its clientId.
+  // A missing shape fails the batch unless `skipMissing` is set, in which case that operation is dropped.
+  // Returns one result per applied operation:
+  // { type: 'add', shape, clientId }, { type: 'update', shapeId, before, after }, { type: 'delete', shape }.
+  // Throws BATCH_TIMEOUT if the transaction ran out of time and was rolled back
+  async applyBatch(canvasId, operations, { skipMissing = false } = {}) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const results = [];
+      const addedIds = new Map(); // Map<clientId, shapeId>
+
+      // Tag an error with the index of the operation that caused it
+      const failAt = (index) => (error) => {
+        error.index = index;
+        throw error;
+      };
+
+      // Shapes on locked layers fail the batch, whether or not `skipMissing` is set
+      const findShape = async (shapeId, index) => {
+        const shape = await tx.shape.findFirst({
+          where: { id: addedIds.get(shapeId) || shapeId, canvasId: canvas.id },
+          include: { layer: true },
+        });
+
+        if (!shape && !skipMissing) {
+          const error = new Error(`Shape ${shapeId} not found`);
+          error.code = 'SHAPE_NOT_FOUND';
+          error.index = index;
+          throw error;
+        }
+        if (shape?.layer?.locked) {
+          const error = canvasError('LAYER_LOCKED', `Shape ${shapeId} is on a locked layer`);
+          error.index = index;
+          throw error;
+        }
+        return shape;
+      };
+
+      for (const [index, operation] of operations.entries()) {
+        switch (operation.type) {
+          case 'add': {
+            const layer = await this._targetLayer(tx, canvas.id, operation.shape.layerId)
+              .catch(failAt(index));
+            const shape = await tx.shape.create({
+              data: {
+                canvasId: canvas.id,
+                userId: operation.shape.userId,
+                layerId: layer.id,
+                zIndex: await this._nextZIndex(tx, layer.id),
+                type: operation.shape.type || 'unknown',
+                data: serializeShape(operation.shape),
+              },
+            });
+            if (operation.clientId) {
+              addedIds.set(operation.clientId, shape.id);
+            }
+            results.push({ type: 'add', shape: toShape(shape), clientId: operation.clientId });
+            break;
+          }
+
+          case 'restore': {
+            const shape = await this._restoreShape(tx, canvas.id, operation.shape)
+              .catch(failAt(index));
+            results.push({ type: 'add', shape });
+            break;
+          }
+
+          case 'update': {
+            const existingShape = await findShape(operation.shapeId, index);
+            if (!existingShape) break;
 
-      await prisma.shape.update({
-        where: { id: shapeId },
+            const currentData = JSON.parse(existingShape.data);
+            await tx.shape.update({
+              where: { id: existingShape.id },
+              data: {
+                data: JSON.stringify({ ...currentData, ...operation.updates, id: existingShape.id }),
+              },
+            });
+
+            const before = {};
+            for (const key of Object.keys(operation.updates)) {
+              before[key] = currentData[key];
+            }
+            results.push({ type: 'update', shapeId: existingShape.id, before, after: operation.updates });
+            break;
+          }
+
+          case 'delete': {
+            const existingShape = await findShape(operation.shapeId, index);
+            if (!existingShape) break;
+
+            await tx.shape.delete({
+              where: { id: existingShape.id },
+            });
+            results.push({ type: 'delete', shape: toShape(existingShape) });
+            break;
+          }
+
+          default:
+            throw new Error(`Unknown batch operation: ${operation.type}`);
+        }
+      }
+
+      return results;
+    }, { timeout: BATCH_TRANSACTION_TIMEOUT_MS }).catch((error) => {
+      // P2028: the transaction expired before it finished
+      if (error.code === 'P2028') {
+        throw canvasError('BATCH_TIMEOUT', 'The batch took too long to apply and was rolled back; try fewer operations');
+      }
+      throw error;
+    });
+  }
+
+  // Layers, bottom to top: [{ id, name, order, hidden, locked }]
+  async getLayers(canvasId) {
+    const canvas = await this._ensureCanvas(canvasId);
+    return (await this._getLayers(canvas.id)).map(toLayer);
+  }
+
+  // Add a layer on top of the others. Throws TOO_MANY_LAYERS at the limit
+  async createLayer(canvasId, { name } = {}) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const layers = await this._getLayers(canvas.id, tx);
+      if (layers.length >= MAX_LAYERS) {
+        throw canvasError('TOO_MANY_LAYERS', `A canvas can have at most ${MAX_LAYERS} layers`);
+      }
+
+      const layer = await tx.layer.create({
         data: {
-          data: JSON.stringify(updatedData),
+          canvasId: canvas.id,
+          name: name || `Layer ${layers.length + 1}`,
+          order: layers[layers.length - 1].order + 1,
         },
       });
+      return toLayer(layer);
+    });
+  }
+
+  // Rename, hide/show or lock/unlock a layer. Returns the updated layer (null if it doesn't exist)
+  async updateLayer(canvasId, layerId, { name, hidden, locked }) {
+    const layer = await prisma.layer.findFirst({
+      where: { id: layerId, canvas: { name: canvasId } },
+    });
+    if (!layer) {
+      return null;
     }
+
+    const updated = await prisma.layer.update({
+      where: { id: layer.id },
+      data: { name, hidden, locked },
+    });
+    return toLayer(updated);
   }
 
-  // Delete a shape
-  async deleteShape(canvasId, shapeId) {
-    await prisma.shape.delete({
-      where: { id: shapeId },
-    }).catch(() => {
-      // Shape might not exist, ignore error
+  // Move a layer to a position in the stack (0 = bottom). Returns the layer ids in their new order
+  // (null if the layer doesn't exist)
+  async reorderLayer(canvasId, layerId, index) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const layers = await this._getLayers(canvas.id, tx);
+      const layer = layers.find(candidate => candidate.id === layerId);
+      if (!layer) {
+        return null;
+      }
+
+      const reordered = layers.filter(candidate => candidate.id !== layerId);
+      reordered.splice(Math.min(index, reordered.length), 0, layer);
+
+      // Orders are unique per canvas, so the moved layers step out of the way first
+      const moved = [...reordered.entries()].filter(([order, candidate]) => candidate.order !== order);
+      for (const [order, candidate] of moved) {
+        await tx.layer.update({ where: { id: candidate.id }, data: { order: -1 - order } });
+      }
+      for (const [order, candidate] of moved) {
+        await tx.layer.update({ where: { id: candidate.id }, data: { order } });
+      }
+      return reordered.map(candidate => candidate.id);
+    });
+  }
+
+  // Delete a layer and the shapes on it. Returns the deleted layer (null if it doesn't exist).
+  // Throws LAYER_LOCKED for locked layers and LAST_LAYER for a canvas's only layer
+  async deleteLayer(canvasId, layerId) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const layers = await this._getLayers(canvas.id, tx);
+      const layer = layers.find(candidate => candidate.id === layerId);
+      if (!layer) {
+        return null;
+      }
+      if (layer.locked) {
+        throw canvasError('LAYER_LOCKED', `Layer ${layer.name} is locked`);
+      }
+      if (layers.length === 1) {
+        throw canvasError('LAST_LAYER', 'A canvas needs at least one layer');
+      }
+
+      await tx.layer.delete({ where: { id: layer.id } });
+      return toLayer(layer);
+    });
+  }
+
+  // Move a shape to another layer, on top of the shapes there. Returns { shapeId, layerId, zIndex }.
+  // Throws SHAPE_NOT_FOUND, LAYER_NOT_FOUND or LAYER_LOCKED (for either layer)
+  async moveShapeToLayer(canvasId, shapeId, layerId) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const shape = await this._findUnlockedShape(tx, canvas.id, shapeId);
+      const layer = await this._targetLayer(tx, canvas.id, layerId);
+      if (shape.layerId === layer.id) {
+        return { shapeId, layerId: layer.id, zIndex: shape.zIndex };
+      }
+
+      const zIndex = await this._nextZIndex(tx, layer.id);
+      await tx.shape.update({ where: { id: shapeId }, data: { layerId: layer.id, zIndex } });
+      return { shapeId, layerId: layer.id, zIndex };
+    });
+  }
+
+  // Bring a shape to the front ('front') or send it to the back ('back') of its layer.
+  // Returns { shapeId, layerId, zIndex }. Throws SHAPE_NOT_FOUND or LAYER_LOCKED
+  async reorderShape(canvasId, shapeId, position) {
+    const canvas = await this._ensureCanvas(canvasId);
+
+    return prisma.$transaction(async (tx) => {
+      const shape = await this._findUnlockedShape(tx, canvas.id, shapeId);
+      const { _min, _max } = await tx.shape.aggregate({
+        where: { layerId: shape.layerId, canvasId: canvas.id },
+        _min: { zIndex: true },
+        _max: { zIndex: true },
+      });
+
+      const zIndex = position === 'front' ? _max.zIndex + 1 : _min.zIndex - 1;
+      await tx.shape.update({ where: { id: shapeId }, data: { zIndex } });
+      return { shapeId, layerId: shape.layerId, zIndex };
     });
   }
 
@@ -160,36 +600,189 @@ class CanvasManager {
       where: { canvasId: canvas.id },
     });
 
-    // Clear buffers
-    this.drawEventBuffers.set(canvasId, []);
+    await this.resetLiveState(canvasId);
   }
 
-  // Add user to canvas (in-memory only - ephemeral)
-  addUser(canvasId, userId, username) {
-    if (!this.activeUsers.has(canvasId)) {
-      this.activeUsers.set(canvasId, new Map());
-    }
+  // Drop buffered and in-progress strokes and everyone's selections (the content is being replaced)
+  async resetLiveState(canvasId) {
+    this.activeStrokes.delete(canvasId);
+    await sharedStore.del(bufferKey(canvasId));
+    await this._releaseAllSelections(canvasId);
+  }
+
+  // Presence is counted per connection: a user stays on a canvas until their last tab leaves.
+  // Each change returns a diff against what was last broadcast ({ changed, removed, added }), or null
 
-    this.activeUsers.get(canvasId).set(userId, {
+  // Register a connection (socket) of a user on a canvas
+  async addConnection(canvasId, connectionId, { userId, username }) {
+    const now = Date.now();
+    await sharedStore.hset(presenceKey(canvasId), connectionId, {
       userId,
       username,
-      joinedAt: new Date().toISOString(),
+      instanceId: sharedStore.instanceId,
+      connectedAt: now,
+      lastActiveAt: now,
+      hidden: false,
     });
+    await sharedStore.sadd(ACTIVE_CANVASES_KEY, canvasId);
+
+    return this._publishPresence(canvasId);
   }
 
-  // Remove user from canvas (in-memory)
-  removeUser(canvasId, userId) {
-    if (this.activeUsers.has(canvasId)) {
-      this.activeUsers.get(canvasId).delete(userId);
+  // Remove a connection from a canvas
+  async removeConnection(canvasId, connectionId) {
+    await sharedStore.hdel(presenceKey(canvasId), connectionId);
+    const presence = await this._publishPresence(canvasId);
+    await this._deactivateIfEmpty(canvasId);
+    return presence;
+  }
+
+  // Record a heartbeat or activity on a connection: `active` marks user activity,
+  // `hidden` whether the client's tab is in the background
+  async touchConnection(canvasId, connectionId, { active = false, hidden } = {}) {
+    const connections = await sharedStore.hgetall(presenceKey(canvasId));
+    const connection = connections[connectionId];
+    if (!connection) return null;
+
+    await sharedStore.hset(presenceKey(canvasId), connectionId, {
+      ...connection,
+      lastActiveAt: active ? Date.now() : connection.lastActiveAt,
+      hidden: hidden ?? connection.hidden,
+    });
+
+    return this._publishPresence(canvasId);
+  }
+
+  // Re-evaluate statuses that changed with time passing (active -> idle -> away).
+  // Also drops connections of stopped instances, which can leave the canvas empty
+  async sweepPresence(canvasId) {
+    const presence = await this._publishPresence(canvasId);
+    await this._deactivateIfEmpty(canvasId);
+    return presence;
+  }
+
+  // Whether anyone is on the canvas (on any instance)
+  async isActive(canvasId) {
+    return (await this._getConnections(canvasId)).length > 0;
+  }
+
+  // Get canvas users, one entry per user however many connections they have:
+  // [{ userId, username, color, status, connections, joinedAt }]
+  async getCanvasUsers(canvasId) {
+    const connections = await this._getConnections(canvasId);
+    const now = Date.now();
+    const users = new Map(); // Map<userId, user>
+
+    for (const connection of connections) {
+      const status = connectionStatus(connection, now);
+      const user = users.get(connection.userId);
+
+      if (!user) {
+        users.set(connection.userId, {
+          userId: connection.userId,
+          username: connection.username,
+          color: userColor(connection.userId),
+          status,
+          connections: 1,
+          joinedAt: new Date(connection.connectedAt).toISOString(),
+        });
+        continue;
+      }
+
+      user.connections += 1;
+      if (PRESENCE_STATUSES.indexOf(status) > PRESENCE_STATUSES.indexOf(user.status)) {
+        user.status = status;
+      }
+      if (connection.connectedAt < Date.parse(user.joinedAt)) {
+        user.joinedAt = new Date(connection.connectedAt).toISOString();
+      }
     }
+
+    return Array.from(users.values());
   }
 
-  // Get canvas users (in-memory)
-  getCanvasUsers(canvasId) {
-    if (!this.activeUsers.has(canvasId)) {
-      return [];
+  // Selections are soft locks on shapes being edited: while a user has a shape selected, other users
+  // can't change it. A selection lasts SHAPE_LOCK_SECONDS unless renewed by selecting the shape again.
+  // Selections look like { shapeId, userId, username, color, connectionId, instanceId, expiresAt }
+
+  // Select a shape, taking or renewing its lock. Returns { selection }, or { lockedBy } with the
+  // other user's selection if they hold the lock (both as clients see them)
+  async selectShape(canvasId, shapeId, connectionId, { userId, username }) {
+    const selection = {
+      shapeId,
+      userId,
+      username,
+      color: userColor(userId),
+      connectionId,
+      instanceId: sharedStore.instanceId,
+      expiresAt: Date.now() + SHAPE_LOCK_MS,
+    };
+
+    const lockKey = shapeLockKey(canvasId, shapeId);
+    if (!(await sharedStore.setIfAbsent(lockKey, selection, { ttl: SHAPE_LOCK_MS }))) {
+      const current = await sharedStore.get(lockKey);
+      if (current && current.userId !== userId) {
+        return { lockedBy: toSelection(current) };
+      }
+      await sharedStore.set(lockKey, selection, { ttl: SHAPE_LOCK_MS });
     }
-    return Array.from(this.activeUsers.get(canvasId).values());
+
+    await sharedStore.hset(selectionsKey(canvasId), shapeId, selection);
+    return { selection: toSelection(selection) };
+  }
+
+  // Release a user's lock on a shape. Returns the released selection (null if they didn't hold it)
+  async deselectShape(canvasId, shapeId, userId) {
+    const current = await this.getShapeLock(canvasId, shapeId);
+    if (!current || current.userId !== userId) return null;
+
+    await sharedStore.del(shapeLockKey(canvasId, shapeId));
+    await sharedStore.hdel(selectionsKey(canvasId), shapeId);
+    return current;
+  }
+
+  // The selection holding a shape's lock, or null if it isn't locked
+  async getShapeLock(canvasId, shapeId) {
+    return (await sharedStore.get(shapeLockKey(canvasId, shapeId))) ?? null;
+  }
+
+  // Current selections on a canvas, as clients see them
+  async getSelections(canvasId) {
+    const now = Date.now();
+    return Object.values(await sharedStore.hgetall(selectionsKey(canvasId)))
+      .filter(selection => selection.expiresAt > now)
+      .map(toSelection);
+  }
+
+  // Release every lock taken through a connection (when it leaves the canvas). Returns the released selections
+  async releaseSelections(canvasId, connectionId) {
+    const selections = Object.values(await sharedStore.hgetall(selectionsKey(canvasId)))
+      .filter(selection => selection.connectionId === connectionId);
+
+    return this._releaseSelections(canvasId, selections);
+  }
+
+  // Release locks that expired or whose instance stopped. Returns the released selections
+  async sweepSelections(canvasId) {
+    const now = Date.now();
+    const alive = new Map(); // Map<instanceId, boolean>
+    const stale = [];
+
+    for (const selection of Object.values(await sharedStore.hgetall(selectionsKey(canvasId)))) {
+      if (!alive.has(selection.instanceId)) {
+        alive.set(selection.instanceId, await sharedStore.isAlive(selection.instanceId));
+      }
+      if (selection.expiresAt <= now || !alive.get(selection.instanceId)) {
+        stale.push(selection);
+      }
+    }
+
+    return this._releaseSelections(canvasId, stale);
+  }
+
+  // Canvases users are on (on any instance)
+  async getActiveCanvases() {
+    return sharedStore.smembers(ACTIVE_CANVASES_KEY);
   }
 
   // Get all canvases (for admin purposes)
@@ -200,39 +793,340 @@ class CanvasManager {
           select: { shapes: true },
         },
       },
+      orderBy: { lastModified: 'desc' },
     });
 
-    return canvases.map(canvas => ({
-      id: canvas.id,
-      name: canvas.name,
-      shapeCount: canvas._count.shapes,
-      userCount: this.activeUsers.get(canvas.name)?.size || 0,
-      createdAt: canvas.createdAt.toISOString(),
-      lastModified: canvas.lastModified.toISOString(),
-    }));
+    return Promise.all(canvases.map(canvas => this._toCanvasSummary(canvas)));
   }
 
-  // Delete old canvases (cleanup job)
+  // Get a single canvas summary by name (null if it doesn't exist)
+  async getCanvas(canvasId) {
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasId },
+      include: {
+        _count: {
+          select: { shapes: true },
+        },
+      },
+    });
+
+    return canvas ? this._toCanvasSummary(canvas) : null;
+  }
+
+  // Get the canvases a user is a member of, with their role on each
+  async getUserCanvases(userId) {
+    const canvases = await prisma.canvas.findMany({
+      where: {
+        canvasUsers: { some: { userId } },
+      },
+      include: {
+        _count: {
+          select: { shapes: true },
+        },
+        canvasUsers: {
+          where: { userId },
+          select: { role: true },
+        },
+      },
+      orderBy: { lastModified: 'desc' },
+    });
+
+    return Promise.all(canvases.map(async canvas => ({
+      ...(await this._toCanvasSummary(canvas)),
+      role: canvas.canvasUsers[0].role,
+    })));
+  }
+
+  // Create an empty canvas owned by the given user
+  async createCanvas(canvasId, ownerId) {
+    const canvas = await prisma.canvas.create({
+      data: {
+        name: canvasId,
+        canvasUsers: {
+          create: { userId: ownerId, role: 'owner' },
+        },
+      },
+      include: {
+        _count: {
+          select: { shapes: true },
+        },
+      },
+    });
+
+    return this._toCanvasSummary(canvas);
+  }
+
+  // Rename a canvas, carrying its ephemeral state over to the new name
+  async renameCanvas(canvasId, newCanvasId) {
+    const canvas = await prisma.canvas.update({
+      where: { name: canvasId },
+      data: { name: newCanvasId },
+      include: {
+        _count: {
+          select: { shapes: true },
+        },
+      },
+    });
+
+    if (this.activeStrokes.has(canvasId)) {
+      this.activeStrokes.set(newCanvasId, this.activeStrokes.get(canvasId));
+      this.activeStrokes.delete(canvasId);
+    }
+
+    await sharedStore.rename(presenceKey(canvasId), presenceKey(newCanvasId));
+    await sharedStore.rename(publishedPresenceKey(canvasId), publishedPresenceKey(newCanvasId));
+    await sharedStore.rename(bufferKey(canvasId), bufferKey(newCanvasId));
+    // Locks are keyed by canvas name, so selections don't carry over; clients select again after re-joining
+    await this._releaseAllSelections(canvasId);
+    for (const key of [ACTIVE_CANVASES_KEY, BUFFERED_CANVASES_KEY]) {
+      await sharedStore.srem(key, canvasId);
+      await sharedStore.sadd(key, newCanvasId);
+    }
+
+    return this._toCanvasSummary(canvas);
+  }
+
+  // Delete a canvas and everything on it
+  async deleteCanvas(canvasId) {
+    await prisma.canvas.delete({
+      where: { name: canvasId },
+    });
+
+    await this._forgetCanvas(canvasId);
+  }
+
+  // Delete old canvases nobody owns (cleanup job), e.g. ones created by joining an unknown name.
+  // Owned canvases are only deleted by their owners: lastModified doesn't change as they are drawn on
   async cleanupOldCanvases(maxAgeHours = 24) {
     const cutoffTime = new Date(Date.now() - maxAgeHours * 60 * 60 * 1000);
 
     const oldCanvases = await prisma.canvas.findMany({
       where: {
         lastModified: { lt: cutoffTime },
+        canvasUsers: { none: { role: 'owner' } },
       },
     });
 
     for (const canvas of oldCanvases) {
-      const hasActiveUsers = this.activeUsers.get(canvas.name)?.size > 0;
-      if (!hasActiveUsers) {
+      const users = await this.getCanvasUsers(canvas.name);
+      if (users.length === 0) {
         await prisma.canvas.delete({
           where: { id: canvas.id },
         });
+        await this._forgetCanvas(canvas.name);
         console.log(`Cleaned up canvas: ${canvas.name}`);
       }
     }
   }
 
+  // Write out buffered strokes of every canvas
+  async flushAllDrawEvents() {
+    for (const canvasId of await sharedStore.smembers(BUFFERED_CANVASES_KEY)) {
+      try {
+        await this._flushDrawEvents(canvasId);
+      } catch (error) {
+        console.error(`Failed to flush strokes for canvas ${canvasId}:`, error);
+      }
+    }
+  }
+
+  // Drop a deleted canvas's ephemeral state
+  async _forgetCanvas(canvasId) {
+    this.activeStrokes.delete(canvasId);
+    await this._releaseAllSelections(canvasId);
+    await sharedStore.del(presenceKey(canvasId), publishedPresenceKey(canvasId), bufferKey(canvasId));
+    await sharedStore.srem(ACTIVE_CANVASES_KEY, canvasId);
+    await sharedStore.srem(BUFFERED_CANVASES_KEY, canvasId);
+  }
+
+  // Take a canvas nobody is on any more out of the active set, so periodic jobs skip it
+  async _deactivateIfEmpty(canvasId) {
+    if (await this.isActive(canvasId)) return;
+
+    await sharedStore.srem(ACTIVE_CANVASES_KEY, canvasId);
+    // A connection added on another instance meanwhile puts it back
+    if (await this.isActive(canvasId)) {
+      await sharedStore.sadd(ACTIVE_CANVASES_KEY, canvasId);
+    }
+  }
+
+  // Drop selections, and their locks unless someone has taken the lock over since
+  async _releaseSelections(canvasId, selections) {
+    for (const selection of selections) {
+      const lockKey = shapeLockKey(canvasId, selection.shapeId);
+      const current = await sharedStore.get(lockKey);
+      if (current?.connectionId === selection.connectionId) {
+        await sharedStore.del(lockKey);
+      }
+    }
+    if (selections.length > 0) {
+      await sharedStore.hdel(selectionsKey(canvasId), ...selections.map(selection => selection.shapeId));
+    }
+    return selections;
+  }
+
+  async _releaseAllSelections(canvasId) {
+    return this._releaseSelections(canvasId, Object.values(await sharedStore.hgetall(selectionsKey(canvasId))));
+  }
+
+  // Connections on a canvas. Entries left behind by an instance that stopped are dropped
+  async _getConnections(canvasId) {
+    const entries = Object.entries(await sharedStore.hgetall(presenceKey(canvasId)));
+    const alive = new Map(); // Map<instanceId, boolean>
+    const connections = [];
+
+    for (const [connectionId, connection] of entries) {
+      if (!alive.has(connection.instanceId)) {
+        alive.set(connection.instanceId, await sharedStore.isAlive(connection.instanceId));
+      }
+
+      if (alive.get(connection.instanceId)) {
+        connections.push(connection);
+      } else {
+        await sharedStore.hdel(presenceKey(canvasId), connectionId);
+      }
+    }
+
+    return connections;
+  }
+
+  // Compare the canvas's users with what was last broadcast and record the new state.
+  // Returns { changed: [user], removed: [userId], added: [userId] }, or null if nothing changed
+  async _publishPresence(canvasId) {
+    const users = await this.getCanvasUsers(canvasId);
+    const published = await sharedStore.hgetall(publishedPresenceKey(canvasId));
+
+    const changed = users.filter(user => {
+      const previous = published[user.userId];
+      return !previous || previous.status !== user.status || previous.connections !== user.connections;
+    });
+    const current = new Set(users.map(user => user.userId));
+    const removed = Object.keys(published).filter(userId => !current.has(userId));
+
+    if (changed.length === 0 && removed.length === 0) return null;
+
+    for (const user of changed) {
+      await sharedStore.hset(publishedPresenceKey(canvasId), user.userId, {
+        status: user.status,
+        connections: user.connections,
+      });
+    }
+    if (removed.length > 0) {
+      await sharedStore.hdel(publishedPresenceKey(canvasId), ...removed);
+    }
+
+    return {
+      changed,
+      removed,
+      added: changed.filter(user => !published[user.userId]).map(user => user.userId),
+    };
+  }
+
+  // Helper to shape a canvas row (with shape count) for API responses
+  async _toCanvasSummary(canvas) {
+    const users = await this.getCanvasUsers(canvas.name);
+
+    return {
+      id: canvas.id,
+      name: canvas.name,
+      shapeCount: canvas._count.shapes,
+      userCount: users.length,
+      createdAt: canvas.createdAt.toISOString(),
+      lastModified: canvas.lastModified.toISOString(),
+    };
+  }
+
+  // A canvas's layer rows, bottom to top. Canvases from before layers get a first layer
+  async _getLayers(canvasDbId, client = prisma) {
+    const layers = await client.layer.findMany({
+      where: { canvasId: canvasDbId },
+      orderBy: { order: 'asc' },
+    });
+    if (layers.length > 0) {
+      return layers;
+    }
+
+    // Two first reads at once may both get here: (canvasId, order) is unique, so only one layer is created
+    await client.layer.createMany({
+      data: [{ canvasId: canvasDbId, name: DEFAULT_LAYER_NAME, order: 0 }],
+      skipDuplicates: true,
+    });
+    return client.layer.findMany({
+      where: { canvasId: canvasDbId },
+      orderBy: { order: 'asc' },
+    });
+  }
+
+  // The layer a new shape goes on: the given one, or the top layer if none is given
+  // (or, with `fallbackToTop`, if the given one no longer exists). Throws LAYER_NOT_FOUND or LAYER_LOCKED
+  async _targetLayer(client, canvasDbId, layerId, { fallbackToTop = false } = {}) {
+    const layers = await this._getLayers(canvasDbId, client);
+    const topLayer = layers[layers.length - 1];
+
+    let layer = layerId ? layers.find(candidate => candidate.id === layerId) : topLayer;
+    if (!layer && fallbackToTop) {
+      layer = topLayer;
+    }
+    if (!layer) {
+      throw canvasError('LAYER_NOT_FOUND', `Layer ${layerId} not found`);
+    }
+    if (layer.locked) {
+      throw canvasError('LAYER_LOCKED', `Layer ${layer.name} is locked`);
+    }
+    return layer;
+  }
+
+  // The zIndex that puts a shape above every shape on a layer
+  async _nextZIndex(client, layerId) {
+    const { _max } = await client.shape.aggregate({
+      where: { layerId },
+      _max: { zIndex: true },
+    });
+    return (_max.zIndex ?? -1) + 1;
+  }
+
+  _assertUnlocked(shape) {
+    if (shape.layer?.locked) {
+      throw canvasError('LAYER_LOCKED', `Shape ${shape.id} is on a locked layer`);
+    }
+  }
+
+  // A shape row (with its layer) that may be edited. Throws SHAPE_NOT_FOUND or LAYER_LOCKED
+  async _findUnlockedShape(client, canvasDbId, shapeId) {
+    const shape = await client.shape.findFirst({
+      where: { id: shapeId, canvasId: canvasDbId },
+      include: { layer: true },
+    });
+    if (!shape) {
+      throw canvasError('SHAPE_NOT_FOUND', `Shape ${shapeId} not found`);
+    }
+    this._assertUnlocked(shape);
+    return shape;
+  }
+
+  async _restoreShape(client, canvasDbId, shape) {
+    const layer = await this._targetLayer(client, canvasDbId, shape.layerId, { fallbackToTop: true });
+    const zIndex = layer.id === shape.layerId && Number.isInteger(shape.zIndex)
+      ? shape.zIndex
+      : await this._nextZIndex(client, layer.id);
+
+    await client.shape.upsert({
+      where: { id: shape.id },
+      update: { layerId: layer.id, zIndex, data: serializeShape(shape) },
+      create: {
+        id: shape.id,
+        canvasId: canvasDbId,
+        userId: shape.userId,
+        layerId: layer.id,
+        zIndex,
+        type: shape.type || 'unknown',
+        data: serializeShape(shape),
+      },
+    });
+
+    return { ...shape, layerId: layer.id, zIndex };
+  }
+
   // Helper to ensure canvas exists
   async _ensureCanvas(canvasId) {
     let canvas = await prisma.canvas.findUnique({
@@ -252,18 +1146,20 @@ class CanvasManager {
 // Singleton instance
 const canvasManager = new CanvasManager();
 
-// Run cleanup every hour
+// Run cleanup every hour (on one instance)
 setInterval(() => {
-  canvasManager.cleanupOldCanvases(24);
-}, 60 * 60 * 1000);
+  sharedStore.runExclusive('cleanup', CLEANUP_INTERVAL_MS, () => canvasManager.cleanupOldCanvases(24))
+    .catch(error => console.error('Canvas cleanup failed:', error));
+}, CLEANUP_INTERVAL_MS);
 
-// Flush draw events periodically
+// Flush draw events periodically (on one instance)
 setInterval(() => {
-  for (const [canvasId] of canvasManager.drawEventBuffers) {
-    canvasManager._ensureCanvas(canvasId).then(canvas => {
-      canvasManager._flushDrawEvents(canvasId, canvas.id);
-    });
-  }
-}, 10 * 1000); // Every 10 seconds
+  sharedStore.runExclusive('flush', FLUSH_INTERVAL_MS, () => canvasManager.flushAllDrawEvents())
+    .catch(error => console.error('Stroke flush failed:', error));
+}, FLUSH_INTERVAL_MS); // Every 10 seconds
 
 module.exports = canvasManager;
+module.exports.userColor = userColor;
+module.exports.sortShapes = sortShapes;
+module.exports.MAX_LAYERS = MAX_LAYERS;
+module.exports.SHAPE_LOCK_MS = SHAPE_LOCK_MS;
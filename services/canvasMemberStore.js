@@ -0,0 +1,150 @@
+// Database-backed canvas membership and roles using Prisma
+const prisma = require('./prisma');
+
+const ROLES = ['viewer', 'editor', 'owner'];
+
+const isValidRole = (role) => ROLES.includes(role);
+
+// Check whether a role grants at least the permissions of another role
+const hasRole = (role, minimumRole) => {
+  return isValidRole(role) && ROLES.indexOf(role) >= ROLES.indexOf(minimumRole);
+};
+
+class CanvasMemberStore {
+  // Get a user's role on a canvas (null if not a member)
+  async getRole(canvasName, userId) {
+    const membership = await prisma.canvasUser.findFirst({
+      where: {
+        userId,
+        canvas: { name: canvasName },
+      },
+      select: { role: true },
+    });
+
+    return membership ? membership.role : null;
+  }
+
+  // Get a user's role, creating the canvas and making them owner if nobody owns it yet
+  async getOrClaimRole(canvasName, userId) {
+    const canvas = await prisma.canvas.upsert({
+      where: { name: canvasName },
+      update: {},
+      create: { name: canvasName },
+      include: {
+        canvasUsers: {
+          select: { userId: true, role: true },
+        },
+      },
+    });
+
+    const membership = canvas.canvasUsers.find(m => m.userId === userId);
+    if (membership) {
+      return membership.role;
+    }
+
+    if (canvas.canvasUsers.length === 0) {
+      await prisma.canvasUser.create({
+        data: {
+          canvasId: canvas.id,
+          userId,
+          role: 'owner',
+        },
+      });
+      return 'owner';
+    }
+
+    return null;
+  }
+
+  async getMembers(canvasName) {
+    const members = await prisma.canvasUser.findMany({
+      where: { canvas: { name: canvasName } },
+      include: {
+        user: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            email: true,
+          },
+        },
+      },
+      orderBy: { joinedAt: 'asc' },
+    });
+
+    return members.map(member => ({
+      userId: member.user.id,
+      firstName: member.user.firstName,
+      lastName: member.user.lastName,
+      email: member.user.email,
+      role: member.role,
+      joinedAt: member.joinedAt.toISOString(),
+    }));
+  }
+
+  async addMember(canvasName, userId, role) {
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasName },
+    });
+
+    await prisma.canvasUser.create({
+      data: {
+        canvasId: canvas.id,
+        userId,
+        role,
+      },
+    });
+  }
+
+  async updateRole(canvasName, userId, role) {
+    await prisma.canvasUser.updateMany({
+      where: {
+        userId,
+        canvas: { name: canvasName },
+      },
+      data: { role },
+    });
+  }
+
+  async removeMember(canvasName, userId) {
+    await prisma.canvasUser.deleteMany({
+      where: {
+        userId,
+        canvas: { name: canvasName },
+      },
+    });
+  }
+
+  async countOwners(canvasName) {
+    return prisma.canvasUser.count({
+      where: {
+        role: 'owner',
+        canvas: { name: canvasName },
+      },
+    });
+  }
+
+  // Names of the canvases a user is the only owner of
+  async getSolelyOwnedCanvases(userId) {
+    const canvases = await prisma.canvas.findMany({
+      where: {
+        canvasUsers: {
+          some: { userId, role: 'owner' },
+          none: { userId: { not: userId }, role: 'owner' },
+        },
+      },
+      select: { name: true },
+      orderBy: { name: 'asc' },
+    });
+
+    return canvases.map(canvas => canvas.name);
+  }
+}
+
+// Singleton instance
+const canvasMemberStore = new CanvasMemberStore();
+
+module.exports = canvasMemberStore;
+module.exports.ROLES = ROLES;
+module.exports.hasRole = hasRole;
+module.exports.isValidRole = isValidRole;
@@ -0,0 +1,95 @@
+// Database-backed canvas chat history using Prisma
+const prisma = require('./prisma');
+
+const MAX_MESSAGE_LENGTH = 1000;
+const RECENT_MESSAGES = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Control characters (except tab and newline) and invisible bidi/zero-width characters
+// that could be used to hide or reorder text
+const UNSAFE_CHARACTERS = /[\u0000-\u0008\u000B-\u001F\u007F-\u009F\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+
+// Normalize message text before it is stored. Returns null if nothing is left
+const sanitizeMessage = (text) => {
+  if (typeof text !== 'string') return null;
+
+  const sanitized = text
+    .normalize('NFC')
+    .replace(/\r\n?/g, '\n')
+    .replace(UNSAFE_CHARACTERS, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+    .slice(0, MAX_MESSAGE_LENGTH);
+
+  return sanitized || null;
+};
+
+const toMessage = (message) => ({
+  id: message.id,
+  userId: message.userId,
+  firstName: message.user.firstName,
+  lastName: message.user.lastName,
+  message: message.text,
+  timestamp: message.createdAt.getTime(),
+});
+
+class ChatStore {
+  // Store a message. Returns null if the text is empty after sanitizing
+  async addMessage(canvasName, userId, text) {
+    const sanitized = sanitizeMessage(text);
+    if (!sanitized) return null;
+
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasName },
+    });
+
+    const message = await prisma.chatMessage.create({
+      data: {
+        canvasId: canvas.id,
+        userId,
+        text: sanitized,
+      },
+      include: { user: true },
+    });
+
+    return toMessage(message);
+  }
+
+  // A page of messages older than the `before` cursor (a message id), oldest first; without a cursor
+  // the latest messages (sent along with the canvas state on join).
+  // `nextCursor` is the cursor for the page before this one, or null when there is none.
+  async getMessages(canvasName, { before, limit = RECENT_MESSAGES } = {}) {
+    const take = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+
+    const messages = await prisma.chatMessage.findMany({
+      where: { canvas: { name: canvasName } },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      ...(before && { cursor: { id: before }, skip: 1 }),
+      take: take + 1,
+      include: { user: true },
+    });
+
+    const hasMore = messages.length > take;
+    const page = messages.slice(0, take).reverse();
+
+    return {
+      messages: page.map(toMessage),
+      nextCursor: hasMore ? page[0].id : null,
+    };
+  }
+
+  // Whether a message id belongs to the canvas (to validate pagination cursors)
+  async hasMessage(canvasName, messageId) {
+    const count = await prisma.chatMessage.count({
+      where: { id: messageId, canvas: { name: canvasName } },
+    });
+    return count > 0;
+  }
+}
+
+// Singleton instance
+const chatStore = new ChatStore();
+
+module.exports = chatStore;
+module.exports.sanitizeMessage = sanitizeMessage;
+module.exports.MAX_PAGE_SIZE = MAX_PAGE_SIZE;
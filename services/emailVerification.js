@@ -0,0 +1,57 @@
+// Email verification - signed, expiring links that prove a user owns their email address.
+// The link carries a JWT bound to the address, so it stops working if the email changes.
+const jwt = require('jsonwebtoken');
+const mailer = require('./mailer');
+const sharedStore = require('./sharedStore');
+
+const VERIFICATION_TOKEN_TYPE = 'email-verification';
+const VERIFICATION_TTL_HOURS = Number(process.env.EMAIL_VERIFICATION_TTL_HOURS ?? 24);
+
+// Minimum time between two verification emails for the same user
+const RESEND_COOLDOWN_MS = 60 * 1000;
+
+class EmailVerification {
+  createToken(user) {
+    return jwt.sign(
+      { userId: user.id, email: user.email, type: VERIFICATION_TOKEN_TYPE },
+      process.env.JWT_SECRET,
+      { expiresIn: `${VERIFICATION_TTL_HOURS}h` }
+    );
+  }
+
+  // Returns { userId, email } for a valid verification token, or null
+  verifyToken(token) {
+    try {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      return decoded.type === VERIFICATION_TOKEN_TYPE ? { userId: decoded.userId, email: decoded.email } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Email a verification link pointing at the client's /verify-email page
+  async sendVerificationEmail(user, clientUrl) {
+    const verifyUrl = `${clientUrl}/verify-email?token=${encodeURIComponent(this.createToken(user))}`;
+
+    await mailer.send({
+      to: user.email,
+      subject: 'Verify your Realtime Canvas email address',
+      text: `Hi ${user.firstName},\n\n`
+        + `Please confirm your email address by opening this link:\n\n`
+        + `${verifyUrl}\n\n`
+        + `The link expires in ${VERIFICATION_TTL_HOURS} hours. `
+        + `If you didn't create an account, you can ignore this email.\n`
+    });
+  }
+
+  // Claim the resend slot for a user. Returns false while the cooldown is running
+  async claimResend(userId) {
+    return sharedStore.setIfAbsent(`verification-resend:${userId}`, Date.now(), { ttl: RESEND_COOLDOWN_MS });
+  }
+}
+
+// Singleton instance
+const emailVerification = new EmailVerification();
+
+module.exports = emailVerification;
+module.exports.VERIFICATION_TTL_HOURS = VERIFICATION_TTL_HOURS;
@@ -0,0 +1,82 @@
+// Event Log - append-only, time-ordered log of what happened on each canvas (for session replay)
+// Entries hold the socket event name and the payload clients received, so a replay can be
+// rendered with the same handlers as the live canvas.
+const prisma = require('./prisma');
+
+class EventLog {
+  constructor() {
+    this.queues = new Map(); // Map<canvasId, Promise> - keeps writes in the order they were recorded
+  }
+
+  // Append an entry. Writes happen in the background; failures are logged, never thrown
+  record(canvasId, event, data, userId = null) {
+    const createdAt = new Date();
+    const previous = this.queues.get(canvasId) || Promise.resolve();
+
+    const write = previous
+      .then(() => prisma.canvasEvent.create({
+        data: {
+          canvas: { connect: { name: canvasId } },
+          userId,
+          event,
+          data: JSON.stringify(data),
+          createdAt,
+        },
+      }))
+      .catch(error => {
+        console.error(`Failed to log ${event} for canvas ${canvasId}:`, error);
+      })
+      .finally(() => {
+        if (this.queues.get(canvasId) === write) {
+          this.queues.delete(canvasId);
+        }
+      });
+
+    this.queues.set(canvasId, write);
+    return write;
+  }
+
+  // First and last entry times of a canvas's log (null when it is empty)
+  async getTimeRange(canvasId) {
+    const where = { canvas: { name: canvasId } };
+    const [first, last] = await Promise.all([
+      prisma.canvasEvent.findFirst({ where, orderBy: [{ createdAt: 'asc' }, { id: 'asc' }], select: { createdAt: true } }),
+      prisma.canvasEvent.findFirst({ where, orderBy: [{ createdAt: 'desc' }, { id: 'desc' }], select: { createdAt: true } }),
+    ]);
+
+    if (!first) return null;
+    return { startedAt: first.createdAt.getTime(), endedAt: last.createdAt.getTime() };
+  }
+
+  // Entries in log order after the `after` cursor ({ time, id } of the last entry seen),
+  // optionally only up to `until` (ms, inclusive)
+  async getEvents(canvasId, { after, until, limit = 200 } = {}) {
+    const events = await prisma.canvasEvent.findMany({
+      where: {
+        canvas: { name: canvasId },
+        ...(after && {
+          OR: [
+            { createdAt: { gt: new Date(after.time) } },
+            { createdAt: new Date(after.time), id: { gt: after.id } },
+          ],
+        }),
+        ...(until !== undefined && { createdAt: { lte: new Date(until) } }),
+      },
+      orderBy: [{ createdAt: 'asc' }, { id: 'asc' }],
+      take: limit,
+    });
+
+    return events.map(entry => ({
+      id: entry.id,
+      time: entry.createdAt.getTime(),
+      userId: entry.userId,
+      event: entry.event,
+      data: JSON.parse(entry.data),
+    }));
+  }
+}
+
+// Singleton instance
+const eventLog = new EventLog();
+
+module.exports = eventLog;
@@ -0,0 +1,93 @@
+// Frame Broadcaster - coalesces high-frequency events (cursor:move, draw:move) per canvas and
+// sends them to the room as one `canvas:frame` per tick, instead of one message per event.
+// Frames are built from this instance's sockets; with several instances each sends its own.
+
+// Frames per second. A value that isn't a positive number falls back to the default
+const DEFAULT_TICK_RATE = 30;
+const configuredTickRate = Number(process.env.FRAME_TICK_RATE ?? DEFAULT_TICK_RATE);
+const TICK_RATE = Number.isFinite(configuredTickRate) && configuredTickRate > 0 ? configuredTickRate : DEFAULT_TICK_RATE;
+
+class FrameBroadcaster {
+  constructor(io, { tickRate = TICK_RATE } = {}) {
+    this.io = io;
+    // Map<canvasId, { cursors: Map<userId, cursor>, strokes: Map<`${userId}:${strokeId}`, delta> }>.
+    // Each cursor and delta carries the socketId it came from
+    this.pending = new Map();
+    this.timer = setInterval(() => this.flushAll(), 1000 / Math.max(tickRate, 1));
+  }
+
+  // Queue a user's cursor position, sent from socket `socketId`. Only the latest position per user is sent
+  queueCursor(canvasId, cursor, socketId) {
+    this._getFrame(canvasId).cursors.set(cursor.userId, { ...cursor, socketId });
+  }
+
+  // Queue a point of a stroke being drawn from socket `socketId`. Every point is sent, in order.
+  // Stroke ids are chosen by clients, so two users' strokes may share one
+  queueStrokePoint(canvasId, strokeId, userId, point, socketId) {
+    const { strokes } = this._getFrame(canvasId);
+    const key = `${userId}:${strokeId}`;
+    if (!strokes.has(key)) {
+      strokes.set(key, { strokeId, userId, points: [], socketId });
+    }
+    strokes.get(key).points.push(point);
+  }
+
+  // Send a canvas's pending frame now, e.g. so a stroke's last points arrive before its draw:end
+  flush(canvasId) {
+    const frame = this.pending.get(canvasId);
+    if (!frame) return;
+    this.pending.delete(canvasId);
+
+    const cursors = Array.from(frame.cursors.values());
+    const strokes = Array.from(frame.strokes.values());
+    const senders = new Set([...cursors, ...strokes].map(entry => entry.socketId));
+
+    // Like the events they coalesce, frames don't echo a socket's own cursor and points back to it:
+    // the rest of the room gets the whole frame, and each sender the part that came from others
+    this._emit(this.io.to(canvasId).except([...senders]), canvasId, cursors, strokes);
+    for (const socketId of senders) {
+      const fromOthers = entry => entry.socketId !== socketId;
+      this._emit(this.io.to(socketId), canvasId, cursors.filter(fromOthers), strokes.filter(fromOthers));
+    }
+  }
+
+  flushAll() {
+    for (const canvasId of [...this.pending.keys()]) {
+      this.flush(canvasId);
+    }
+  }
+
+  stop() {
+    clearInterval(this.timer);
+  }
+
+  _emit(target, canvasId, cursors, strokes) {
+    if (cursors.length === 0 && strokes.length === 0) return;
+
+    const withoutSocket = ({ socketId, ...entry }) => entry;
+    const data = {
+      canvas: canvasId,
+      cursors: cursors.map(withoutSocket),
+      strokes: strokes.map(withoutSocket),
+      timestamp: Date.now()
+    };
+
+    // Cursor-only frames may be dropped under backpressure (the next one supersedes them);
+    // stroke deltas may not, or live strokes would lose points
+    if (strokes.length > 0) {
+      target.emit('canvas:frame', data);
+    } else {
+      target.volatile.emit('canvas:frame', data);
+    }
+  }
+
+  _getFrame(canvasId) {
+    if (!this.pending.has(canvasId)) {
+      this.pending.set(canvasId, { cursors: new Map(), strokes: new Map() });
+    }
+    return this.pending.get(canvasId);
+  }
+}
+
+module.exports = FrameBroadcaster;
+module.exports.TICK_RATE = TICK_RATE;
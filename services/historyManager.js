@@ -0,0 +1,225 @@
+// History Manager - per-user undo/redo stacks for each canvas (in-memory)
+// Each entry records an operation together with what is needed to invert it,
+// so a user only ever undoes their own actions, regardless of what others did in between.
+const canvasManager = require('./canvasManager');
+
+const MAX_HISTORY = 100;
+
+// Convert a CanvasManager batch result into an operation of the broadcast `canvas:batch` event
+const toBatchEvent = (result) => {
+  switch (result.type) {
+    case 'add':
+      return { op: 'add', ...result.shape, clientId: result.clientId };
+    case 'update':
+      return { op: 'update', ...result.after, shapeId: result.shapeId };
+    case 'delete':
+      return { op: 'delete', shapeId: result.shape.id };
+    default:
+      throw new Error(`Unknown batch result: ${result.type}`);
+  }
+};
+
+class HistoryManager {
+  constructor() {
+    this.histories = new Map(); // Map<canvasId, Map<userId, { undo: Array<op>, redo: Array<op> }>>
+  }
+
+  // Record an operation the user just performed (clears their redo stack)
+  record(canvasId, userId, operation) {
+    const history = this._getHistory(canvasId, userId);
+
+    history.undo.push(operation);
+    if (history.undo.length > MAX_HISTORY) {
+      history.undo.shift();
+    }
+    history.redo = [];
+  }
+
+  // Undo the user's most recent operation. Returns the room events to broadcast ([] if nothing to undo)
+  async undo(canvasId, userId) {
+    const history = this._getHistory(canvasId, userId);
+    const operation = history.undo.pop();
+    if (!operation) return [];
+
+    let result;
+    try {
+      result = await this._applyInverse(canvasId, operation, userId);
+    } catch (error) {
+      // Keep the operation (e.g. its shape is on a locked layer or selected by someone else for now)
+      history.undo.push(operation);
+      throw error;
+    }
+
+    const { events, operation: applied } = result;
+    history.redo.push(applied);
+    return events;
+  }
+
+  // Redo the user's most recently undone operation. Returns the room events to broadcast
+  async redo(canvasId, userId) {
+    const history = this._getHistory(canvasId, userId);
+    const operation = history.redo.pop();
+    if (!operation) return [];
+
+    let result;
+    try {
+      result = await this._applyInverse(canvasId, this._invert(operation), userId);
+    } catch (error) {
+      history.redo.push(operation);
+      throw error;
+    }
+
+    const { events, operation: applied } = result;
+    history.undo.push(this._invert(applied));
+    return events;
+  }
+
+  // Forget all history for a canvas (e.g. after it was cleared)
+  clearCanvas(canvasId) {
+    this.histories.delete(canvasId);
+  }
+
+  // Carry history over when a canvas is renamed
+  renameCanvas(canvasId, newCanvasId) {
+    if (this.histories.has(canvasId)) {
+      this.histories.set(newCanvasId, this.histories.get(canvasId));
+      this.histories.delete(canvasId);
+    }
+  }
+
+  // Summary of what the user can undo/redo, for the client's buttons
+  getStatus(canvasId, userId) {
+    const history = this._getHistory(canvasId, userId);
+    return {
+      canUndo: history.undo.length > 0,
+      canRedo: history.redo.length > 0,
+    };
+  }
+
+  _getHistory(canvasId, userId) {
+    if (!this.histories.has(canvasId)) {
+      this.histories.set(canvasId, new Map());
+    }
+
+    const canvasHistories = this.histories.get(canvasId);
+    if (!canvasHistories.has(userId)) {
+      canvasHistories.set(userId, { undo: [], redo: [] });
+    }
+
+    return canvasHistories.get(userId);
+  }
+
+  // The operation that reverses another one
+  _invert(operation) {
+    switch (operation.type) {
+      case 'shape:add':
+        return { type: 'shape:delete', shape: operation.shape };
+      case 'shape:delete':
+        return { type: 'shape:add', shape: operation.shape };
+      case 'shape:update':
+        return { type: 'shape:update', shapeId: operation.shapeId, before: operation.after, after: operation.before };
+      case 'stroke:add':
+        return { type: 'stroke:delete', strokeId: operation.strokeId, events: operation.events };
+      case 'stroke:delete':
+        return { type: 'stroke:add', strokeId: operation.strokeId, events: operation.events };
+      case 'batch':
+        return { type: 'batch', operations: operation.operations.map(op => this._invert(op)).reverse() };
+      default:
+        throw new Error(`Unknown history operation: ${operation.type}`);
+    }
+  }
+
+  // Apply the inverse of an operation through the CanvasManager, on behalf of `userId`.
+  // Returns the events to broadcast and the operation as it actually happened
+  // (stroke events are only known once they have been removed).
+  // Throws SHAPE_LOCKED if it would change a shape another user has selected
+  async _applyInverse(canvasId, operation, userId) {
+    const inverse = this._invert(operation);
+    await this._assertNotSelected(canvasId, inverse, userId);
+
+    switch (inverse.type) {
+      case 'shape:add': {
+        const shape = await canvasManager.restoreShape(canvasId, inverse.shape);
+        return { events: [{ event: 'shape:add', data: shape }], operation };
+      }
+      case 'shape:delete': {
+        await canvasManager.deleteShape(canvasId, inverse.shape.id);
+        return { events: [{ event: 'shape:delete', data: { shapeId: inverse.shape.id } }], operation };
+      }
+      case 'shape:update': {
+        const result = await canvasManager.updateShape(canvasId, inverse.shapeId, inverse.after);
+        if (!result) {
+          // Someone else deleted the shape in the meantime - nothing left to change
+          return { events: [], operation };
+        }
+        return {
+          events: [{ event: 'shape:update', data: { ...inverse.after, shapeId: inverse.shapeId } }],
+          operation,
+        };
+      }
+      case 'stroke:delete': {
+        const events = await canvasManager.removeStroke(canvasId, userId, inverse.strokeId);
+        return {
+          events: [{ event: 'stroke:delete', data: { strokeId: inverse.strokeId, userId } }],
+          operation: { ...operation, events },
+        };
+      }
+      case 'stroke:add': {
+        await canvasManager.restoreStroke(canvasId, inverse.events);
+        return {
+          events: [{ event: 'stroke:add', data: { strokeId: inverse.strokeId, drawEvents: inverse.events } }],
+          operation,
+        };
+      }
+      case 'batch': {
+        // Shapes others deleted in the meantime are skipped rather than failing the whole batch
+        const results = await canvasManager.applyBatch(canvasId, inverse.operations.map(op => this._toBatchOperation(op)), {
+          skipMissing: true,
+        });
+        if (results.length === 0) {
+          return { events: [], operation };
+        }
+        return {
+          events: [{ event: 'canvas:batch', data: { operations: results.map(toBatchEvent) } }],
+          operation,
+        };
+      }
+      default:
+        throw new Error(`Unknown history operation: ${inverse.type}`);
+    }
+  }
+
+  async _assertNotSelected(canvasId, operation, userId) {
+    const operations = operation.type === 'batch' ? operation.operations : [operation];
+    for (const { type, shape, shapeId } of operations) {
+      if (type !== 'shape:update' && type !== 'shape:delete') continue;
+
+      const lock = await canvasManager.getShapeLock(canvasId, shapeId || shape.id);
+      if (lock && lock.userId !== userId) {
+        const error = new Error(`${lock.username} is editing this shape`);
+        error.code = 'SHAPE_LOCKED';
+        throw error;
+      }
+    }
+  }
+
+  // The CanvasManager batch operation that applies a (shape) history operation
+  _toBatchOperation(operation) {
+    switch (operation.type) {
+      case 'shape:add':
+        return { type: 'restore', shape: operation.shape };
+      case 'shape:delete':
+        return { type: 'delete', shapeId: operation.shape.id };
+      case 'shape:update':
+        return { type: 'update', shapeId: operation.shapeId, updates: operation.after };
+      default:
+        throw new Error(`Unsupported batch history operation: ${operation.type}`);
+    }
+  }
+}
+
+// Singleton instance
+const historyManager = new HistoryManager();
+
+module.exports = historyManager;
+module.exports.toBatchEvent = toBatchEvent;
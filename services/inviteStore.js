@@ -0,0 +1,146 @@
+// Database-backed canvas invite links using Prisma
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+
+const INVITE_TOKEN_TYPE = 'canvas-invite';
+
+// Invite tokens are signed without a timestamp so the same invite always yields the same link
+const signInviteToken = (invite) => {
+  return jwt.sign(
+    {
+      inviteId: invite.id,
+      type: INVITE_TOKEN_TYPE,
+      exp: Math.floor(invite.expiresAt.getTime() / 1000)
+    },
+    process.env.JWT_SECRET,
+    { noTimestamp: true }
+  );
+};
+
+// Returns the invite id from a token, or null if the token is invalid or expired
+const verifyInviteToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === INVITE_TOKEN_TYPE ? decoded.inviteId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const toInvite = (invite) => ({
+  id: invite.id,
+  role: invite.role,
+  expiresAt: invite.expiresAt.toISOString(),
+  maxUses: invite.maxUses,
+  uses: invite.uses,
+  createdAt: invite.createdAt.toISOString(),
+  token: signInviteToken(invite),
+});
+
+class InviteStore {
+  async createInvite(canvasName, { createdById, role, expiresAt, maxUses }) {
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasName },
+    });
+
+    const invite = await prisma.canvasInvite.create({
+      data: {
+        canvasId: canvas.id,
+        createdById,
+        role,
+        expiresAt,
+        maxUses: maxUses ?? null,
+      },
+    });
+
+    return toInvite(invite);
+  }
+
+  // List invites that can still be accepted
+  async getActiveInvites(canvasName) {
+    const invites = await prisma.canvasInvite.findMany({
+      where: {
+        canvas: { name: canvasName },
+        revokedAt: null,
+        expiresAt: { gt: new Date() },
+      },
+      orderBy: { createdAt: 'desc' },
+    });
+
+    return invites
+      .filter(invite => invite.maxUses === null || invite.uses < invite.maxUses)
+      .map(toInvite);
+  }
+
+  async revokeInvite(canvasName, inviteId) {
+    const result = await prisma.canvasInvite.updateMany({
+      where: {
+        id: inviteId,
+        canvas: { name: canvasName },
+        revokedAt: null,
+      },
+      data: { revokedAt: new Date() },
+    });
+
+    return result.count > 0;
+  }
+
+  // Redeem an invite token for a user. Returns { canvasName, role } or { error }
+  async acceptInvite(token, userId) {
+    const inviteId = verifyInviteToken(token);
+    if (!inviteId) {
+      return { error: 'Invite link is invalid or has expired' };
+    }
+
+    return prisma.$transaction(async (tx) => {
+      const invite = await tx.canvasInvite.findUnique({
+        where: { id: inviteId },
+        include: { canvas: true },
+      });
+
+      if (!invite || invite.revokedAt || invite.expiresAt <= new Date()) {
+        return { error: 'Invite link is invalid or has expired' };
+      }
+
+      const membership = await tx.canvasUser.findUnique({
+        where: {
+          userId_canvasId: { userId, canvasId: invite.canvasId },
+        },
+      });
+
+      // Existing members keep their current role and don't use up the invite
+      if (membership) {
+        return { canvasName: invite.canvas.name, role: membership.role };
+      }
+
+      if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+        return { error: 'Invite link has reached its use limit' };
+      }
+
+      // Only count the use if nobody else redeemed the invite concurrently
+      const updated = await tx.canvasInvite.updateMany({
+        where: { id: invite.id, uses: invite.uses },
+        data: { uses: { increment: 1 } },
+      });
+
+      if (updated.count === 0) {
+        return { error: 'Invite link is busy, please try again' };
+      }
+
+      await tx.canvasUser.create({
+        data: {
+          canvasId: invite.canvasId,
+          userId,
+          role: invite.role,
+        },
+      });
+
+      return { canvasName: invite.canvas.name, role: invite.role };
+    });
+  }
+}
+
+// Singleton instance
+const inviteStore = new InviteStore();
+
+module.exports = inviteStore;
@@ -0,0 +1,81 @@
+// Mailer - sends transactional email through a pluggable transport chosen by MAIL_TRANSPORT:
+//   console - print messages to the server log (default outside production)
+//   file    - write each message as JSON into MAIL_DIR, so tests and developers can read it
+//   smtp    - deliver through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE)
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Realtime Canvas <no-reply@localhost>';
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', 'tmp', 'mail');
+
+class ConsoleTransport {
+  async send(message) {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  }
+}
+
+class FileTransport {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+}
+
+class SmtpTransport {
+  constructor(options) {
+    const nodemailer = require('nodemailer');
+    this.transporter = nodemailer.createTransport(options);
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'console':
+      return new ConsoleTransport();
+    case 'file':
+      return new FileTransport(MAIL_DIR);
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT || 587),
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+};
+
+class Mailer {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  // Send a plain-text message ({ to, subject, text })
+  async send({ to, subject, text }) {
+    await this.transport.send({ from: MAIL_FROM, to, subject, text });
+  }
+}
+
+// Singleton instance
+const mailer = new Mailer(createTransport(
+  process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console')
+));
+
+module.exports = mailer;
+module.exports.MAIL_DIR = MAIL_DIR;
@@ -0,0 +1,76 @@
+// Database-backed password reset tokens using Prisma
+// Tokens are random, single-use and expire; only their SHA-256 hash is stored.
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const sharedStore = require('./sharedStore');
+
+const RESET_TOKEN_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES ?? 60);
+
+// Minimum time between two reset requests for the same address
+const REQUEST_COOLDOWN_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class PasswordResetStore {
+  // Issue a reset token for a user, replacing any earlier unused one. Returns the token
+  async createResetToken(userId) {
+    const token = crypto.randomBytes(32).toString('base64url');
+
+    await prisma.$transaction([
+      prisma.passwordResetToken.deleteMany({
+        where: { userId, usedAt: null },
+      }),
+      prisma.passwordResetToken.create({
+        data: {
+          userId,
+          tokenHash: hashToken(token),
+          expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+        },
+      }),
+    ]);
+
+    return token;
+  }
+
+  // Use up a reset token and set the user's new (already hashed) password.
+  // Returns the user id, or null if the token is unknown, used or expired
+  async resetPassword(token, hashedPassword) {
+    return prisma.$transaction(async (tx) => {
+      const resetToken = await tx.passwordResetToken.findUnique({
+        where: { tokenHash: hashToken(token) },
+      });
+
+      if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+        return null;
+      }
+
+      // Guard against the same token being redeemed twice at once
+      const { count } = await tx.passwordResetToken.updateMany({
+        where: { id: resetToken.id, usedAt: null },
+        data: { usedAt: new Date() },
+      });
+      if (count === 0) {
+        return null;
+      }
+
+      await tx.user.update({
+        where: { id: resetToken.userId },
+        data: { password: hashedPassword },
+      });
+
+      return resetToken.userId;
+    });
+  }
+
+  // Claim the reset request slot for an email address, whether or not it has an account.
+  // Returns false while the cooldown is running
+  async claimRequest(email) {
+    return sharedStore.setIfAbsent(`password-reset-request:${email.toLowerCase()}`, Date.now(), { ttl: REQUEST_COOLDOWN_MS });
+  }
+}
+
+// Singleton instance
+const passwordResetStore = new PasswordResetStore();
+
+module.exports = passwordResetStore;
+module.exports.RESET_TOKEN_TTL_MINUTES = RESET_TOKEN_TTL_MINUTES;
@@ -0,0 +1,284 @@
+// Replay Session - streams a canvas's event log to one socket of the /replay namespace,
+// at an adjustable speed with pause and seek
+const eventLog = require('./eventLog');
+
+const PAGE_SIZE = 200;
+const MAX_REPLAY_MESSAGES = 100;
+
+// Whether a stroke is the one a `stroke:delete` entry removed. Entries logged before they named
+// the stroke's user match on the stroke id alone
+const isDeletedStroke = (stroke, data) => (
+  stroke.strokeId === data.strokeId && (!data.userId || stroke.userId === data.userId)
+);
+
+// Canvas content as of some point in the log, rebuilt from its entries
+class ReplayState {
+  constructor() {
+    this.layers = []; // bottom first; empty for logs from before layers existed
+    this.shapes = new Map();
+    this.strokes = [];
+    this.messages = [];
+  }
+
+  apply(event, data) {
+    switch (event) {
+      case 'shape:add':
+        this.shapes.set(data.id, data);
+        break;
+      case 'shape:update': {
+        const existing = this.shapes.get(data.shapeId);
+        if (existing) this.shapes.set(data.shapeId, { ...existing, ...data, id: data.shapeId });
+        break;
+      }
+      case 'shape:delete':
+        this.shapes.delete(data.shapeId);
+        break;
+      case 'shape:placement': {
+        const existing = this.shapes.get(data.shapeId);
+        if (existing) this.shapes.set(data.shapeId, { ...existing, layerId: data.layerId, zIndex: data.zIndex });
+        break;
+      }
+      case 'layer:create':
+        this.layers.push(data.layer);
+        break;
+      // A canvas's first layer is created implicitly, so older logs may not have seen it yet
+      case 'layer:update':
+        if (this.layers.some(layer => layer.id === data.layer.id)) {
+          this.layers = this.layers.map(layer => (layer.id === data.layer.id ? data.layer : layer));
+        } else {
+          this.layers.unshift(data.layer);
+        }
+        break;
+      case 'layer:reorder': {
+        const byId = new Map(this.layers.map(layer => [layer.id, layer]));
+        this.layers = data.layerIds.map(layerId => byId.get(layerId) || { id: layerId });
+        break;
+      }
+      case 'layer:delete':
+        this.layers = this.layers.filter(layer => layer.id !== data.layerId);
+        for (const [shapeId, shape] of this.shapes) {
+          if (shape.layerId === data.layerId) this.shapes.delete(shapeId);
+        }
+        break;
+      case 'canvas:batch':
+        for (const { op, ...payload } of data.operations) {
+          this.apply(`shape:${op}`, payload);
+        }
+        break;
+      case 'stroke:add':
+        this.strokes.push(...data.drawEvents);
+        break;
+      case 'stroke:delete':
+        this.strokes = this.strokes.filter(stroke => !isDeletedStroke(stroke, data));
+        break;
+      case 'canvas:clear':
+        this.shapes = new Map();
+        this.strokes = [];
+        break;
+      case 'canvas:state':
+        this.layers = data.layers ? [...data.layers] : [];
+        this.shapes = new Map(data.shapes.map(shape => [shape.id, shape]));
+        this.strokes = [...data.drawEvents];
+        break;
+      case 'chat:message':
+        this.messages.push(data);
+        if (this.messages.length > MAX_REPLAY_MESSAGES) this.messages.shift();
+        break;
+      default:
+        break;
+    }
+  }
+
+  toJSON() {
+    // Shapes in drawing order: by layer, then by position within the layer
+    const rank = new Map(this.layers.map((layer, index) => [layer.id, index]));
+    const shapes = Array.from(this.shapes.values()).sort((a, b) => (
+      ((rank.get(a.layerId) ?? 0) - (rank.get(b.layerId) ?? 0)) || ((a.zIndex ?? 0) - (b.zIndex ?? 0))
+    ));
+
+    return {
+      layers: this.layers,
+      shapes,
+      drawEvents: this.strokes,
+      messages: this.messages,
+    };
+  }
+}
+
+class ReplaySession {
+  constructor(socket, canvasId) {
+    this.socket = socket;
+    this.canvasId = canvasId;
+    this.range = null;
+    this.speed = 1;
+    this.playing = false;
+    this.position = 0; // log time (ms) the replay has reached
+    this.positionSetAt = 0; // wall-clock time position was last updated while playing
+    this.cursor = null; // { time, id } of the last entry streamed
+    this.queue = [];
+    this.timer = null;
+    this.generation = 0; // bumped whenever playback is rescheduled, so stale timers and loads are dropped
+  }
+
+  // Load the log's time range and begin playing from `from` (default: the first entry)
+  async start({ from, speed = 1 } = {}) {
+    this.speed = speed;
+    this.range = await eventLog.getTimeRange(this.canvasId);
+
+    if (!this.range) {
+      this.socket.emit('replay:end', { time: null });
+      return { startedAt: null, endedAt: null };
+    }
+
+    this.playing = true;
+    await this.seek(from ?? this.range.startedAt);
+    return this.range;
+  }
+
+  // Jump to a point in time: rebuild the canvas as it was then and continue from there
+  async seek(time) {
+    const generation = ++this.generation;
+    this._clearTimer();
+
+    const target = Math.max(time, this.range.startedAt);
+    const state = new ReplayState();
+    let cursor = null;
+
+    for (;;) {
+      const events = await eventLog.getEvents(this.canvasId, { after: cursor, until: target, limit: PAGE_SIZE });
+      if (generation !== this.generation) return;
+
+      for (const entry of events) {
+        state.apply(entry.event, entry.data);
+      }
+      // Playback continues after the last entry applied, which may be on a partial page
+      if (events.length > 0) {
+        const last = events[events.length - 1];
+        cursor = { time: last.time, id: last.id };
+      }
+      if (events.length < PAGE_SIZE) break;
+    }
+
+    this.cursor = cursor;
+    this.queue = [];
+    this._setPosition(target);
+    this.socket.emit('replay:state', { time: target, ...state.toJSON() });
+    this._emitStatus();
+
+    if (this.playing) this._scheduleNext(generation);
+  }
+
+  pause() {
+    if (!this.playing) return;
+    this._setPosition(this._currentPosition());
+    this.playing = false;
+    this.generation++;
+    this._clearTimer();
+    this._emitStatus();
+  }
+
+  resume() {
+    if (this.playing || !this.range) return;
+    this.playing = true;
+    this._setPosition(this.position);
+    this._emitStatus();
+    this._scheduleNext(++this.generation);
+  }
+
+  setSpeed(speed) {
+    this._setPosition(this._currentPosition());
+    this.speed = speed;
+    this._emitStatus();
+
+    if (this.playing) {
+      this._clearTimer();
+      this._scheduleNext(++this.generation);
+    }
+  }
+
+  stop() {
+    this.generation++;
+    this.playing = false;
+    this._clearTimer();
+  }
+
+  getStatus() {
+    return {
+      playing: this.playing,
+      speed: this.speed,
+      time: this._currentPosition(),
+      startedAt: this.range?.startedAt ?? null,
+      endedAt: this.range?.endedAt ?? null,
+    };
+  }
+
+  // Where playback is now, advancing with the wall clock while playing (never past the next entry)
+  _currentPosition() {
+    if (!this.playing) return this.position;
+
+    const elapsed = (Date.now() - this.positionSetAt) * this.speed;
+    const next = this.queue[0];
+    return next ? Math.min(this.position + elapsed, next.time) : this.position + elapsed;
+  }
+
+  _setPosition(time) {
+    this.position = time;
+    this.positionSetAt = Date.now();
+  }
+
+  async _scheduleNext(generation) {
+    if (this.queue.length === 0) {
+      let events;
+      try {
+        events = await eventLog.getEvents(this.canvasId, { after: this.cursor, limit: PAGE_SIZE });
+      } catch (error) {
+        console.error(`Failed to load replay events for canvas ${this.canvasId}:`, error);
+        this.pause();
+        this.socket.emit('replay:error', { message: 'Failed to load canvas history' });
+        return;
+      }
+      if (generation !== this.generation || !this.playing) return;
+
+      if (events.length === 0) {
+        this.playing = false;
+        this._setPosition(Math.max(this.position, this.range.endedAt));
+        this.socket.emit('replay:end', { time: this.position });
+        this._emitStatus();
+        return;
+      }
+      this.queue = events;
+      this.range.endedAt = Math.max(this.range.endedAt, events[events.length - 1].time);
+    }
+
+    const next = this.queue[0];
+    const delay = Math.max(0, (next.time - this._currentPosition()) / this.speed);
+
+    this.timer = setTimeout(() => {
+      if (generation !== this.generation || !this.playing) return;
+
+      this.queue.shift();
+      this.cursor = { time: next.time, id: next.id };
+      this._setPosition(next.time);
+      this.socket.emit('replay:event', {
+        time: next.time,
+        userId: next.userId,
+        event: next.event,
+        data: next.data,
+      });
+      this._scheduleNext(generation);
+    }, delay);
+  }
+
+  _clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _emitStatus() {
+    this.socket.emit('replay:status', this.getStatus());
+  }
+}
+
+module.exports = ReplaySession;
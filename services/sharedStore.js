@@ -0,0 +1,312 @@
+// Shared Store - state every server instance has to agree on (presence, buffered strokes, job locks)
+// Backed by Redis when REDIS_URL is set, so several instances can run behind a load balancer.
+// Without it everything lives in process memory, which only works for a single instance.
+// Values are JSON-encoded by the store, so both backends hand back copies.
+const crypto = require('crypto');
+
+const REDIS_URL = process.env.REDIS_URL;
+const REDIS_KEY_PREFIX = process.env.REDIS_KEY_PREFIX || 'canvas:';
+
+// How long an instance counts as alive without refreshing its heartbeat
+const INSTANCE_TTL_MS = 30 * 1000;
+
+const encode = (value) => JSON.stringify(value);
+const decode = (value) => (value === null || value === undefined ? null : JSON.parse(value));
+
+class SharedStore {
+  constructor() {
+    // Identifies this server process in presence entries and locks
+    this.instanceId = crypto.randomUUID();
+  }
+
+  // Run a periodic job (e.g. a cleanup) on only one instance per `interval` ms. The lock is left
+  // to expire shortly before the next run is due, so instances whose timers fire later skip it.
+  async runExclusive(name, interval, job) {
+    const acquired = await this.setIfAbsent(`lock:${name}`, this.instanceId, { ttl: Math.floor(interval * 0.9) });
+    if (!acquired) return false;
+
+    await job();
+    return true;
+  }
+}
+
+// In-process stand-in with the same interface as RedisStore
+class MemoryStore extends SharedStore {
+  constructor() {
+    super();
+    this.distributed = false;
+    this.data = new Map(); // Map<key, Map | Array | Set | string>
+    this.expiresAt = new Map(); // Map<key, timestamp>
+  }
+
+  async connect() {}
+
+  // No pub/sub needed: Socket.IO's default in-memory adapter already sees every socket
+  async createAdapter() {
+    return null;
+  }
+
+  async isAlive(instanceId) {
+    return instanceId === this.instanceId;
+  }
+
+  async get(key) {
+    return decode(this._read(key));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    this.data.set(key, encode(value));
+    this._expire(key, ttl);
+  }
+
+  // Set a key only if it doesn't exist yet. Returns whether it was set
+  async setIfAbsent(key, value, { ttl } = {}) {
+    if (this._read(key) !== undefined) return false;
+    await this.set(key, value, { ttl });
+    return true;
+  }
+
+  async del(...keys) {
+    for (const key of keys) {
+      this.data.delete(key);
+      this.expiresAt.delete(key);
+    }
+  }
+
+  async rename(key, newKey) {
+    const value = this._read(key);
+    if (value === undefined) return;
+
+    this.data.set(newKey, value);
+    await this.del(key);
+  }
+
+  async hset(key, field, value) {
+    this._container(key, Map).set(field, encode(value));
+  }
+
+  async hdel(key, ...fields) {
+    const hash = this._read(key);
+    if (!hash) return;
+
+    for (const field of fields) hash.delete(field);
+    if (hash.size === 0) await this.del(key);
+  }
+
+  async hgetall(key) {
+    const hash = this._read(key) || new Map();
+    return Object.fromEntries(Array.from(hash, ([field, value]) => [field, decode(value)]));
+  }
+
+  // Append values to a list, returning its new length
+  async rpush(key, ...values) {
+    const list = this._container(key, Array);
+    list.push(...values.map(encode));
+    return list.length;
+  }
+
+  async lrange(key) {
+    return (this._read(key) || []).map(decode);
+  }
+
+  // Remove every list entry equal to value
+  async lrem(key, value) {
+    const list = this._read(key);
+    if (!list) return;
+
+    const encoded = encode(value);
+    const remaining = list.filter(entry => entry !== encoded);
+    if (remaining.length > 0) {
+      this.data.set(key, remaining);
+    } else {
+      await this.del(key);
+    }
+  }
+
+  // Read and delete a list in one step
+  async ltake(key) {
+    const values = await this.lrange(key);
+    await this.del(key);
+    return values;
+  }
+
+  async sadd(key, member) {
+    this._container(key, Set).add(member);
+  }
+
+  async srem(key, member) {
+    const set = this._read(key);
+    if (!set) return;
+
+    set.delete(member);
+    if (set.size === 0) await this.del(key);
+  }
+
+  async smembers(key) {
+    return Array.from(this._read(key) || []);
+  }
+
+  _read(key) {
+    const expiresAt = this.expiresAt.get(key);
+    if (expiresAt !== undefined && expiresAt <= Date.now()) {
+      this.data.delete(key);
+      this.expiresAt.delete(key);
+    }
+    return this.data.get(key);
+  }
+
+  _container(key, Type) {
+    let value = this._read(key);
+    if (!value) {
+      value = new Type();
+      this.data.set(key, value);
+    }
+    return value;
+  }
+
+  _expire(key, ttl) {
+    if (ttl) {
+      this.expiresAt.set(key, Date.now() + ttl);
+    } else {
+      this.expiresAt.delete(key);
+    }
+  }
+}
+
+class RedisStore extends SharedStore {
+  constructor(url) {
+    super();
+    const { createClient } = require('redis');
+
+    this.distributed = true;
+    this.client = createClient({ url });
+    this.client.on('error', (error) => {
+      console.error('Redis error:', error);
+    });
+    this.connecting = null;
+  }
+
+  // Connect once; commands issued before the connection is up are queued by the client
+  connect() {
+    if (!this.connecting) {
+      this.connecting = this.client.connect().then(() => {
+        this._heartbeat();
+        setInterval(() => this._heartbeat(), INSTANCE_TTL_MS / 3);
+      });
+    }
+    return this.connecting;
+  }
+
+  // Socket.IO adapter that relays room broadcasts between instances over Redis pub/sub
+  async createAdapter() {
+    const { createAdapter } = require('@socket.io/redis-adapter');
+
+    const pubClient = this.client.duplicate();
+    const subClient = this.client.duplicate();
+    for (const client of [pubClient, subClient]) {
+      client.on('error', (error) => {
+        console.error('Redis adapter error:', error);
+      });
+    }
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    return createAdapter(pubClient, subClient, { key: `${REDIS_KEY_PREFIX}socket.io` });
+  }
+
+  // Whether an instance is still running (it refreshes its heartbeat while it is)
+  async isAlive(instanceId) {
+    return (await this.client.exists(this._key(`instance:${instanceId}`))) > 0;
+  }
+
+  async get(key) {
+    return decode(await this.client.get(this._key(key)));
+  }
+
+  async set(key, value, { ttl } = {}) {
+    await this.client.set(this._key(key), encode(value), ttl ? { PX: ttl } : {});
+  }
+
+  async setIfAbsent(key, value, { ttl } = {}) {
+    const result = await this.client.set(this._key(key), encode(value), { NX: true, ...(ttl && { PX: ttl }) });
+    return result === 'OK';
+  }
+
+  async del(...keys) {
+    if (keys.length > 0) {
+      await this.client.del(keys.map(key => this._key(key)));
+    }
+  }
+
+  async rename(key, newKey) {
+    try {
+      await this.client.rename(this._key(key), this._key(newKey));
+    } catch (error) {
+      // Nothing to move
+      if (!/no such key/i.test(error.message)) throw error;
+    }
+  }
+
+  async hset(key, field, value) {
+    await this.client.hSet(this._key(key), field, encode(value));
+  }
+
+  async hdel(key, ...fields) {
+    await this.client.hDel(this._key(key), fields);
+  }
+
+  async hgetall(key) {
+    const hash = await this.client.hGetAll(this._key(key));
+    return Object.fromEntries(Object.entries(hash).map(([field, value]) => [field, decode(value)]));
+  }
+
+  async rpush(key, ...values) {
+    return this.client.rPush(this._key(key), values.map(encode));
+  }
+
+  async lrange(key) {
+    return (await this.client.lRange(this._key(key), 0, -1)).map(decode);
+  }
+
+  async lrem(key, value) {
+    await this.client.lRem(this._key(key), 0, encode(value));
+  }
+
+  async ltake(key) {
+    const [values] = await this.client.multi()
+      .lRange(this._key(key), 0, -1)
+      .del(this._key(key))
+      .exec();
+    return values.map(decode);
+  }
+
+  async sadd(key, member) {
+    await this.client.sAdd(this._key(key), member);
+  }
+
+  async srem(key, member) {
+    await this.client.sRem(this._key(key), member);
+  }
+
+  async smembers(key) {
+    return this.client.sMembers(this._key(key));
+  }
+
+  async _heartbeat() {
+    try {
+      await this.set(`instance:${this.instanceId}`, Date.now(), { ttl: INSTANCE_TTL_MS });
+    } catch (error) {
+      console.error('Failed to refresh instance heartbeat:', error);
+    }
+  }
+
+  _key(key) {
+    return `${REDIS_KEY_PREFIX}${key}`;
+  }
+}
+
+// Singleton instance
+const sharedStore = REDIS_URL ? new RedisStore(REDIS_URL) : new MemoryStore();
+
+module.exports = sharedStore;
+module.exports.MemoryStore = MemoryStore;
+module.exports.RedisStore = RedisStore;
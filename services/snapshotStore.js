@@ -0,0 +1,192 @@
+// Named canvas snapshots using Prisma
+// A snapshot stores the canvas as a canvas document, so it can be previewed and restored later.
+const crypto = require('crypto');
+const prisma = require('./prisma');
+const canvasManager = require('./canvasManager');
+const sharedStore = require('./sharedStore');
+const canvasDocuments = require('./canvasDocuments');
+const { parseDocument } = canvasDocuments;
+
+const MAX_SNAPSHOT_NAME_LENGTH = 100;
+
+// Automatic snapshots: taken every SNAPSHOT_INTERVAL_MINUTES (0 disables) for canvases that changed,
+// keeping the latest SNAPSHOT_AUTO_KEEP per canvas. Manual snapshots are never pruned.
+const SNAPSHOT_INTERVAL_MINUTES = Number(process.env.SNAPSHOT_INTERVAL_MINUTES ?? 30);
+const SNAPSHOT_AUTO_KEEP = Number(process.env.SNAPSHOT_AUTO_KEEP ?? 20);
+
+const hashContent = (document) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({ layers: document.layers, shapes: document.shapes, strokes: document.strokes }))
+  .digest('hex');
+
+const toSnapshot = (snapshot) => ({
+  id: snapshot.id,
+  name: snapshot.name,
+  automatic: snapshot.automatic,
+  shapeCount: snapshot.shapeCount,
+  strokeCount: snapshot.strokeCount,
+  createdAt: snapshot.createdAt.toISOString(),
+  createdBy: snapshot.createdBy
+    ? { userId: snapshot.createdBy.id, firstName: snapshot.createdBy.firstName, lastName: snapshot.createdBy.lastName }
+    : null,
+});
+
+const createdBySelect = { select: { id: true, firstName: true, lastName: true } };
+
+class SnapshotStore {
+  // Save the canvas's current state. `skipUnchanged` skips it if the latest snapshot has the same content
+  async createSnapshot(canvasName, { name, createdById = null, automatic = false, skipUnchanged = false }) {
+    const document = await canvasDocuments.exportCanvas(canvasName);
+    const contentHash = hashContent(document);
+
+    const canvas = await prisma.canvas.findUnique({
+      where: { name: canvasName },
+    });
+
+    if (skipUnchanged) {
+      const latest = await prisma.canvasSnapshot.findFirst({
+        where: { canvasId: canvas.id },
+        orderBy: { createdAt: 'desc' },
+        select: { contentHash: true },
+      });
+      if (latest?.contentHash === contentHash) {
+        return null;
+      }
+    }
+
+    const snapshot = await prisma.canvasSnapshot.create({
+      data: {
+        canvasId: canvas.id,
+        createdById,
+        name: name.slice(0, MAX_SNAPSHOT_NAME_LENGTH),
+        automatic,
+        document: JSON.stringify(document),
+        contentHash,
+        shapeCount: document.shapes.length,
+        strokeCount: document.strokes.length,
+      },
+      include: { createdBy: createdBySelect },
+    });
+
+    if (automatic) {
+      await this._pruneAutomaticSnapshots(canvas.id);
+    }
+
+    return toSnapshot(snapshot);
+  }
+
+  // List a canvas's snapshots, newest first (without their content)
+  async getSnapshots(canvasName) {
+    const snapshots = await prisma.canvasSnapshot.findMany({
+      where: { canvas: { name: canvasName } },
+      orderBy: { createdAt: 'desc' },
+      select: {
+        id: true,
+        name: true,
+        automatic: true,
+        shapeCount: true,
+        strokeCount: true,
+        createdAt: true,
+        createdBy: createdBySelect,
+      },
+    });
+
+    return snapshots.map(toSnapshot);
+  }
+
+  // A snapshot with its canvas document, or null if it doesn't belong to the canvas
+  async getSnapshot(canvasName, snapshotId) {
+    const snapshot = await prisma.canvasSnapshot.findFirst({
+      where: { id: snapshotId, canvas: { name: canvasName } },
+      include: { createdBy: createdBySelect },
+    });
+
+    if (!snapshot) return null;
+
+    // Snapshots from older versions are upgraded like imported documents.
+    // One that can't be read is an error, not a missing snapshot
+    const { document, error } = parseDocument(JSON.parse(snapshot.document));
+    if (error) {
+      throw new Error(`Snapshot ${snapshot.id} has an unreadable document: ${error}`);
+    }
+    return { snapshot: toSnapshot(snapshot), document };
+  }
+
+  // Replace the live canvas with a snapshot. The current state is snapshotted first,
+  // so a restore can itself be undone. Returns the restored snapshot, or null if not found
+  async restoreSnapshot(canvasName, snapshotId, { restoredById }) {
+    const found = await this.getSnapshot(canvasName, snapshotId);
+    if (!found) return null;
+
+    await this.createSnapshot(canvasName, {
+      name: `Before restoring "${found.snapshot.name}"`,
+      createdById: restoredById,
+      automatic: true,
+      skipUnchanged: true,
+    });
+
+    await canvasDocuments.restoreCanvas(canvasName, found.document, { restoredById });
+    return found.snapshot;
+  }
+
+  async deleteSnapshot(canvasName, snapshotId) {
+    const result = await prisma.canvasSnapshot.deleteMany({
+      where: { id: snapshotId, canvas: { name: canvasName } },
+    });
+
+    return result.count > 0;
+  }
+
+  // Snapshot a canvas if it still exists and its content changed since its latest snapshot
+  async takeAutomaticSnapshot(canvasName) {
+    const canvas = await canvasManager.getCanvas(canvasName);
+    if (!canvas) return null;
+
+    return this.createSnapshot(canvasName, {
+      name: `Automatic snapshot ${new Date().toISOString()}`,
+      automatic: true,
+      skipUnchanged: true,
+    });
+  }
+
+  // Snapshot every canvas users are on whose content changed since its latest snapshot
+  async takeScheduledSnapshots() {
+    for (const canvasName of await canvasManager.getActiveCanvases()) {
+      try {
+        await this.takeAutomaticSnapshot(canvasName);
+      } catch (error) {
+        console.error(`Failed to snapshot canvas ${canvasName}:`, error);
+      }
+    }
+  }
+
+  async _pruneAutomaticSnapshots(canvasId) {
+    const stale = await prisma.canvasSnapshot.findMany({
+      where: { canvasId, automatic: true },
+      orderBy: { createdAt: 'desc' },
+      skip: SNAPSHOT_AUTO_KEEP,
+      select: { id: true },
+    });
+
+    if (stale.length > 0) {
+      await prisma.canvasSnapshot.deleteMany({
+        where: { id: { in: stale.map(snapshot => snapshot.id) } },
+      });
+    }
+  }
+}
+
+// Singleton instance
+const snapshotStore = new SnapshotStore();
+
+// Take automatic snapshots on the configured cadence (on one instance)
+if (SNAPSHOT_INTERVAL_MINUTES > 0) {
+  const interval = SNAPSHOT_INTERVAL_MINUTES * 60 * 1000;
+  setInterval(() => {
+    sharedStore.runExclusive('snapshots', interval, () => snapshotStore.takeScheduledSnapshots())
+      .catch(error => console.error('Scheduled snapshots failed:', error));
+  }, interval);
+}
+
+module.exports = snapshotStore;
+module.exports.MAX_SNAPSHOT_NAME_LENGTH = MAX_SNAPSHOT_NAME_LENGTH;
@@ -0,0 +1,186 @@
+// SVG export - renders persisted shapes and strokes into a standalone SVG document
+// Mirrors how the client draws the canvas: shapes layer by layer, then freehand strokes on top.
+
+// Logical canvas size used by the client; the default export area always covers it
+const CANVAS_WIDTH = 1600;
+const CANVAS_HEIGHT = 900;
+
+const DEFAULT_COLOR = '#000000';
+const DEFAULT_STROKE_WIDTH = 2;
+const FONT_SIZE = 16;
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Keep output compact without visibly changing geometry
+const num = (value) => Number((Number(value) || 0).toFixed(2));
+
+const attributes = (attrs) => Object.entries(attrs)
+  .filter(([, value]) => value !== undefined && value !== null)
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+const strokeAttributes = (color, width) => ({
+  stroke: color || DEFAULT_COLOR,
+  'stroke-width': num(width || DEFAULT_STROKE_WIDTH),
+});
+
+// Rotate a shape around its center, as `rotation` degrees
+const rotation = (shape) => {
+  if (!shape.rotation) return undefined;
+  const cx = num(shape.x + (shape.width || 0) / 2);
+  const cy = num(shape.y + (shape.height || 0) / 2);
+  return `rotate(${num(shape.rotation)} ${cx} ${cy})`;
+};
+
+const renderShape = (shape) => {
+  const x = shape.x || 0;
+  const y = shape.y || 0;
+  const width = shape.width || 0;
+  const height = shape.height || 0;
+  const common = {
+    ...strokeAttributes(shape.color, shape.strokeWidth),
+    transform: rotation(shape),
+  };
+
+  switch (shape.type) {
+    case 'rectangle':
+      return `<rect ${attributes({
+        x: num(Math.min(x, x + width)),
+        y: num(Math.min(y, y + height)),
+        width: num(Math.abs(width)),
+        height: num(Math.abs(height)),
+        fill: shape.fill || 'none',
+        ...common,
+      })}/>`;
+
+    case 'ellipse':
+      return `<ellipse ${attributes({
+        cx: num(x + width / 2),
+        cy: num(y + height / 2),
+        rx: num(Math.abs(width / 2)),
+        ry: num(Math.abs(height / 2)),
+        fill: shape.fill || 'none',
+        ...common,
+      })}/>`;
+
+    case 'line':
+      return `<line ${attributes({
+        x1: num(x), y1: num(y), x2: num(x + width), y2: num(y + height),
+        'stroke-linecap': 'round',
+        ...common,
+      })}/>`;
+
+    case 'arrow': {
+      // Shaft plus a two-segment head at the end point
+      const angle = Math.atan2(height, width);
+      const headLength = Math.max(10, (shape.strokeWidth || DEFAULT_STROKE_WIDTH) * 3);
+      const endX = x + width;
+      const endY = y + height;
+      const head = [angle - Math.PI / 6, angle + Math.PI / 6].map(a => (
+        `${num(endX - headLength * Math.cos(a))} ${num(endY - headLength * Math.sin(a))}`
+      ));
+      return `<path ${attributes({
+        d: `M ${num(x)} ${num(y)} L ${num(endX)} ${num(endY)} M ${head[0]} L ${num(endX)} ${num(endY)} L ${head[1]}`,
+        fill: 'none',
+        'stroke-linecap': 'round',
+        'stroke-linejoin': 'round',
+        ...common,
+      })}/>`;
+    }
+
+    case 'text':
+      return `<text ${attributes({
+        x: num(x),
+        y: num(y),
+        fill: shape.color || DEFAULT_COLOR,
+        'font-family': 'sans-serif',
+        'font-size': FONT_SIZE,
+        'dominant-baseline': 'hanging',
+        transform: rotation(shape),
+      })}>${escapeXml(shape.text || '')}</text>`;
+
+    default:
+      return '';
+  }
+};
+
+const renderStroke = (stroke) => {
+  const points = stroke.points || [];
+  if (!points.length) return '';
+
+  // A single point still shows up as a dot, like on the client
+  const path = points.length === 1
+    ? `M ${num(points[0].x)} ${num(points[0].y)} L ${num(points[0].x + 0.1)} ${num(points[0].y + 0.1)}`
+    : points.map((point, index) => `${index === 0 ? 'M' : 'L'} ${num(point.x)} ${num(point.y)}`).join(' ');
+
+  return `<path ${attributes({
+    d: path,
+    fill: 'none',
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round',
+    ...strokeAttributes(stroke.color, stroke.width),
+  })}/>`;
+};
+
+// Bounding box of everything drawn, padded by the stroke widths
+const contentBounds = (shapes, strokes) => {
+  const bounds = { minX: 0, minY: 0, maxX: CANVAS_WIDTH, maxY: CANVAS_HEIGHT };
+  const include = (x, y, padding) => {
+    bounds.minX = Math.min(bounds.minX, x - padding);
+    bounds.minY = Math.min(bounds.minY, y - padding);
+    bounds.maxX = Math.max(bounds.maxX, x + padding);
+    bounds.maxY = Math.max(bounds.maxY, y + padding);
+  };
+
+  for (const shape of shapes) {
+    const padding = (shape.strokeWidth || DEFAULT_STROKE_WIDTH) / 2;
+    include(shape.x || 0, shape.y || 0, padding);
+    include((shape.x || 0) + (shape.width || 0), (shape.y || 0) + (shape.height || 0), padding);
+  }
+  for (const stroke of strokes) {
+    for (const point of stroke.points || []) {
+      include(point.x, point.y, (stroke.width || DEFAULT_STROKE_WIDTH) / 2);
+    }
+  }
+
+  return {
+    x: bounds.minX,
+    y: bounds.minY,
+    width: bounds.maxX - bounds.minX,
+    height: bounds.maxY - bounds.minY,
+  };
+};
+
+// Render shapes and completed strokes into an SVG document. Shapes must be in drawing order;
+// those on hidden `layers` are left out.
+// `bbox` ({ x, y, width, height }) crops the output; by default it covers the canvas and all visible content.
+// `background` fills the exported area; without it the SVG is transparent.
+const renderCanvasSvg = ({ layers = [], shapes: allShapes, strokes }, { bbox, background } = {}) => {
+  const hiddenLayerIds = new Set(layers.filter(layer => layer.hidden).map(layer => layer.id));
+  const shapes = allShapes.filter(shape => !hiddenLayerIds.has(shape.layerId));
+  const area = bbox || contentBounds(shapes, strokes);
+  const viewBox = [area.x, area.y, area.width, area.height].map(num).join(' ');
+
+  const elements = [
+    background && `<rect ${attributes({ x: num(area.x), y: num(area.y), width: num(area.width), height: num(area.height), fill: background })}/>`,
+    ...shapes.map(renderShape),
+    ...strokes.map(renderStroke),
+  ].filter(Boolean);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" ${attributes({ width: num(area.width), height: num(area.height), viewBox })}>`,
+    ...elements.map(element => `  ${element}`),
+    '</svg>',
+    '',
+  ].join('\n');
+};
+
+module.exports = {
+  renderCanvasSvg,
+};
@@ -0,0 +1,184 @@
+// Database-backed sessions: short-lived access tokens (JWT) with rotating refresh tokens,
+// and the revocation list consulted on every authenticated request and socket handshake
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const prisma = require('./prisma');
+const sharedStore = require('./sharedStore');
+const userStore = require('./userStore');
+
+const ACCESS_TOKEN_TYPE = 'access';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS ?? 30);
+
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Only a hash of each refresh token is stored, so a database leak doesn't hand out sessions
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const tokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Returns the access token's payload, or null if it is invalid, expired or not an access token.
+// Doesn't consult the revocation list (see isRevoked)
+const verifyAccessToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === ACCESS_TOKEN_TYPE && decoded.jti && decoded.sid ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+class TokenStore {
+  // Start a new session for a user (login/registration)
+  async createSession(user) {
+    return this._issueTokens(prisma, user, crypto.randomUUID());
+  }
+
+  // Exchange a refresh token for a new access/refresh token pair, returning { user, tokens }.
+  // The presented token is used up; presenting it again means it leaked, so the whole session is revoked.
+  // Throws an error with code INVALID_REFRESH_TOKEN, REFRESH_TOKEN_REUSED or ACCOUNT_DISABLED
+  async refreshSession(refreshToken) {
+    const stored = await prisma.refreshToken.findUnique({
+      where: { tokenHash: hashToken(refreshToken) },
+    });
+
+    if (!stored || stored.expiresAt <= new Date()) {
+      throw tokenError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+
+    if (stored.revokedAt) {
+      const revokedTokenIds = await this.revokeSession(stored.sessionId);
+      const error = tokenError('REFRESH_TOKEN_REUSED', 'Refresh token has already been used');
+      error.revokedTokenIds = revokedTokenIds;
+      throw error;
+    }
+
+    // Re-read the user so the new access token reflects changes (e.g. a verified email)
+    const user = await userStore.getUserById(stored.userId);
+    if (!user) {
+      // The user was deleted since the token was read; their session can't continue
+      await this.revokeSession(stored.sessionId);
+      throw tokenError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+    }
+    if (user.disabled) {
+      throw tokenError('ACCOUNT_DISABLED', 'This account has been disabled');
+    }
+
+    const tokens = await prisma.$transaction(async (tx) => {
+      // Guard against the same token being redeemed twice at once
+      const { count } = await tx.refreshToken.updateMany({
+        where: { id: stored.id, revokedAt: null },
+        data: { revokedAt: new Date() },
+      });
+      if (count === 0) {
+        throw tokenError('INVALID_REFRESH_TOKEN', 'Invalid or expired refresh token');
+      }
+
+      return this._issueTokens(tx, user, stored.sessionId);
+    });
+
+    return { user, tokens };
+  }
+
+  // Revoke a session: its refresh tokens and every access token it issued that hasn't expired.
+  // Returns the ids of the revoked access tokens
+  async revokeSession(sessionId) {
+    return this._revoke({ sessionId });
+  }
+
+  // Revoke every session of a user ("log out all devices")
+  async revokeAllSessions(userId) {
+    return this._revoke({ userId });
+  }
+
+  async isRevoked(tokenId) {
+    const revoked = await prisma.revokedToken.findUnique({
+      where: { id: tokenId },
+      select: { id: true },
+    });
+    return revoked !== null;
+  }
+
+  // Drop refresh tokens and revocation entries for tokens that have expired anyway
+  async purgeExpired() {
+    const now = new Date();
+    await prisma.refreshToken.deleteMany({ where: { expiresAt: { lt: now } } });
+    await prisma.revokedToken.deleteMany({ where: { expiresAt: { lt: now } } });
+  }
+
+  async _revoke(where) {
+    const now = new Date();
+
+    return prisma.$transaction(async (tx) => {
+      const outstanding = await tx.refreshToken.findMany({
+        where: { ...where, accessTokenExpiresAt: { gt: now } },
+        select: { userId: true, accessTokenId: true, accessTokenExpiresAt: true },
+      });
+
+      await tx.revokedToken.createMany({
+        data: outstanding.map(token => ({
+          id: token.accessTokenId,
+          userId: token.userId,
+          expiresAt: token.accessTokenExpiresAt,
+        })),
+        skipDuplicates: true,
+      });
+
+      await tx.refreshToken.updateMany({
+        where: { ...where, revokedAt: null },
+        data: { revokedAt: now },
+      });
+
+      return outstanding.map(token => token.accessTokenId);
+    });
+  }
+
+  async _issueTokens(client, user, sessionId) {
+    const accessTokenId = crypto.randomUUID();
+    const token = jwt.sign(
+      {
+        userId: user.id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        emailVerified: user.emailVerified,
+        type: ACCESS_TOKEN_TYPE,
+        sid: sessionId
+      },
+      process.env.JWT_SECRET,
+      { expiresIn: ACCESS_TOKEN_TTL, jwtid: accessTokenId }
+    );
+
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    await client.refreshToken.create({
+      data: {
+        userId: user.id,
+        sessionId,
+        tokenHash: hashToken(refreshToken),
+        accessTokenId,
+        accessTokenExpiresAt: new Date(jwt.decode(token).exp * 1000),
+        expiresAt,
+      },
+    });
+
+    return { token, refreshToken, refreshTokenExpiresAt: expiresAt.toISOString() };
+  }
+}
+
+// Singleton instance
+const tokenStore = new TokenStore();
+
+// Purge expired entries every hour (on one instance)
+setInterval(() => {
+  sharedStore.runExclusive('token-purge', PURGE_INTERVAL_MS, () => tokenStore.purgeExpired())
+    .catch(error => console.error('Token purge failed:', error));
+}, PURGE_INTERVAL_MS);
+
+module.exports = tokenStore;
+module.exports.verifyAccessToken = verifyAccessToken;
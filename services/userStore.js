@@ -9,6 +9,7 @@ class UserStore {
         lastName,
         email: email.toLowerCase(),
         password,
+        emailVerifiedAt: null,
         lastLogin: new Date(),
       },
     });
@@ -18,6 +19,9 @@ class UserStore {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerifiedAt !== null,
+      role: user.role,
+      disabled: user.disabledAt !== null,
       password: user.password,
       createdAt: user.createdAt.toISOString(),
       lastLogin: user.lastLogin.toISOString(),
@@ -36,6 +40,9 @@ class UserStore {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerifiedAt !== null,
+      role: user.role,
+      disabled: user.disabledAt !== null,
       password: user.password,
       createdAt: user.createdAt.toISOString(),
       lastLogin: user.lastLogin.toISOString(),
@@ -54,12 +61,23 @@ class UserStore {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerifiedAt !== null,
+      role: user.role,
+      disabled: user.disabledAt !== null,
       password: user.password,
       createdAt: user.createdAt.toISOString(),
       lastLogin: user.lastLogin.toISOString(),
     };
   }
 
+  // Mark a user's email address as verified (no-op if it already is)
+  async markEmailVerified(userId) {
+    await prisma.user.updateMany({
+      where: { id: userId, emailVerifiedAt: null },
+      data: { emailVerifiedAt: new Date() },
+    });
+  }
+
   async updateLastLogin(userId) {
     await prisma.user.update({
       where: { id: userId },
@@ -67,16 +85,34 @@ class UserStore {
     });
   }
 
-  async getAllUsers() {
+  // Disable or re-enable a user's account. Returns false if the user doesn't exist
+  async setDisabled(userId, disabled) {
+    const { count } = await prisma.user.updateMany({
+      where: { id: userId },
+      data: { disabledAt: disabled ? new Date() : null },
+    });
+    return count > 0;
+  }
+
+  // List users, optionally only those whose name or email contains `search`
+  async getAllUsers({ search } = {}) {
+    const contains = { contains: search, mode: 'insensitive' };
     const users = await prisma.user.findMany({
+      where: search
+        ? { OR: [{ firstName: contains }, { lastName: contains }, { email: contains }] }
+        : undefined,
       select: {
         id: true,
         firstName: true,
         lastName: true,
         email: true,
+        emailVerifiedAt: true,
+        role: true,
+        disabledAt: true,
         createdAt: true,
         lastLogin: true,
       },
+      orderBy: { createdAt: 'asc' },
     });
 
     return users.map(user => ({
@@ -84,6 +120,9 @@ class UserStore {
       firstName: user.firstName,
       lastName: user.lastName,
       email: user.email,
+      emailVerified: user.emailVerifiedAt !== null,
+      role: user.role,
+      disabled: user.disabledAt !== null,
       createdAt: user.createdAt.toISOString(),
       lastLogin: user.lastLogin.toISOString(),
     }));
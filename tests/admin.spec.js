@@ -0,0 +1,173 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser: registerVerifiedUser } = require('./users');
+const { createCanvas } = require('./socket');
+
+// Created by `npm run db:seed`
+const ADMIN_CREDENTIALS = { email: 'admin@test.com', password: 'Password1' };
+
+const registerUser = async (request) => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(7);
+
+  const registerResponse = await request.post('/api/auth/register', {
+    data: {
+      firstName: 'Admin',
+      lastName: `Target${timestamp}`,
+      email: `admin_target_${timestamp}_${random}@example.com`,
+      password: 'testPassword123'
+    }
+  });
+
+  return registerResponse.json();
+};
+
+test.describe('Admin API', () => {
+  test('should refuse users without the admin role', async ({ request }) => {
+    const user = await registerUser(request);
+
+    for (const path of ['/api/admin/users', '/api/admin/canvases', '/api/admin/connections']) {
+      const response = await request.get(path, {
+        headers: { 'Authorization': `Bearer ${user.token}` }
+      });
+      expect(response.status()).toBe(403);
+    }
+  });
+
+  test('should require authentication', async ({ request }) => {
+    const response = await request.get('/api/admin/users');
+    expect(response.status()).toBe(401);
+  });
+
+  test.describe('as admin', () => {
+    let adminToken;
+
+    test.beforeEach(async ({ request }) => {
+      const loginResponse = await request.post('/api/auth/login', { data: ADMIN_CREDENTIALS });
+      test.skip(!loginResponse.ok(), 'Requires the seeded admin user (npm run db:seed)');
+      adminToken = (await loginResponse.json()).token;
+    });
+
+    test('should search users', async ({ request }) => {
+      const user = await registerUser(request);
+
+      const response = await request.get(`/api/admin/users?search=${encodeURIComponent(user.user.lastName)}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(response.ok()).toBeTruthy();
+
+      const { users } = await response.json();
+      expect(users).toHaveLength(1);
+      expect(users[0].email).toBe(user.user.email);
+      expect(users[0].role).toBe('user');
+      expect(users[0].password).toBeUndefined();
+    });
+
+    test('should disable a user and sign them out', async ({ request }) => {
+      const user = await registerUser(request);
+
+      const disableResponse = await request.patch(`/api/admin/users/${user.user.id}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` },
+        data: { disabled: true }
+      });
+      expect(disableResponse.ok()).toBeTruthy();
+      expect((await disableResponse.json()).user.disabled).toBe(true);
+
+      const verifyResponse = await request.get('/api/auth/verify', {
+        headers: { 'Authorization': `Bearer ${user.token}` }
+      });
+      expect(verifyResponse.status()).toBe(401);
+
+      const loginResponse = await request.post('/api/auth/login', {
+        data: { email: user.user.email, password: 'testPassword123' }
+      });
+      expect(loginResponse.status()).toBe(403);
+
+      // Re-enabled users can sign in again
+      await request.patch(`/api/admin/users/${user.user.id}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` },
+        data: { disabled: false }
+      });
+      const reloginResponse = await request.post('/api/auth/login', {
+        data: { email: user.user.email, password: 'testPassword123' }
+      });
+      expect(reloginResponse.ok()).toBeTruthy();
+    });
+
+    test('should delete a user', async ({ request }) => {
+      const user = await registerUser(request);
+
+      const deleteResponse = await request.delete(`/api/admin/users/${user.user.id}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(deleteResponse.ok()).toBeTruthy();
+
+      const loginResponse = await request.post('/api/auth/login', {
+        data: { email: user.user.email, password: 'testPassword123' }
+      });
+      expect(loginResponse.status()).toBe(401);
+
+      const secondDeleteResponse = await request.delete(`/api/admin/users/${user.user.id}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(secondDeleteResponse.status()).toBe(404);
+    });
+
+    test('should refuse to disable or delete the only owner of a canvas', async ({ request }) => {
+      const owner = await registerVerifiedUser(request);
+      const coOwner = await registerVerifiedUser(request);
+      const canvasName = await createCanvas(request, owner);
+
+      for (const send of [
+        () => request.patch(`/api/admin/users/${owner.user.id}`, { headers: { 'Authorization': `Bearer ${adminToken}` }, data: { disabled: true } }),
+        () => request.delete(`/api/admin/users/${owner.user.id}`, { headers: { 'Authorization': `Bearer ${adminToken}` } })
+      ]) {
+        const response = await send();
+        expect(response.status()).toBe(409);
+        expect((await response.json()).canvases).toEqual([canvasName]);
+      }
+
+      // With a second owner the canvas keeps someone to manage it
+      await request.post(`/api/canvases/${canvasName}/members`, {
+        headers: { 'Authorization': `Bearer ${owner.token}` },
+        data: { email: coOwner.user.email, role: 'owner' }
+      });
+      const deleteResponse = await request.delete(`/api/admin/users/${owner.user.id}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(deleteResponse.ok()).toBeTruthy();
+    });
+
+    test('should list and force-delete canvases', async ({ request }) => {
+      const canvasName = `admin-canvas-${Date.now()}`;
+      const createResponse = await request.post('/api/canvases', {
+        headers: { 'Authorization': `Bearer ${adminToken}` },
+        data: { name: canvasName }
+      });
+      expect(createResponse.status()).toBe(201);
+
+      const listResponse = await request.get('/api/admin/canvases', {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      const { canvases } = await listResponse.json();
+      expect(canvases.map(canvas => canvas.name)).toContain(canvasName);
+
+      const deleteResponse = await request.delete(`/api/admin/canvases/${encodeURIComponent(canvasName)}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(deleteResponse.ok()).toBeTruthy();
+
+      const missingResponse = await request.delete(`/api/admin/canvases/${encodeURIComponent(canvasName)}`, {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(missingResponse.status()).toBe(404);
+    });
+
+    test('should list connected users per room', async ({ request }) => {
+      const response = await request.get('/api/admin/connections', {
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      });
+      expect(response.ok()).toBeTruthy();
+      expect(Array.isArray((await response.json()).rooms)).toBe(true);
+    });
+  });
+});
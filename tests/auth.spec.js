@@ -1,4 +1,5 @@
 const { test, expect } = require('@playwright/test');
+const { readLatestMail, readMailToken } = require('./mail');
 
 test.describe('Authentication', () => {
   let testFirstName;
@@ -209,4 +210,281 @@ test.describe('Authentication', () => {
     // Password should not be returned
     expect(userData.password).toBeUndefined();
   });
+
+  test('should rotate refresh tokens and reject a reused one', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const registerData = await registerResponse.json();
+    expect(registerData.refreshToken).toBeDefined();
+
+    // Exchange the refresh token for a new pair
+    const refreshResponse = await request.post('/api/auth/refresh', {
+      data: { refreshToken: registerData.refreshToken }
+    });
+    expect(refreshResponse.ok()).toBeTruthy();
+    const refreshData = await refreshResponse.json();
+    expect(refreshData.token).toBeDefined();
+    expect(refreshData.refreshToken).not.toBe(registerData.refreshToken);
+
+    const verifyResponse = await request.get('/api/auth/verify', {
+      headers: { 'Authorization': `Bearer ${refreshData.token}` }
+    });
+    expect(verifyResponse.ok()).toBeTruthy();
+
+    // Reusing the old refresh token revokes the whole session
+    const reuseResponse = await request.post('/api/auth/refresh', {
+      data: { refreshToken: registerData.refreshToken }
+    });
+    expect(reuseResponse.status()).toBe(401);
+
+    const revokedResponse = await request.get('/api/auth/verify', {
+      headers: { 'Authorization': `Bearer ${refreshData.token}` }
+    });
+    expect(revokedResponse.status()).toBe(401);
+
+    const staleRefreshResponse = await request.post('/api/auth/refresh', {
+      data: { refreshToken: refreshData.refreshToken }
+    });
+    expect(staleRefreshResponse.status()).toBe(401);
+  });
+
+  test('should revoke the session on logout', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const { token, refreshToken } = await registerResponse.json();
+
+    const logoutResponse = await request.post('/api/auth/logout', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(logoutResponse.ok()).toBeTruthy();
+
+    const verifyResponse = await request.get('/api/auth/verify', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(verifyResponse.status()).toBe(401);
+
+    const refreshResponse = await request.post('/api/auth/refresh', {
+      data: { refreshToken }
+    });
+    expect(refreshResponse.status()).toBe(401);
+  });
+
+  test('should log out all devices', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const firstSession = await registerResponse.json();
+
+    const loginResponse = await request.post('/api/auth/login', {
+      data: { email: testEmail, password: testPassword }
+    });
+    const secondSession = await loginResponse.json();
+
+    const logoutResponse = await request.post('/api/auth/logout-all', {
+      headers: { 'Authorization': `Bearer ${secondSession.token}` }
+    });
+    expect(logoutResponse.ok()).toBeTruthy();
+
+    for (const session of [firstSession, secondSession]) {
+      const verifyResponse = await request.get('/api/auth/verify', {
+        headers: { 'Authorization': `Bearer ${session.token}` }
+      });
+      expect(verifyResponse.status()).toBe(401);
+
+      const refreshResponse = await request.post('/api/auth/refresh', {
+        data: { refreshToken: session.refreshToken }
+      });
+      expect(refreshResponse.status()).toBe(401);
+    }
+  });
+
+  test('should not reveal whether an account exists when requesting a reset', async ({ request }) => {
+    const response = await request.post('/api/auth/forgot-password', {
+      data: { email: testEmail }
+    });
+
+    expect(response.ok()).toBeTruthy();
+    const data = await response.json();
+    expect(data.message).toBe('If an account exists for that email, a reset link has been sent');
+  });
+
+  test('should limit reset requests per address whether or not it is registered', async ({ request }) => {
+    await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+
+    for (const email of [testEmail, `unknown_${testEmail}`]) {
+      const firstResponse = await request.post('/api/auth/forgot-password', { data: { email } });
+      expect(firstResponse.ok()).toBeTruthy();
+
+      const secondResponse = await request.post('/api/auth/forgot-password', { data: { email: email.toUpperCase() } });
+      expect(secondResponse.status()).toBe(429);
+    }
+  });
+
+  test('should reset the password with the emailed link', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const session = await registerResponse.json();
+
+    const forgotResponse = await request.post('/api/auth/forgot-password', {
+      data: { email: testEmail }
+    });
+    expect(forgotResponse.ok()).toBeTruthy();
+
+    // The link is sent after the response
+    await expect.poll(() => readMailToken(testEmail, 'reset-password')).toBeDefined();
+    const resetToken = readMailToken(testEmail, 'reset-password');
+
+    const newPassword = 'newPassword456';
+    const resetResponse = await request.post('/api/auth/reset-password', {
+      data: { token: resetToken, password: newPassword }
+    });
+    expect(resetResponse.ok()).toBeTruthy();
+
+    // The link only works once
+    const reuseResponse = await request.post('/api/auth/reset-password', {
+      data: { token: resetToken, password: 'anotherPassword789' }
+    });
+    expect(reuseResponse.status()).toBe(400);
+
+    // Sessions from before the reset are revoked
+    const verifyResponse = await request.get('/api/auth/verify', {
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+    expect(verifyResponse.status()).toBe(401);
+
+    const oldLoginResponse = await request.post('/api/auth/login', {
+      data: { email: testEmail, password: testPassword }
+    });
+    expect(oldLoginResponse.status()).toBe(401);
+
+    const loginResponse = await request.post('/api/auth/login', {
+      data: { email: testEmail, password: newPassword }
+    });
+    expect(loginResponse.ok()).toBeTruthy();
+  });
+
+  test('should register users as unverified and email a verification link', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const session = await registerResponse.json();
+    expect(session.user.emailVerified).toBe(false);
+
+    const mail = readLatestMail(testEmail);
+    expect(mail).toBeDefined();
+    expect(mail.subject).toContain('Verify');
+
+    // Unverified users can't create canvases
+    const createResponse = await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${session.token}` },
+      data: { name: `unverified-${Date.now()}` }
+    });
+    expect(createResponse.status()).toBe(403);
+    expect((await createResponse.json()).code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  test('should verify the email with the emailed link', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const session = await registerResponse.json();
+
+    const verifyResponse = await request.post('/api/auth/verify-email', {
+      data: { token: readMailToken(testEmail, 'verify-email') }
+    });
+    expect(verifyResponse.ok()).toBeTruthy();
+
+    const meResponse = await request.get('/api/auth/me', {
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+    expect((await meResponse.json()).emailVerified).toBe(true);
+
+    // The refreshed token carries the verified status
+    const refreshResponse = await request.post('/api/auth/refresh', {
+      data: { refreshToken: session.refreshToken }
+    });
+    const refreshed = await refreshResponse.json();
+    expect(refreshed.user.emailVerified).toBe(true);
+
+    const createResponse = await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${refreshed.token}` },
+      data: { name: `verified-${Date.now()}` }
+    });
+    expect(createResponse.status()).toBe(201);
+
+    // Nothing left to resend
+    const resendResponse = await request.post('/api/auth/resend-verification', {
+      headers: { 'Authorization': `Bearer ${refreshed.token}` }
+    });
+    expect(resendResponse.status()).toBe(400);
+  });
+
+  test('should reject invalid verification links', async ({ request }) => {
+    const response = await request.post('/api/auth/verify-email', {
+      data: { token: 'not-a-real-token' }
+    });
+    expect(response.status()).toBe(400);
+  });
+
+  test('should resend the verification link with a cooldown', async ({ request }) => {
+    const registerResponse = await request.post('/api/auth/register', {
+      data: {
+        firstName: testFirstName,
+        lastName: testLastName,
+        email: testEmail,
+        password: testPassword
+      }
+    });
+    const session = await registerResponse.json();
+
+    const resendResponse = await request.post('/api/auth/resend-verification', {
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+    expect(resendResponse.ok()).toBeTruthy();
+
+    const secondResponse = await request.post('/api/auth/resend-verification', {
+      headers: { 'Authorization': `Bearer ${session.token}` }
+    });
+    expect(secondResponse.status()).toBe(429);
+  });
 });
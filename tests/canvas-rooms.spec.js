@@ -0,0 +1,70 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+
+test.describe('Multiple canvases per connection', () => {
+  let user;
+  let other;
+  let ownCanvas;
+  let sharedCanvas;
+  let socket;
+  let otherSocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    user = await registerUser(request);
+    other = await registerUser(request);
+    ownCanvas = await createCanvas(request, user);
+    // `user` may only watch the other user's canvas
+    sharedCanvas = await createCanvas(request, other, [[user, 'viewer']]);
+
+    socket = await connectSocket(baseURL, user);
+    otherSocket = await connectSocket(baseURL, other);
+    await joinCanvas(otherSocket, sharedCanvas);
+  });
+
+  test.afterEach(() => {
+    socket?.disconnect();
+    otherSocket?.disconnect();
+  });
+
+  test('should check the target canvas and the role held there', async () => {
+    await joinCanvas(socket, ownCanvas);
+    await joinCanvas(socket, sharedCanvas);
+
+    const untargeted = await socket.emitWithAck('shape:add', { type: 'rectangle', x: 0, y: 0 });
+    expect(untargeted.error).toMatchObject({ code: 'NOT_JOINED', message: 'Specify the target canvas' });
+
+    const own = await socket.emitWithAck('shape:add', { canvas: ownCanvas, type: 'rectangle', x: 0, y: 0 });
+    expect(own.ok).toBe(true);
+
+    const shared = await socket.emitWithAck('shape:add', { canvas: sharedCanvas, type: 'rectangle', x: 0, y: 0 });
+    expect(shared.error).toMatchObject({ canvas: sharedCanvas, code: 'FORBIDDEN' });
+
+    // Events from both canvases arrive, each naming its canvas
+    const added = nextEvent(socket, 'shape:add');
+    await otherSocket.emitWithAck('shape:add', { canvas: sharedCanvas, type: 'ellipse', x: 5, y: 5 });
+    expect((await added).canvas).toBe(sharedCanvas);
+  });
+
+  test('should stop delivering a canvas\'s events after canvas:leave', async () => {
+    await joinCanvas(socket, ownCanvas);
+    await joinCanvas(socket, sharedCanvas);
+
+    const left = nextEvent(otherSocket, 'user:left');
+    const response = await socket.emitWithAck('canvas:leave', sharedCanvas);
+    expect(response).toEqual({ ok: true, canvas: sharedCanvas });
+    expect((await left).userId).toBe(user.user.id);
+
+    const received = collectEvents(socket, 'shape:add');
+    await otherSocket.emitWithAck('shape:add', { canvas: sharedCanvas, type: 'ellipse', x: 5, y: 5 });
+    await settle();
+    expect(received).toEqual([]);
+
+    const again = await socket.emitWithAck('canvas:leave', sharedCanvas);
+    expect(again.error).toMatchObject({ code: 'NOT_JOINED' });
+
+    // With one canvas left, events may leave out their target
+    const untargeted = await socket.emitWithAck('shape:add', { type: 'rectangle', x: 0, y: 0 });
+    expect(untargeted.ok).toBe(true);
+  });
+});
@@ -0,0 +1,642 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { connectSocket, nextEvent, joinCanvas } = require('./socket');
+const canvasManager = require('../services/canvasManager');
+const prisma = require('../services/prisma');
+
+test.describe('Canvases API', () => {
+  let token;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    // Register a fresh user and generate a unique canvas name for each test
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    const registerData = await registerUser(request);
+    token = registerData.token;
+  });
+
+  test('should require authentication', async ({ request }) => {
+    const response = await request.get('/api/canvases');
+    expect(response.status()).toBe(401);
+  });
+
+  test('should create a canvas and list it', async ({ request }) => {
+    const createResponse = await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    expect(createResponse.status()).toBe(201);
+    const createData = await createResponse.json();
+    expect(createData.canvas.name).toBe(canvasName);
+    expect(createData.canvas.shapeCount).toBe(0);
+    expect(createData.canvas.userCount).toBe(0);
+
+    const listResponse = await request.get('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    expect(listResponse.ok()).toBeTruthy();
+    const listData = await listResponse.json();
+    const listed = listData.canvases.find(c => c.name === canvasName);
+    expect(listed).toBeDefined();
+    expect(listed.id).toBe(createData.canvas.id);
+    expect(listed.role).toBe('owner');
+  });
+
+  test('should fail to create a canvas with an existing name', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    const duplicateResponse = await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    expect(duplicateResponse.status()).toBe(409);
+    const data = await duplicateResponse.json();
+    expect(data.error).toBe('Canvas already exists');
+  });
+
+  test('should return canvas state', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    expect(stateResponse.ok()).toBeTruthy();
+    const state = await stateResponse.json();
+    expect(state.shapes).toEqual([]);
+    expect(state.drawEvents).toEqual([]);
+    expect(state.users).toEqual([]);
+    expect(state.lastModified).toBeDefined();
+  });
+
+  test('should export a canvas as SVG', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    const exportResponse = await request.get(`/api/canvases/${canvasName}/export.svg?bbox=0,0,800,600&background=%23ffffff`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    expect(exportResponse.ok()).toBeTruthy();
+    expect(exportResponse.headers()['content-type']).toContain('image/svg+xml');
+    const svg = await exportResponse.text();
+    expect(svg).toContain('viewBox="0 0 800 600"');
+    expect(svg).toContain('fill="#ffffff"');
+
+    const invalidResponse = await request.get(`/api/canvases/${canvasName}/export.svg?bbox=0,0,-1,10`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(invalidResponse.status()).toBe(400);
+  });
+
+  test('should rename and delete a canvas', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    const newName = `${canvasName}-renamed`;
+    const renameResponse = await request.patch(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: newName }
+    });
+
+    expect(renameResponse.ok()).toBeTruthy();
+    const renameData = await renameResponse.json();
+    expect(renameData.canvas.name).toBe(newName);
+
+    const oldStateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(oldStateResponse.status()).toBe(404);
+
+    const deleteResponse = await request.delete(`/api/canvases/${newName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(deleteResponse.ok()).toBeTruthy();
+
+    const deletedStateResponse = await request.get(`/api/canvases/${newName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(deletedStateResponse.status()).toBe(404);
+  });
+
+  test('should only clean up old canvases that nobody owns', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+    const ownerless = await prisma.canvas.create({ data: { name: `${canvasName}-ownerless` } });
+
+    await canvasManager.cleanupOldCanvases(0);
+
+    const ownedResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(ownedResponse.ok()).toBeTruthy();
+    expect(await prisma.canvas.findUnique({ where: { id: ownerless.id } })).toBeNull();
+  });
+});
+
+test.describe('Canvas Members API', () => {
+  let owner;
+  let member;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    owner = await registerUser(request);
+    member = await registerUser(request);
+
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: canvasName }
+    });
+  });
+
+  test('should deny access to non-members', async ({ request }) => {
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${member.token}` }
+    });
+
+    expect(stateResponse.status()).toBe(403);
+    const data = await stateResponse.json();
+    expect(data.error).toBe('You are not a member of this canvas');
+  });
+
+  test('should add a member, change their role and remove them', async ({ request }) => {
+    const addResponse = await request.post(`/api/canvases/${canvasName}/members`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { email: member.user.email, role: 'viewer' }
+    });
+
+    expect(addResponse.status()).toBe(201);
+    const addData = await addResponse.json();
+    expect(addData.member.userId).toBe(member.user.id);
+    expect(addData.member.role).toBe('viewer');
+
+    // Viewers can read the canvas but not manage it
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${member.token}` }
+    });
+    expect(stateResponse.ok()).toBeTruthy();
+
+    const deleteAsViewerResponse = await request.delete(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${member.token}` }
+    });
+    expect(deleteAsViewerResponse.status()).toBe(403);
+
+    const updateResponse = await request.patch(`/api/canvases/${canvasName}/members/${member.user.id}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { role: 'editor' }
+    });
+    expect(updateResponse.ok()).toBeTruthy();
+
+    const membersResponse = await request.get(`/api/canvases/${canvasName}/members`, {
+      headers: { 'Authorization': `Bearer ${member.token}` }
+    });
+    const membersData = await membersResponse.json();
+    expect(membersData.members.find(m => m.userId === member.user.id).role).toBe('editor');
+    expect(membersData.members.find(m => m.userId === owner.user.id).role).toBe('owner');
+
+    const removeResponse = await request.delete(`/api/canvases/${canvasName}/members/${member.user.id}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(removeResponse.ok()).toBeTruthy();
+
+    const removedStateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${member.token}` }
+    });
+    expect(removedStateResponse.status()).toBe(403);
+  });
+
+  test('should not allow removing the last owner', async ({ request }) => {
+    const demoteResponse = await request.patch(`/api/canvases/${canvasName}/members/${owner.user.id}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { role: 'editor' }
+    });
+
+    expect(demoteResponse.status()).toBe(400);
+    const data = await demoteResponse.json();
+    expect(data.error).toBe('A canvas must have at least one owner');
+  });
+});
+
+test.describe('Canvas Documents API', () => {
+  let token;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    const registerData = await registerUser(request);
+    token = registerData.token;
+  });
+
+  test('should export a canvas document and import it as a new canvas', async ({ request }) => {
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName }
+    });
+
+    const exportResponse = await request.get(`/api/canvases/${canvasName}/export.json`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+
+    expect(exportResponse.ok()).toBeTruthy();
+    const document = await exportResponse.json();
+    expect(document.format).toBe('canvas-document');
+    expect(document.version).toBe(3);
+    expect(document.canvas.name).toBe(canvasName);
+    expect(document.layers).toHaveLength(1);
+    expect(document.layers[0].name).toBe('Layer 1');
+
+    const importedName = `${canvasName}-copy`;
+    const importResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: {
+        name: importedName,
+        document: {
+          ...document,
+          shapes: [{ type: 'rectangle', x: 10, y: 20, width: 30, height: 40, color: '#ff0000' }]
+        }
+      }
+    });
+
+    expect(importResponse.status()).toBe(201);
+    const importData = await importResponse.json();
+    expect(importData.canvas.name).toBe(importedName);
+    expect(importData.canvas.shapeCount).toBe(1);
+
+    const duplicateResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: importedName, document }
+    });
+    expect(duplicateResponse.status()).toBe(409);
+  });
+
+  test('should take the names of existing authors from the database on import', async ({ request }) => {
+    const importer = await registerUser(request);
+    const author = await registerUser(request);
+    const importResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${importer.token}` },
+      data: {
+        name: canvasName,
+        document: {
+          format: 'canvas-document',
+          version: 3,
+          users: [
+            { id: author.user.id, firstName: 'Forged', lastName: 'Name' },
+            { id: 'unknown-user', firstName: 'Guest', lastName: 'Artist' }
+          ],
+          layers: [{ name: 'Layer 1' }],
+          shapes: [
+            { userId: author.user.id, type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+            { userId: 'unknown-user', type: 'ellipse', x: 5, y: 5, width: 10, height: 10 }
+          ],
+          strokes: []
+        }
+      }
+    });
+    expect(importResponse.status()).toBe(201);
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${importer.token}` }
+    });
+    const { shapes } = await stateResponse.json();
+    expect(shapes).toMatchObject([
+      { userId: author.user.id, firstName: author.user.firstName, lastName: author.user.lastName },
+      { userId: importer.user.id, firstName: 'Guest', lastName: 'Artist' }
+    ]);
+  });
+
+  test('should upgrade a version 1 document', async ({ request }) => {
+    const importResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: {
+        name: canvasName,
+        document: {
+          shapes: [{ id: 'old-shape', userId: 'unknown-user', type: 'ellipse', x: 0, y: 0, width: 10, height: 10 }],
+          drawEvents: [{ strokeId: 'old-stroke', userId: 'unknown-user', x: 5, y: 5, color: '#000000' }]
+        }
+      }
+    });
+
+    expect(importResponse.status()).toBe(201);
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const state = await stateResponse.json();
+    expect(state.shapes).toHaveLength(1);
+    expect(state.shapes[0].id).not.toBe('old-shape');
+    expect(state.drawEvents).toHaveLength(1);
+    expect(state.drawEvents[0].points).toEqual([{ x: 5, y: 5 }]);
+  });
+
+  test('should upgrade a version 2 document onto a single layer', async ({ request }) => {
+    const importResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: {
+        name: canvasName,
+        document: {
+          format: 'canvas-document',
+          version: 2,
+          shapes: [
+            { type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+            { type: 'ellipse', x: 5, y: 5, width: 10, height: 10 }
+          ],
+          strokes: []
+        }
+      }
+    });
+
+    expect(importResponse.status()).toBe(201);
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    const state = await stateResponse.json();
+    expect(state.layers).toHaveLength(1);
+    expect(state.shapes.map(shape => shape.type)).toEqual(['rectangle', 'ellipse']);
+    expect(state.shapes.every(shape => shape.layerId === state.layers[0].id)).toBeTruthy();
+  });
+
+  test('should reject invalid documents without creating the canvas', async ({ request }) => {
+    const invalidResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: {
+        name: canvasName,
+        document: { format: 'canvas-document', version: 2, shapes: [{ type: 'hexagon', x: 0, y: 0 }], strokes: [] }
+      }
+    });
+
+    expect(invalidResponse.status()).toBe(400);
+    const data = await invalidResponse.json();
+    expect(data.error).toBe('Invalid canvas document');
+    expect(data.errors[0].path).toBe('document.shapes[0].type');
+
+    const newerResponse = await request.post('/api/canvases/import', {
+      headers: { 'Authorization': `Bearer ${token}` },
+      data: { name: canvasName, document: { format: 'canvas-document', version: 99 } }
+    });
+    expect(newerResponse.status()).toBe(400);
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    });
+    expect(stateResponse.status()).toBe(404);
+  });
+});
+
+test.describe('Canvas Snapshots API', () => {
+  let owner;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    owner = await registerUser(request);
+
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: canvasName }
+    });
+  });
+
+  test('should save, list, preview and restore a snapshot', async ({ request }) => {
+    const createResponse = await request.post(`/api/canvases/${canvasName}/snapshots`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: 'Empty canvas' }
+    });
+
+    expect(createResponse.status()).toBe(201);
+    const { snapshot } = await createResponse.json();
+    expect(snapshot.name).toBe('Empty canvas');
+    expect(snapshot.automatic).toBe(false);
+    expect(snapshot.createdBy.userId).toBe(owner.user.id);
+
+    const listResponse = await request.get(`/api/canvases/${canvasName}/snapshots`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    const listData = await listResponse.json();
+    expect(listData.snapshots.map(s => s.id)).toContain(snapshot.id);
+
+    const previewResponse = await request.get(`/api/canvases/${canvasName}/snapshots/${snapshot.id}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(previewResponse.ok()).toBeTruthy();
+    const previewData = await previewResponse.json();
+    expect(previewData.document.format).toBe('canvas-document');
+    expect(previewData.document.shapes).toEqual([]);
+
+    const restoreResponse = await request.post(`/api/canvases/${canvasName}/snapshots/${snapshot.id}/restore`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(restoreResponse.ok()).toBeTruthy();
+  });
+
+  test('should release selections and clear undo history when restoring', async ({ request, baseURL }) => {
+    const editor = await registerUser(request);
+    await request.post(`/api/canvases/${canvasName}/members`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { email: editor.user.email, role: 'editor' }
+    });
+    const ownerSocket = await connectSocket(baseURL, owner);
+    const editorSocket = await connectSocket(baseURL, editor);
+
+    try {
+      await joinCanvas(ownerSocket, canvasName);
+      await joinCanvas(editorSocket, canvasName);
+      const shape = await ownerSocket.emitWithAck('shape:add', { canvas: canvasName, type: 'rectangle', x: 0, y: 0 });
+
+      const createResponse = await request.post(`/api/canvases/${canvasName}/snapshots`, {
+        headers: { 'Authorization': `Bearer ${owner.token}` },
+        data: { name: 'One shape' }
+      });
+      const { snapshot } = await createResponse.json();
+
+      const selected = await editorSocket.emitWithAck('shape:select', { canvas: canvasName, shapeId: shape.id });
+      expect(selected.ok).toBe(true);
+
+      const state = nextEvent(ownerSocket, 'canvas:state');
+      const status = nextEvent(ownerSocket, 'history:status');
+      const restoreResponse = await request.post(`/api/canvases/${canvasName}/snapshots/${snapshot.id}/restore`, {
+        headers: { 'Authorization': `Bearer ${owner.token}` }
+      });
+      expect(restoreResponse.ok()).toBeTruthy();
+
+      const restored = await state;
+      expect(restored.shapes.map(s => s.id)).toEqual([shape.id]);
+      expect(restored.selections).toEqual([]);
+      expect(await status).toEqual({ canvas: canvasName, canUndo: false, canRedo: false });
+
+      // The editor's lock is gone, so the owner can select the shape
+      const ownerSelected = await ownerSocket.emitWithAck('shape:select', { canvas: canvasName, shapeId: shape.id });
+      expect(ownerSelected.ok).toBe(true);
+    } finally {
+      ownerSocket.disconnect();
+      editorSocket.disconnect();
+    }
+  });
+
+  test('should return 404 for unknown snapshots', async ({ request }) => {
+    const response = await request.get(`/api/canvases/${canvasName}/snapshots/unknown`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(response.status()).toBe(404);
+  });
+
+  test('should require a snapshot name', async ({ request }) => {
+    const response = await request.post(`/api/canvases/${canvasName}/snapshots`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: '  ' }
+    });
+    expect(response.status()).toBe(400);
+  });
+});
+
+test.describe('Canvas Chat API', () => {
+  let owner;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    owner = await registerUser(request);
+
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: canvasName }
+    });
+  });
+
+  test('should return an empty message history for a new canvas', async ({ request }) => {
+    const response = await request.get(`/api/canvases/${canvasName}/messages`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+
+    expect(response.ok()).toBeTruthy();
+    const data = await response.json();
+    expect(data.messages).toEqual([]);
+    expect(data.nextCursor).toBeNull();
+  });
+
+  test('should reject an invalid cursor or limit', async ({ request }) => {
+    const cursorResponse = await request.get(`/api/canvases/${canvasName}/messages?before=unknown`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(cursorResponse.status()).toBe(400);
+
+    const limitResponse = await request.get(`/api/canvases/${canvasName}/messages?limit=1000`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(limitResponse.status()).toBe(400);
+  });
+
+  test('should deny message history to non-members', async ({ request }) => {
+    const outsider = await registerUser(request);
+
+    const response = await request.get(`/api/canvases/${canvasName}/messages`, {
+      headers: { 'Authorization': `Bearer ${outsider.token}` }
+    });
+    expect(response.status()).toBe(403);
+  });
+});
+
+test.describe('Canvas Invites API', () => {
+  let owner;
+  let invitee;
+  let canvasName;
+
+  test.beforeEach(async ({ request }) => {
+    const timestamp = Date.now();
+    const random = Math.random().toString(36).substring(7);
+    canvasName = `test-canvas-${timestamp}-${random}`;
+
+    owner = await registerUser(request);
+    invitee = await registerUser(request);
+
+    await request.post('/api/canvases', {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { name: canvasName }
+    });
+  });
+
+  test('should accept an invite and grant its role', async ({ request }) => {
+    const createResponse = await request.post(`/api/canvases/${canvasName}/invites`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { role: 'viewer', expiresInHours: 1, maxUses: 1 }
+    });
+
+    expect(createResponse.status()).toBe(201);
+    const { invite } = await createResponse.json();
+    expect(invite.role).toBe('viewer');
+    expect(invite.url).toContain(`/invite/${invite.token}`);
+
+    const acceptResponse = await request.post(`/api/invites/${invite.token}/accept`, {
+      headers: { 'Authorization': `Bearer ${invitee.token}` }
+    });
+
+    expect(acceptResponse.ok()).toBeTruthy();
+    const acceptData = await acceptResponse.json();
+    expect(acceptData.canvas.name).toBe(canvasName);
+    expect(acceptData.role).toBe('viewer');
+
+    const stateResponse = await request.get(`/api/canvases/${canvasName}`, {
+      headers: { 'Authorization': `Bearer ${invitee.token}` }
+    });
+    expect(stateResponse.ok()).toBeTruthy();
+
+    // The single use is spent, so the invite is no longer outstanding
+    const listResponse = await request.get(`/api/canvases/${canvasName}/invites`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    const listData = await listResponse.json();
+    expect(listData.invites.find(i => i.id === invite.id)).toBeUndefined();
+  });
+
+  test('should reject a revoked invite', async ({ request }) => {
+    const createResponse = await request.post(`/api/canvases/${canvasName}/invites`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` },
+      data: { role: 'editor' }
+    });
+    const { invite } = await createResponse.json();
+
+    const revokeResponse = await request.delete(`/api/canvases/${canvasName}/invites/${invite.id}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(revokeResponse.ok()).toBeTruthy();
+
+    const acceptResponse = await request.post(`/api/invites/${invite.token}/accept`, {
+      headers: { 'Authorization': `Bearer ${invitee.token}` }
+    });
+
+    expect(acceptResponse.status()).toBe(410);
+    const data = await acceptResponse.json();
+    expect(data.error).toBe('Invite link is invalid or has expired');
+  });
+});
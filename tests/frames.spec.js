@@ -0,0 +1,146 @@
+const { test, expect } = require('@playwright/test');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+
+test.describe('Canvas frames', () => {
+  let owner;
+  let editor;
+  let viewer;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+  let viewerSocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    viewer = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor'], [viewer, 'viewer']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+    viewerSocket = await connectSocket(baseURL, viewer);
+    for (const socket of [ownerSocket, editorSocket, viewerSocket]) {
+      await joinCanvas(socket, canvas);
+    }
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+    viewerSocket?.disconnect();
+  });
+
+  test('should send only the latest cursor position per tick', async () => {
+    const frames = collectEvents(viewerSocket, 'canvas:frame');
+    for (let x = 1; x <= 20; x++) {
+      ownerSocket.emit('cursor:move', { canvas, x, y: 0 });
+    }
+    await settle();
+
+    const cursors = frames.flatMap(frame => frame.cursors).filter(cursor => cursor.userId === owner.user.id);
+    expect(cursors.length).toBeGreaterThan(0);
+    expect(cursors.length).toBeLessThan(20);
+    expect(cursors[cursors.length - 1]).toMatchObject({ x: 20, y: 0 });
+  });
+
+  test('should keep the points of strokes with the same id apart by user', async () => {
+    const frames = collectEvents(viewerSocket, 'canvas:frame');
+    const ended = Promise.all([
+      nextEvent(viewerSocket, 'draw:end', data => data.userId === owner.user.id),
+      nextEvent(viewerSocket, 'draw:end', data => data.userId === editor.user.id)
+    ]);
+
+    for (const [socket, y] of [[ownerSocket, 0], [editorSocket, 100]]) {
+      socket.emit('draw:start', { canvas, strokeId: 'shared-stroke', x: 0, y, color: '#000000', width: 2 });
+    }
+    for (let x = 1; x <= 3; x++) {
+      ownerSocket.emit('draw:move', { canvas, strokeId: 'shared-stroke', x, y: 0 });
+      editorSocket.emit('draw:move', { canvas, strokeId: 'shared-stroke', x, y: 100 });
+    }
+    // Let the points go out with the regular ticks rather than the flush before each draw:end
+    await settle();
+    ownerSocket.emit('draw:end', { canvas, strokeId: 'shared-stroke' });
+    editorSocket.emit('draw:end', { canvas, strokeId: 'shared-stroke' });
+    await ended;
+
+    const pointsOf = (userId) => frames
+      .flatMap(frame => frame.strokes)
+      .filter(stroke => stroke.userId === userId && stroke.strokeId === 'shared-stroke')
+      .flatMap(stroke => stroke.points);
+    expect(pointsOf(owner.user.id)).toEqual([{ x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]);
+    expect(pointsOf(editor.user.id)).toEqual([{ x: 1, y: 100 }, { x: 2, y: 100 }, { x: 3, y: 100 }]);
+  });
+
+  test('should not echo a connection\'s own cursor and stroke points back to it', async () => {
+    const ownerFrames = collectEvents(ownerSocket, 'canvas:frame');
+    const editorFrames = collectEvents(editorSocket, 'canvas:frame');
+    ownerSocket.emit('cursor:move', { canvas, x: 1, y: 1 });
+    ownerSocket.emit('draw:start', { canvas, strokeId: 'own-stroke', x: 0, y: 0, color: '#000000', width: 2 });
+    ownerSocket.emit('draw:move', { canvas, strokeId: 'own-stroke', x: 1, y: 0 });
+    editorSocket.emit('cursor:move', { canvas, x: 2, y: 2 });
+    await settle();
+
+    const sendersIn = (frames) => new Set(frames.flatMap(frame => [...frame.cursors, ...frame.strokes]).map(entry => entry.userId));
+    expect([...sendersIn(ownerFrames)]).toEqual([editor.user.id]);
+    expect([...sendersIn(editorFrames)]).toEqual([owner.user.id]);
+    expect(editorFrames.flatMap(frame => frame.strokes)).toMatchObject([{ strokeId: 'own-stroke', points: [{ x: 1, y: 0 }] }]);
+  });
+
+  // Completed strokes in the canvas state with the given id
+  const savedStrokes = async (request, strokeId) => {
+    const response = await request.get(`/api/canvases/${canvas}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    const { drawEvents } = await response.json();
+    return drawEvents.filter(stroke => stroke.strokeId === strokeId);
+  };
+
+  const drawPoints = (socket, strokeId) => {
+    socket.emit('draw:start', { canvas, strokeId, x: 0, y: 0, color: '#000000', width: 2 });
+    for (let x = 1; x <= 3; x++) {
+      socket.emit('draw:move', { canvas, strokeId, x, y: 0 });
+    }
+  };
+
+  test('should save a finished stroke as one record with all its points', async ({ request }) => {
+    const ended = nextEvent(viewerSocket, 'draw:end', data => data.userId === owner.user.id);
+    drawPoints(ownerSocket, 'saved-stroke');
+    ownerSocket.emit('draw:end', { canvas, strokeId: 'saved-stroke' });
+    await ended;
+
+    await expect.poll(() => savedStrokes(request, 'saved-stroke')).toMatchObject([{
+      userId: owner.user.id,
+      points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]
+    }]);
+  });
+
+  test('should close out the open stroke of a connection that drops', async ({ request }) => {
+    drawPoints(editorSocket, 'dropped-stroke');
+    await settle();
+
+    const ended = nextEvent(viewerSocket, 'draw:end', data => data.userId === editor.user.id);
+    editorSocket.disconnect();
+    expect(await ended).toMatchObject({ canvas, strokeId: 'dropped-stroke' });
+
+    await expect.poll(() => savedStrokes(request, 'dropped-stroke')).toMatchObject([{
+      userId: editor.user.id,
+      points: [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 3, y: 0 }]
+    }]);
+    expect((await joinCanvas(viewerSocket, canvas)).activeStrokes).toEqual([]);
+  });
+});
+
+test('should fall back to the default tick rate when FRAME_TICK_RATE is not a positive number', () => {
+  for (const value of ['fast', '0']) {
+    const result = spawnSync(process.execPath, ['-e', 'console.log(JSON.stringify(require("./services/frameBroadcaster").TICK_RATE))'], {
+      cwd: path.join(__dirname, '..'),
+      env: { ...process.env, FRAME_TICK_RATE: value },
+      encoding: 'utf8',
+      timeout: 10000
+    });
+    expect(JSON.parse(result.stdout)).toBe(30);
+  }
+});
@@ -0,0 +1,124 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, joinCanvas } = require('./socket');
+
+// Draw a short stroke and wait until it is in the drawer's undo history
+const drawStroke = async (socket, canvas, strokeId) => {
+  const recorded = nextEvent(socket, 'history:status', status => status.canvas === canvas && status.canUndo);
+  socket.emit('draw:start', { canvas, strokeId, x: 10, y: 10, color: '#000000', width: 2 });
+  socket.emit('draw:move', { canvas, strokeId, x: 20, y: 20 });
+  socket.emit('draw:end', { canvas, strokeId });
+  await recorded;
+};
+
+test.describe('Undo/redo', () => {
+  let owner;
+  let editor;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+    await joinCanvas(ownerSocket, canvas);
+    await joinCanvas(editorSocket, canvas);
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  const getState = async (request, user) => {
+    const response = await request.get(`/api/canvases/${canvas}`, {
+      headers: { 'Authorization': `Bearer ${user.token}` }
+    });
+    return response.json();
+  };
+
+  test('should only undo the user\'s own shape operations', async ({ request }) => {
+    const ownerShape = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 10, y: 10, width: 50, height: 50 });
+    const editorShape = await editorSocket.emitWithAck('shape:add', { canvas, type: 'ellipse', x: 100, y: 100, width: 50, height: 50 });
+    expect(ownerShape.ok).toBe(true);
+    expect(editorShape.ok).toBe(true);
+
+    // The owner's last operation is theirs, even though the editor acted after it
+    const deleted = nextEvent(editorSocket, 'shape:delete');
+    ownerSocket.emit('history:undo', { canvas });
+    expect((await deleted).shapeId).toBe(ownerShape.id);
+
+    const state = await getState(request, owner);
+    expect(state.shapes.map(shape => shape.id)).toEqual([editorShape.id]);
+
+    const restored = nextEvent(editorSocket, 'shape:add');
+    ownerSocket.emit('history:redo', { canvas });
+    expect((await restored).id).toBe(ownerShape.id);
+  });
+
+  test('should clear the redo stack when a new operation is recorded', async ({ request }) => {
+    await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 10, y: 10, width: 50, height: 50 });
+
+    const undone = nextEvent(ownerSocket, 'history:status', status => status.canRedo);
+    ownerSocket.emit('history:undo', { canvas });
+    await undone;
+
+    const recorded = nextEvent(ownerSocket, 'history:status');
+    const added = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'ellipse', x: 20, y: 20, width: 30, height: 30 });
+    expect(await recorded).toEqual({ canvas, canUndo: true, canRedo: false });
+
+    // Nothing left to redo
+    const redone = nextEvent(ownerSocket, 'history:status');
+    ownerSocket.emit('history:redo', { canvas });
+    expect(await redone).toEqual({ canvas, canUndo: true, canRedo: false });
+
+    const state = await getState(request, owner);
+    expect(state.shapes.map(shape => shape.id)).toEqual([added.id]);
+  });
+
+  test('should only undo the user\'s own stroke when another user reused its id', async ({ request }) => {
+    await drawStroke(editorSocket, canvas, 'shared-stroke');
+    await drawStroke(ownerSocket, canvas, 'shared-stroke');
+
+    const deleted = nextEvent(editorSocket, 'stroke:delete');
+    ownerSocket.emit('history:undo', { canvas });
+    expect(await deleted).toMatchObject({ canvas, strokeId: 'shared-stroke', userId: owner.user.id });
+
+    let strokes = (await getState(request, owner)).drawEvents.filter(event => event.strokeId === 'shared-stroke');
+    expect(strokes.map(stroke => stroke.userId)).toEqual([editor.user.id]);
+
+    const restored = nextEvent(editorSocket, 'stroke:add');
+    ownerSocket.emit('history:redo', { canvas });
+    const { drawEvents } = await restored;
+    expect(drawEvents.map(event => event.userId)).toEqual([owner.user.id]);
+
+    strokes = (await getState(request, owner)).drawEvents.filter(event => event.strokeId === 'shared-stroke');
+    expect(strokes.map(stroke => stroke.userId).sort()).toEqual([owner.user.id, editor.user.id].sort());
+  });
+
+  test('should undo a batch, skipping shapes another user deleted since', async ({ request }) => {
+    const batch = await ownerSocket.emitWithAck('canvas:batch', {
+      canvas,
+      operations: [
+        { op: 'add', type: 'rectangle', x: 0, y: 0, width: 10, height: 10 },
+        { op: 'add', type: 'ellipse', x: 50, y: 50, width: 10, height: 10 }
+      ]
+    });
+    expect(batch.ok).toBe(true);
+    const [first, second] = batch.operations;
+
+    const deleteAck = await editorSocket.emitWithAck('shape:delete', { canvas, shapeId: first.id });
+    expect(deleteAck.ok).toBe(true);
+
+    const undone = nextEvent(editorSocket, 'canvas:batch');
+    ownerSocket.emit('history:undo', { canvas });
+    expect((await undone).operations).toEqual([{ op: 'delete', shapeId: second.id }]);
+
+    const state = await getState(request, owner);
+    expect(state.shapes).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+const { MAX_LAYERS } = require('../services/canvasManager');
+const prisma = require('../services/prisma');
+
+test.describe('Layers over Socket.IO', () => {
+  let owner;
+  let editor;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+  let baseLayer;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+    const state = await joinCanvas(ownerSocket, canvas);
+    await joinCanvas(editorSocket, canvas);
+    [baseLayer] = state.layers;
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  const getState = async (request) => {
+    const response = await request.get(`/api/canvases/${canvas}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    return response.json();
+  };
+
+  test('should create only one default layer for concurrent first reads', async ({ request }) => {
+    const fresh = await createCanvas(request, owner);
+    const states = await Promise.all([1, 2, 3, 4].map(() => request.get(`/api/canvases/${fresh}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    }).then(response => response.json())));
+
+    for (const state of states) {
+      expect(state.layers.map(layer => layer.name)).toEqual(['Layer 1']);
+    }
+    expect(new Set(states.map(state => state.layers[0].id)).size).toBe(1);
+  });
+
+  test('should create, rename, reorder and delete layers for everyone on the canvas', async ({ request }) => {
+    expect(baseLayer).toMatchObject({ name: 'Layer 1', order: 0, hidden: false, locked: false });
+
+    let broadcast = nextEvent(editorSocket, 'layer:create');
+    const created = await ownerSocket.emitWithAck('layer:create', { canvas });
+    expect(created).toMatchObject({ ok: true, layer: { name: 'Layer 2', order: 1 } });
+    const { layer } = created;
+    expect((await broadcast).layer).toEqual(layer);
+
+    broadcast = nextEvent(editorSocket, 'layer:update');
+    const renamed = await ownerSocket.emitWithAck('layer:update', { canvas, layerId: layer.id, name: 'Sketch' });
+    expect(renamed).toMatchObject({ ok: true, layer: { id: layer.id, name: 'Sketch' } });
+    expect((await broadcast).layer).toEqual(renamed.layer);
+
+    broadcast = nextEvent(editorSocket, 'layer:reorder');
+    const reordered = await ownerSocket.emitWithAck('layer:reorder', { canvas, layerId: layer.id, index: 0 });
+    expect(reordered).toEqual({ ok: true, layerIds: [layer.id, baseLayer.id] });
+    expect((await broadcast).layerIds).toEqual([layer.id, baseLayer.id]);
+    expect((await getState(request)).layers.map(candidate => candidate.id)).toEqual([layer.id, baseLayer.id]);
+
+    broadcast = nextEvent(editorSocket, 'layer:delete');
+    const deleted = await ownerSocket.emitWithAck('layer:delete', { canvas, layerId: layer.id });
+    expect(deleted).toEqual({ ok: true, layerId: layer.id });
+    expect((await broadcast).layerId).toBe(layer.id);
+    expect((await getState(request)).layers.map(candidate => candidate.id)).toEqual([baseLayer.id]);
+
+    const last = await ownerSocket.emitWithAck('layer:delete', { canvas, layerId: baseLayer.id });
+    expect(last.error).toMatchObject({ event: 'layer:delete', code: 'LAST_LAYER' });
+
+    const unknown = await ownerSocket.emitWithAck('layer:update', { canvas, layerId: 'missing-layer', name: 'Gone' });
+    expect(unknown.error).toMatchObject({ event: 'layer:update', code: 'LAYER_NOT_FOUND' });
+  });
+
+  test('should reject changes to shapes on a locked layer', async () => {
+    const shape = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+    const { layer: otherLayer } = await ownerSocket.emitWithAck('layer:create', { canvas });
+    const locked = await ownerSocket.emitWithAck('layer:update', { canvas, layerId: baseLayer.id, locked: true });
+    expect(locked.layer.locked).toBe(true);
+
+    const received = collectEvents(editorSocket, 'shape:update');
+    const rejected = [
+      ['shape:update', { shapeId: shape.id, x: 50 }],
+      ['shape:delete', { shapeId: shape.id }],
+      ['shape:add', { layerId: baseLayer.id, type: 'ellipse', x: 0, y: 0 }],
+      ['shape:layer', { shapeId: shape.id, layerId: otherLayer.id }],
+      ['shape:order', { shapeId: shape.id, position: 'front' }],
+      ['layer:delete', { layerId: baseLayer.id }]
+    ];
+    for (const [event, data] of rejected) {
+      const response = await editorSocket.emitWithAck(event, { canvas, ...data });
+      expect(response.error, event).toMatchObject({ event, code: 'LAYER_LOCKED' });
+    }
+    await settle();
+    expect(received).toEqual([]);
+
+    await ownerSocket.emitWithAck('layer:update', { canvas, layerId: baseLayer.id, locked: false });
+    const update = await editorSocket.emitWithAck('shape:update', { canvas, shapeId: shape.id, x: 50 });
+    expect(update.ok).toBe(true);
+  });
+
+  test('should leave shapes on hidden layers editable but out of the SVG export', async ({ request }) => {
+    const shape = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0, width: 10, height: 10, color: '#123456' });
+
+    const broadcast = nextEvent(editorSocket, 'layer:update');
+    await ownerSocket.emitWithAck('layer:update', { canvas, layerId: baseLayer.id, hidden: true });
+    expect((await broadcast).layer).toMatchObject({ id: baseLayer.id, hidden: true });
+
+    const update = await editorSocket.emitWithAck('shape:update', { canvas, shapeId: shape.id, x: 20 });
+    expect(update.ok).toBe(true);
+
+    const exportResponse = await request.get(`/api/canvases/${canvas}/export.svg`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    expect(exportResponse.ok()).toBeTruthy();
+    expect(await exportResponse.text()).not.toContain('#123456');
+  });
+
+  test('should limit the number of layers', async () => {
+    // Fill the canvas up directly: layer:create is rate limited
+    const { id: canvasId } = await prisma.canvas.findUnique({ where: { name: canvas } });
+    await prisma.layer.createMany({
+      data: Array.from({ length: MAX_LAYERS - 1 }, (_, index) => ({ canvasId, name: `Layer ${index + 2}`, order: index + 1 }))
+    });
+
+    const response = await ownerSocket.emitWithAck('layer:create', { canvas });
+    expect(response.error).toMatchObject({ event: 'layer:create', code: 'TOO_MANY_LAYERS' });
+
+    await ownerSocket.emitWithAck('layer:delete', { canvas, layerId: baseLayer.id });
+    const created = await ownerSocket.emitWithAck('layer:create', { canvas });
+    expect(created).toMatchObject({ ok: true, layer: { order: MAX_LAYERS } });
+  });
+
+  test('should delete the shapes on a deleted layer and restore them on the top layer', async ({ request }) => {
+    const { layer } = await ownerSocket.emitWithAck('layer:create', { canvas });
+    const kept = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0, layerId: baseLayer.id });
+    const onLayer = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'ellipse', x: 0, y: 0, layerId: layer.id });
+    const removed = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'ellipse', x: 5, y: 5, layerId: layer.id });
+    expect(removed.layerId).toBe(layer.id);
+    await ownerSocket.emitWithAck('shape:delete', { canvas, shapeId: removed.id });
+
+    await ownerSocket.emitWithAck('layer:delete', { canvas, layerId: layer.id });
+    const state = await getState(request);
+    expect(state.shapes.map(shape => shape.id)).toEqual([kept.id]);
+    expect(state.shapes.map(shape => shape.id)).not.toContain(onLayer.id);
+
+    // Undoing the deletion brings the shape back on the top layer that is left
+    const restored = nextEvent(editorSocket, 'shape:add');
+    ownerSocket.emit('history:undo', { canvas });
+    expect(await restored).toMatchObject({ id: removed.id, layerId: baseLayer.id });
+  });
+});
@@ -0,0 +1,23 @@
+const fs = require('fs');
+const path = require('path');
+
+// Written by the server's file mail transport (see playwright.config.js)
+const MAIL_DIR = path.join(__dirname, '..', 'tmp', 'test-mail');
+
+// Latest email sent to an address
+const readLatestMail = (to) => {
+  const messages = fs.readdirSync(MAIL_DIR)
+    .sort()
+    .map(file => JSON.parse(fs.readFileSync(path.join(MAIL_DIR, file), 'utf8')))
+    .filter(message => message.to === to);
+  return messages[messages.length - 1];
+};
+
+// Token from the link in the latest email to an address (e.g. 'verify-email', 'reset-password')
+const readMailToken = (to, page) => {
+  const mail = readLatestMail(to);
+  const match = mail && mail.text.match(new RegExp(`${page}\\?token=(\\S+)`));
+  return match ? decodeURIComponent(match[1]) : undefined;
+};
+
+module.exports = { readLatestMail, readMailToken };
@@ -0,0 +1,78 @@
+const { test, expect } = require('@playwright/test');
+const { spawn } = require('child_process');
+const path = require('path');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, joinCanvas } = require('./socket');
+
+const SECOND_PORT = 3001;
+const secondURL = `http://localhost:${SECOND_PORT}`;
+
+// Start another server next to the test server, sharing its database and Redis
+const startInstance = async () => {
+  const instance = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, PORT: String(SECOND_PORT), MAIL_TRANSPORT: 'file', MAIL_DIR: 'tmp/test-mail' },
+    stdio: 'ignore'
+  });
+
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      if ((await fetch(`${secondURL}/health`)).ok) return instance;
+    } catch {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  instance.kill();
+  throw new Error('Second instance did not start');
+};
+
+test.describe('Multiple instances', () => {
+  test.skip(!process.env.REDIS_URL, 'Instances only share state through Redis (set REDIS_URL)');
+
+  let instance;
+  let owner;
+  let editor;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+
+  test.beforeAll(async () => {
+    instance = await startInstance();
+  });
+
+  test.afterAll(() => {
+    instance?.kill();
+  });
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(secondURL, editor);
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  test('should share presence and broadcasts between instances', async () => {
+    await joinCanvas(ownerSocket, canvas);
+
+    const joined = nextEvent(ownerSocket, 'user:joined');
+    const state = await joinCanvas(editorSocket, canvas);
+    expect(state.users.map(user => user.userId).sort()).toEqual([owner.user.id, editor.user.id].sort());
+    expect((await joined).userId).toBe(editor.user.id);
+
+    const added = nextEvent(editorSocket, 'shape:add');
+    const response = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+    expect((await added).id).toBe(response.id);
+
+    const left = nextEvent(ownerSocket, 'presence:diff', diff => diff.removed.includes(editor.user.id));
+    editorSocket.disconnect();
+    await left;
+  });
+});
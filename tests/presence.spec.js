@@ -0,0 +1,84 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+
+// The next presence:diff that changes or removes `userId`
+const presenceOf = (socket, userId) => nextEvent(socket, 'presence:diff', diff => (
+  diff.changed.some(user => user.userId === userId) || diff.removed.includes(userId)
+));
+
+test.describe('Presence', () => {
+  let owner;
+  let editor;
+  let canvas;
+  let firstTab;
+  let secondTab;
+  let editorSocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    firstTab = await connectSocket(baseURL, owner);
+    secondTab = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+  });
+
+  test.afterEach(() => {
+    firstTab?.disconnect();
+    secondTab?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  test('should count a user\'s connections and only announce them leaving with the last', async () => {
+    await joinCanvas(firstTab, canvas);
+    const state = await joinCanvas(editorSocket, canvas);
+    const ownerPresence = state.users.find(user => user.userId === owner.user.id);
+    expect(ownerPresence).toMatchObject({ status: 'active', connections: 1 });
+    expect(ownerPresence.color).toMatch(/^#[0-9a-f]{6}$/i);
+
+    const joins = collectEvents(editorSocket, 'user:joined');
+    let diff = presenceOf(editorSocket, owner.user.id);
+    await joinCanvas(secondTab, canvas);
+    expect((await diff).changed).toEqual([{ ...ownerPresence, connections: 2 }]);
+
+    const leaves = collectEvents(editorSocket, 'user:left');
+    diff = presenceOf(editorSocket, owner.user.id);
+    secondTab.disconnect();
+    expect((await diff).changed).toEqual([ownerPresence]);
+    await settle();
+    expect(joins).toEqual([]);
+    expect(leaves).toEqual([]);
+
+    const left = nextEvent(editorSocket, 'user:left');
+    diff = presenceOf(editorSocket, owner.user.id);
+    firstTab.disconnect();
+    expect((await left).userId).toBe(owner.user.id);
+    expect((await diff).removed).toEqual([owner.user.id]);
+  });
+
+  test('should report a hidden tab as away', async () => {
+    await joinCanvas(firstTab, canvas);
+    await joinCanvas(editorSocket, canvas);
+
+    const diff = presenceOf(editorSocket, owner.user.id);
+    const response = await firstTab.emitWithAck('presence:heartbeat', { canvas, active: false, hidden: true });
+    expect(response.ok).toBe(true);
+    expect((await diff).changed).toMatchObject([{ userId: owner.user.id, status: 'away', connections: 1 }]);
+  });
+
+  test('should snapshot a changed canvas when the last user leaves', async ({ request }) => {
+    await joinCanvas(firstTab, canvas);
+    await firstTab.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+    firstTab.disconnect();
+
+    await expect.poll(async () => {
+      const response = await request.get(`/api/canvases/${canvas}/snapshots`, {
+        headers: { 'Authorization': `Bearer ${owner.token}` }
+      });
+      const { snapshots } = await response.json();
+      return snapshots.map(snapshot => ({ automatic: snapshot.automatic, shapeCount: snapshot.shapeCount }));
+    }).toEqual([{ automatic: true, shapeCount: 1 }]);
+  });
+});
@@ -0,0 +1,167 @@
+const { test, expect } = require('@playwright/test');
+const express = require('express');
+const { once } = require('events');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { createApiRateLimit, DEFAULT_API_RATE_LIMIT_MAX } = require('../middleware/apiRateLimit');
+const { RATE_LIMITS, PAYLOAD_LIMITS, MAX_VIOLATIONS, rateLimitSocketEvent } = require('../middleware/socketRateLimit');
+
+// Load a middleware module in a fresh process with the given environment and print one of its exports
+const loadWithEnv = (middleware, property, env) => spawnSync(process.execPath, [
+  '-e',
+  `console.log(JSON.stringify(require("./middleware/${middleware}")${property}))`
+], {
+  cwd: path.join(__dirname, '..'),
+  env: { ...process.env, ...env },
+  encoding: 'utf8',
+  timeout: 10000
+});
+
+test.describe('API rate limit', () => {
+  // The test server raises the limit (see playwright.config.js), so this runs its own app
+  // with the limiter at its production setting
+  let server;
+  let url;
+
+  test.beforeEach(async () => {
+    const app = express();
+    app.use('/api/', createApiRateLimit({ max: DEFAULT_API_RATE_LIMIT_MAX }));
+    app.get('/api/ping', (req, res) => res.json({ ok: true }));
+
+    server = app.listen(0);
+    await once(server, 'listening');
+    url = `http://localhost:${server.address().port}/api/ping`;
+  });
+
+  test.afterEach(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  test('should return 429 once an IP exceeds the limit', async ({ request }) => {
+    for (let i = 0; i < DEFAULT_API_RATE_LIMIT_MAX; i++) {
+      const response = await request.get(url);
+      expect(response.status()).toBe(200);
+    }
+
+    const limitedResponse = await request.get(url);
+    expect(limitedResponse.status()).toBe(429);
+  });
+
+  test('should fall back to the default limit when API_RATE_LIMIT_MAX is not a number', () => {
+    for (const value of ['abc', '-5']) {
+      const result = loadWithEnv('apiRateLimit', '.API_RATE_LIMIT_MAX', { API_RATE_LIMIT_MAX: value });
+      expect(JSON.parse(result.stdout)).toBe(DEFAULT_API_RATE_LIMIT_MAX);
+    }
+  });
+});
+
+test.describe('Socket rate limits', () => {
+  // Stands in for a server-side socket: the middleware only reads its id and user,
+  // and emits warnings or disconnects through it
+  const createSocket = (userId) => ({
+    id: `socket-${Math.random().toString(36).substring(7)}`,
+    user: { userId },
+    emitted: [],
+    disconnected: false,
+    emit(event, data) {
+      this.emitted.push({ event, data });
+    },
+    disconnect() {
+      this.disconnected = true;
+    }
+  });
+
+  // Run one event through the middleware: { ok: true } if it was let through, otherwise its error ack
+  const send = (middleware, event, data) => {
+    let response = { ok: true };
+    middleware([event, data, (ack) => { response = ack; }], () => {});
+    return response;
+  };
+
+  let userId;
+
+  test.beforeEach(() => {
+    userId = `user-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+  });
+
+  test('should allow a burst and then refill at the configured rate', async () => {
+    const { rate, burst } = RATE_LIMITS['canvas:join'];
+    const middleware = rateLimitSocketEvent(createSocket(userId));
+
+    for (let i = 0; i < burst; i++) {
+      expect(send(middleware, 'canvas:join', 'board').ok).toBe(true);
+    }
+
+    const limited = send(middleware, 'canvas:join', 'board');
+    expect(limited.error).toMatchObject({ event: 'canvas:join', code: 'RATE_LIMITED' });
+    expect(limited.error.retryAfter).toBeGreaterThan(0);
+    expect(limited.error.retryAfter).toBeLessThanOrEqual(1000 / rate);
+
+    await new Promise(resolve => setTimeout(resolve, limited.error.retryAfter + 50));
+    expect(send(middleware, 'canvas:join', 'board').ok).toBe(true);
+  });
+
+  test('should share a user\'s buckets between their sockets', () => {
+    const { burst } = RATE_LIMITS['chat:message'];
+    const first = rateLimitSocketEvent(createSocket(userId));
+    const second = rateLimitSocketEvent(createSocket(userId));
+
+    for (let i = 0; i < burst; i++) {
+      send(first, 'chat:message', { text: 'hi' });
+    }
+    expect(send(second, 'chat:message', { text: 'hi' }).error.code).toBe('RATE_LIMITED');
+    expect(send(rateLimitSocketEvent(createSocket(`${userId}-other`)), 'chat:message', { text: 'hi' }).ok).toBe(true);
+  });
+
+  test('should reject payloads over the cap without taking a token', () => {
+    const middleware = rateLimitSocketEvent(createSocket(userId));
+    const text = 'x'.repeat(PAYLOAD_LIMITS['chat:message']);
+
+    const rejected = send(middleware, 'chat:message', { text });
+    expect(rejected.error).toMatchObject({ event: 'chat:message', code: 'PAYLOAD_TOO_LARGE' });
+
+    // The rejected event didn't use up the bucket
+    for (let i = 0; i < RATE_LIMITS['chat:message'].burst; i++) {
+      expect(send(middleware, 'chat:message', { text: 'hi' }).ok).toBe(true);
+    }
+  });
+
+  test('should disconnect a socket that keeps sending rejected events', () => {
+    test.skip(MAX_VIOLATIONS === 0, 'SOCKET_MAX_VIOLATIONS=0 never disconnects');
+
+    const socket = createSocket(userId);
+    const middleware = rateLimitSocketEvent(socket);
+    const oversized = { text: 'x'.repeat(PAYLOAD_LIMITS['*']) };
+
+    for (let i = 1; i <= MAX_VIOLATIONS; i++) {
+      const { error } = send(middleware, 'cursor:move', oversized);
+      expect(error).toMatchObject({ remainingWarnings: MAX_VIOLATIONS - i, disconnected: false });
+    }
+    expect(socket.disconnected).toBe(false);
+
+    const last = send(middleware, 'cursor:move', oversized);
+    expect(last.error).toMatchObject({ remainingWarnings: 0, disconnected: true });
+    expect(socket.disconnected).toBe(true);
+    expect(socket.emitted).toEqual([{ event: 'error:rate-limit', data: last.error }]);
+  });
+
+  test('should apply overrides from the environment', () => {
+    const result = loadWithEnv('socketRateLimit', '.RATE_LIMITS["chat:message"]', { SOCKET_RATE_LIMITS: 'chat:message=2/10' });
+    // Exits by itself: the module's timer doesn't keep the process alive
+    expect(result.signal).toBeNull();
+    expect(result.status).toBe(0);
+    expect(JSON.parse(result.stdout)).toEqual({ rate: 2, burst: 10 });
+  });
+
+  test('should fail at startup on an invalid override', () => {
+    const result = loadWithEnv('socketRateLimit', '.RATE_LIMITS', { SOCKET_RATE_LIMITS: 'x=abc' });
+    expect(result.status).not.toBe(0);
+    expect(result.stderr).toContain('Invalid SOCKET_RATE_LIMITS entry: x=abc');
+  });
+
+  test('should keep disconnecting abusive sockets when SOCKET_MAX_VIOLATIONS is not a number', () => {
+    const result = loadWithEnv('socketRateLimit', '.MAX_VIOLATIONS', { SOCKET_MAX_VIOLATIONS: 'twenty' });
+    expect(JSON.parse(result.stdout)).toBe(20);
+  });
+});
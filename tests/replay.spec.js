@@ -0,0 +1,52 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+
+test.describe('Session replay', () => {
+  let owner;
+  let canvas;
+  let socket;
+  let replaySocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    canvas = await createCanvas(request, owner);
+
+    socket = await connectSocket(baseURL, owner);
+    await joinCanvas(socket, canvas);
+    // Spread the log out so a seek can land between entries
+    for (const x of [0, 100, 200, 300]) {
+      await socket.emitWithAck('shape:add', { canvas, type: 'rectangle', x, y: 0 });
+      await settle(100);
+    }
+
+    replaySocket = await connectSocket(baseURL, owner, '/replay');
+  });
+
+  test.afterEach(() => {
+    socket?.disconnect();
+    replaySocket?.disconnect();
+  });
+
+  test('should continue after the seek target without replaying earlier entries', async () => {
+    const started = await replaySocket.emitWithAck('replay:start', { canvas, speed: 10 });
+    expect(started.ok).toBe(true);
+    await replaySocket.emitWithAck('replay:pause');
+
+    const target = Math.floor((started.startedAt + started.endedAt) / 2);
+    const state = nextEvent(replaySocket, 'replay:state', data => data.time === target);
+    const seeked = await replaySocket.emitWithAck('replay:seek', { time: target });
+    expect(seeked.ok).toBe(true);
+    const { shapes } = await state;
+    expect(shapes.length).toBeGreaterThan(0);
+    expect(shapes.length).toBeLessThan(4);
+
+    const events = collectEvents(replaySocket, 'replay:event');
+    const ended = nextEvent(replaySocket, 'replay:end');
+    await replaySocket.emitWithAck('replay:resume');
+    await ended;
+
+    expect(events.every(event => event.time > target)).toBe(true);
+    expect(events.filter(event => event.event === 'shape:add')).toHaveLength(4 - shapes.length);
+  });
+});
@@ -0,0 +1,74 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, joinCanvas } = require('./socket');
+
+test.describe('Shape selections', () => {
+  let owner;
+  let editor;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+  let shape;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+    await joinCanvas(ownerSocket, canvas);
+    await joinCanvas(editorSocket, canvas);
+
+    shape = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  test('should lock a selected shape against other users until it is deselected', async () => {
+    const selected = nextEvent(ownerSocket, 'shape:select');
+    const selection = await editorSocket.emitWithAck('shape:select', { canvas, shapeId: shape.id });
+    expect(selection).toMatchObject({ ok: true, shapeId: shape.id, userId: editor.user.id });
+    expect(await selected).toMatchObject({ shapeId: shape.id, userId: editor.user.id });
+
+    const locked = await ownerSocket.emitWithAck('shape:update', { canvas, shapeId: shape.id, x: 50 });
+    expect(locked.error).toMatchObject({
+      code: 'SHAPE_LOCKED',
+      shapeId: shape.id,
+      lockedBy: { userId: editor.user.id }
+    });
+    const ownUpdate = await editorSocket.emitWithAck('shape:update', { canvas, shapeId: shape.id, x: 60 });
+    expect(ownUpdate.ok).toBe(true);
+
+    const deselected = nextEvent(ownerSocket, 'shape:deselect');
+    const released = await editorSocket.emitWithAck('shape:deselect', { canvas, shapeId: shape.id });
+    expect(released).toEqual({ ok: true, released: true });
+    expect(await deselected).toMatchObject({ shapeId: shape.id, userId: editor.user.id, reason: 'deselect' });
+
+    const update = await ownerSocket.emitWithAck('shape:update', { canvas, shapeId: shape.id, x: 70 });
+    expect(update.ok).toBe(true);
+  });
+
+  test('should reject selecting a shape that does not exist', async () => {
+    const response = await editorSocket.emitWithAck('shape:select', { canvas, shapeId: 'missing-shape' });
+    expect(response.error).toMatchObject({ event: 'shape:select', code: 'SHAPE_NOT_FOUND', shapeId: 'missing-shape' });
+
+    const state = await joinCanvas(ownerSocket, canvas);
+    expect(state.selections).toEqual([]);
+  });
+
+  test('should release the locks of shapes deleted in a batch', async () => {
+    await editorSocket.emitWithAck('shape:select', { canvas, shapeId: shape.id });
+
+    const batch = await editorSocket.emitWithAck('canvas:batch', {
+      canvas,
+      operations: [{ op: 'delete', shapeId: shape.id }]
+    });
+    expect(batch.ok).toBe(true);
+
+    await expect.poll(async () => (await joinCanvas(ownerSocket, canvas)).selections).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+const { test, expect } = require('@playwright/test');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle } = require('./socket');
+
+test.describe('Shapes over Socket.IO', () => {
+  let owner;
+  let editor;
+  let canvas;
+  let ownerSocket;
+  let editorSocket;
+
+  test.beforeEach(async ({ request, baseURL }) => {
+    owner = await registerUser(request);
+    editor = await registerUser(request);
+    canvas = await createCanvas(request, owner, [[editor, 'editor']]);
+
+    ownerSocket = await connectSocket(baseURL, owner);
+    editorSocket = await connectSocket(baseURL, editor);
+    await joinCanvas(ownerSocket, canvas);
+    await joinCanvas(editorSocket, canvas);
+  });
+
+  test.afterEach(() => {
+    ownerSocket?.disconnect();
+    editorSocket?.disconnect();
+  });
+
+  test('should assign shape ids on the server and return them in the ack', async () => {
+    const broadcast = nextEvent(editorSocket, 'shape:add');
+    const response = await ownerSocket.emitWithAck('shape:add', {
+      canvas,
+      clientId: 'temp-1',
+      type: 'rectangle',
+      x: 10,
+      y: 10,
+      width: 40,
+      height: 20
+    });
+
+    expect(response.ok).toBe(true);
+    expect(response.clientId).toBe('temp-1');
+    expect(typeof response.id).toBe('string');
+    expect(response.id).not.toBe('temp-1');
+
+    const shape = await broadcast;
+    expect(shape).toMatchObject({ id: response.id, clientId: 'temp-1', type: 'rectangle', userId: owner.user.id });
+  });
+
+  test('should apply updates sent with the client id before the ack arrived', async () => {
+    const updated = nextEvent(editorSocket, 'shape:update');
+    const added = ownerSocket.emitWithAck('shape:add', { canvas, clientId: 'temp-2', type: 'ellipse', x: 0, y: 0 });
+    ownerSocket.emit('shape:update', { canvas, shapeId: 'temp-2', x: 75 });
+
+    const { id } = await added;
+    const update = await updated;
+    expect(update.shapeId).toBe(id);
+    expect(update.x).toBe(75);
+  });
+
+  const getState = async (request) => {
+    const response = await request.get(`/api/canvases/${canvas}`, {
+      headers: { 'Authorization': `Bearer ${owner.token}` }
+    });
+    return response.json();
+  };
+
+  test('should apply a batch and broadcast it as one event', async ({ request }) => {
+    const existing = await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+
+    const broadcast = nextEvent(editorSocket, 'canvas:batch');
+    const response = await ownerSocket.emitWithAck('canvas:batch', {
+      canvas,
+      operations: [
+        { op: 'add', clientId: 'temp-3', type: 'ellipse', x: 10, y: 10 },
+        { op: 'update', shapeId: 'temp-3', color: '#ff0000' },
+        { op: 'delete', shapeId: existing.id }
+      ]
+    });
+
+    expect(response.ok).toBe(true);
+    const [added] = response.operations;
+    expect(response.operations).toEqual([
+      { op: 'add', id: added.id, clientId: 'temp-3' },
+      { op: 'update', shapeId: added.id },
+      { op: 'delete', shapeId: existing.id }
+    ]);
+
+    const batch = await broadcast;
+    expect(batch.userId).toBe(owner.user.id);
+    expect(batch.operations.map(operation => operation.op)).toEqual(['add', 'update', 'delete']);
+
+    const state = await getState(request);
+    expect(state.shapes).toHaveLength(1);
+    expect(state.shapes[0]).toMatchObject({ id: added.id, color: '#ff0000' });
+  });
+
+  test('should reject the whole batch when one operation fails', async ({ request }) => {
+    const broadcasts = collectEvents(editorSocket, 'canvas:batch');
+    const response = await ownerSocket.emitWithAck('canvas:batch', {
+      canvas,
+      operations: [
+        { op: 'add', type: 'rectangle', x: 0, y: 0 },
+        { op: 'delete', shapeId: 'missing-shape' }
+      ]
+    });
+
+    expect(response.ok).toBe(false);
+    expect(response.error).toMatchObject({ event: 'canvas:batch', code: 'SHAPE_NOT_FOUND', index: 1 });
+
+    // The add was rolled back with it
+    await settle();
+    expect(broadcasts).toEqual([]);
+    expect((await getState(request)).shapes).toEqual([]);
+  });
+
+  test('should apply a batch of the maximum size', async ({ request }) => {
+    const operations = Array.from({ length: 200 }, (_, index) => ({ op: 'add', type: 'rectangle', x: index, y: index }));
+    const response = await ownerSocket.emitWithAck('canvas:batch', { canvas, operations });
+
+    expect(response.ok).toBe(true);
+    expect(response.operations).toHaveLength(200);
+    expect((await getState(request)).shapes).toHaveLength(200);
+  });
+
+  test('should only announce a clear once the canvas is cleared', async ({ request }) => {
+    await ownerSocket.emitWithAck('shape:add', { canvas, type: 'rectangle', x: 0, y: 0 });
+
+    const cleared = nextEvent(editorSocket, 'canvas:clear');
+    ownerSocket.emit('canvas:clear', { canvas });
+    expect((await cleared).userId).toBe(owner.user.id);
+
+    expect((await getState(request)).shapes).toEqual([]);
+  });
+});
@@ -0,0 +1,141 @@
+const { test, expect } = require('@playwright/test');
+const { validateEvent } = require('../middleware/socketValidation');
+const { registerUser } = require('./users');
+const { createCanvas, connectSocket, nextEvent, joinCanvas } = require('./socket');
+
+test.describe('Socket event validation', () => {
+  // [event, payload, sanitized value]
+  const accepted = [
+    ['canvas:join', '  team-board  ', 'team-board'],
+    ['shape:add', { type: 'rectangle', x: 1, y: 2, color: '#ff0000' }, { type: 'rectangle', x: 1, y: 2, color: '#ff0000' }],
+    ['chat:message', { canvas: 'team-board', text: '  hello  ' }, { canvas: 'team-board', text: 'hello' }],
+    ['history:undo', undefined, {}],
+    ['presence:heartbeat', { active: true, hidden: false }, { active: true, hidden: false }],
+    ['layer:update', { layerId: 'layer-1', name: ' Sketch ', locked: true }, { layerId: 'layer-1', name: 'Sketch', locked: true }],
+    ['replay:pause', { anything: 'ignored' }, undefined]
+  ];
+
+  for (const [event, payload, value] of accepted) {
+    test(`should accept a valid ${event}`, () => {
+      expect(validateEvent(event, payload)).toEqual({ value, errors: [] });
+    });
+  }
+
+  // [event, payload, sanitized value] - fields the schema doesn't know about are dropped
+  const stripped = [
+    ['shape:add', { type: 'ellipse', x: 0, y: 0, userId: 'someone-else', timestamp: 1 }, { type: 'ellipse', x: 0, y: 0 }],
+    ['draw:start', { x: 5, y: 5, firstName: 'Mallory', userColor: '#000' }, { x: 5, y: 5 }],
+    ['shape:delete', { shapeId: 'shape-1', layerId: 'layer-2' }, { shapeId: 'shape-1' }],
+    [
+      'canvas:batch',
+      { operations: [{ op: 'delete', shapeId: 'shape-1', x: 10 }, { op: 'update', shapeId: 'shape-2', x: 3, userId: 'u' }] },
+      { operations: [{ op: 'delete', shapeId: 'shape-1' }, { op: 'update', shapeId: 'shape-2', x: 3 }] }
+    ]
+  ];
+
+  for (const [event, payload, value] of stripped) {
+    test(`should strip unknown fields from ${event}`, () => {
+      expect(validateEvent(event, payload)).toEqual({ value, errors: [] });
+    });
+  }
+
+  // [event, payload, errors]
+  const rejected = [
+    ['canvas:join', '   ', [{ path: 'data', message: 'data must be at least 1 characters long' }]],
+    ['canvas:join', 42, [{ path: 'data', message: 'data must be a string' }]],
+    ['chat:message', undefined, [{ path: 'data', message: 'data is required' }]],
+    ['chat:message', { text: '   ' }, [{ path: 'data.text', message: 'data.text must be at least 1 characters long' }]],
+    ['shape:add', [], [{ path: 'data', message: 'data must be an object' }]],
+    [
+      'shape:add',
+      { type: 'hexagon', x: '1', y: 0 },
+      [
+        { path: 'data.type', message: 'data.type must be one of: rectangle, ellipse, line, arrow, text' },
+        { path: 'data.x', message: 'data.x must be a finite number' }
+      ]
+    ],
+    ['shape:add', { type: 'text', x: 0, y: 0, color: 'url(javascript:alert(1))' }, [{ path: 'data.color', message: 'data.color has an invalid format' }]],
+    ['draw:start', { x: 200000, y: 0 }, [{ path: 'data.x', message: 'data.x must be at most 100000' }]],
+    ['shape:update', { shapeId: '../shapes' }, [{ path: 'data.shapeId', message: 'data.shapeId has an invalid format' }]],
+    ['layer:update', { layerId: 'layer-1', hidden: 'yes' }, [{ path: 'data.hidden', message: 'data.hidden must be a boolean' }]],
+    ['replay:speed', { speed: 5 }, [{ path: 'data.speed', message: 'data.speed must be one of: 1, 2, 10' }]],
+    [
+      'canvas:batch',
+      { operations: [{ op: 'move', shapeId: 'shape-1' }] },
+      [{ path: 'data.operations[0].op', message: 'data.operations[0].op must be one of: add, update, delete' }]
+    ],
+    [
+      'canvas:batch',
+      { operations: [{ op: 'add', x: 0, y: 0 }] },
+      [{ path: 'data.operations[0].type', message: 'data.operations[0].type is required' }]
+    ],
+    ['canvas:batch', { operations: [] }, [{ path: 'data.operations', message: 'data.operations must contain at least 1 items' }]],
+    [
+      'canvas:batch',
+      { operations: Array.from({ length: 201 }, (_, index) => ({ op: 'delete', shapeId: `shape-${index}` })) },
+      [{ path: 'data.operations', message: 'data.operations must contain at most 200 items' }]
+    ]
+  ];
+
+  for (const [event, payload, errors] of rejected) {
+    test(`should reject ${event} when ${errors[0].message}`, () => {
+      expect(validateEvent(event, payload).errors).toEqual(errors);
+    });
+  }
+
+  test.describe('over Socket.IO', () => {
+    let owner;
+    let canvas;
+    let socket;
+    let otherTab;
+
+    test.beforeEach(async ({ request, baseURL }) => {
+      owner = await registerUser(request);
+      canvas = await createCanvas(request, owner);
+      socket = await connectSocket(baseURL, owner);
+      otherTab = await connectSocket(baseURL, owner);
+      await joinCanvas(socket, canvas);
+      await joinCanvas(otherTab, canvas);
+    });
+
+    test.afterEach(() => {
+      socket?.disconnect();
+      otherTab?.disconnect();
+    });
+
+    test('should answer an invalid event with a structured error', async () => {
+      const response = await socket.emitWithAck('shape:add', { canvas, type: 'hexagon', x: 0, y: 0 });
+      expect(response).toEqual({
+        ok: false,
+        error: {
+          event: 'shape:add',
+          code: 'VALIDATION_ERROR',
+          message: 'Invalid payload for shape:add',
+          errors: [{ path: 'data.type', message: 'data.type must be one of: rectangle, ellipse, line, arrow, text' }]
+        }
+      });
+
+      // Without an acknowledgement callback the error comes as an event
+      const error = nextEvent(socket, 'error:validation');
+      socket.emit('chat:message', { canvas, text: '' });
+      expect((await error).code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should only pass the sanitized payload on to the room', async () => {
+      const added = nextEvent(otherTab, 'shape:add');
+      const response = await socket.emitWithAck('shape:add', {
+        canvas,
+        type: 'rectangle',
+        x: 10,
+        y: 10,
+        userId: 'someone-else',
+        isAdmin: true
+      });
+      expect(response.ok).toBe(true);
+
+      const shape = await added;
+      expect(shape.userId).toBe(owner.user.id);
+      expect(shape.isAdmin).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { io } = require('socket.io-client');
+
+// Helpers for tests that talk to the server over Socket.IO the way the client does
+
+// Create a canvas owned by `owner` (a registerUser result) with `members` as [user, role] pairs
+const createCanvas = async (request, owner, members = []) => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(7);
+  const name = `socket-canvas-${timestamp}-${random}`;
+  const headers = { 'Authorization': `Bearer ${owner.token}` };
+
+  await request.post('/api/canvases', { headers, data: { name } });
+  for (const [member, role] of members) {
+    await request.post(`/api/canvases/${name}/members`, {
+      headers,
+      data: { email: member.user.email, role }
+    });
+  }
+
+  return name;
+};
+
+// Open an authenticated connection (a new one per call, never shared between users)
+const connectSocket = (baseURL, user, namespace = '') => new Promise((resolve, reject) => {
+  const socket = io(`${baseURL}${namespace}`, {
+    auth: { token: user.token },
+    transports: ['websocket'],
+    reconnection: false,
+    forceNew: true
+  });
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+// The next `event` a socket receives that matches `filter`
+const nextEvent = (socket, event, filter = () => true, timeout = 5000) => new Promise((resolve, reject) => {
+  const listener = (data) => {
+    if (!filter(data)) return;
+    clearTimeout(timer);
+    socket.off(event, listener);
+    resolve(data);
+  };
+  const timer = setTimeout(() => {
+    socket.off(event, listener);
+    reject(new Error(`Timed out waiting for ${event}`));
+  }, timeout);
+  socket.on(event, listener);
+});
+
+// Collect every `event` a socket receives from now on, e.g. to check something was not sent
+const collectEvents = (socket, event) => {
+  const received = [];
+  socket.on(event, data => received.push(data));
+  return received;
+};
+
+// Join a canvas, resolving with its `canvas:state`
+const joinCanvas = (socket, canvas) => {
+  const state = nextEvent(socket, 'canvas:state', data => data.canvas === canvas);
+  socket.emit('canvas:join', canvas);
+  return state;
+};
+
+// Give the server time to handle events that have no acknowledgement
+const settle = (ms = 300) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = { createCanvas, connectSocket, nextEvent, collectEvents, joinCanvas, settle };
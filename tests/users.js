@@ -0,0 +1,30 @@
+const { readMailToken } = require('./mail');
+
+// Register a fresh user and verify their email, returning the registration with a verified session
+const registerUser = async (request) => {
+  const timestamp = Date.now();
+  const random = Math.random().toString(36).substring(7);
+  const email = `canvas_${timestamp}_${random}@example.com`;
+
+  const registerResponse = await request.post('/api/auth/register', {
+    data: {
+      firstName: 'Canvas',
+      lastName: `User${timestamp}`,
+      email,
+      password: 'testPassword123'
+    }
+  });
+  const registerData = await registerResponse.json();
+
+  await request.post('/api/auth/verify-email', {
+    data: { token: readMailToken(email, 'verify-email') }
+  });
+  const refreshResponse = await request.post('/api/auth/refresh', {
+    data: { refreshToken: registerData.refreshToken }
+  });
+  const { token, refreshToken, user } = await refreshResponse.json();
+
+  return { ...registerData, token, refreshToken, user };
+};
+
+module.exports = { registerUser };